@@ -0,0 +1,94 @@
+// Library entry point. Requiring it loads no .env file, opens no sockets and
+// installs no signal handlers; pempek.js is the menu and CLI built on top of it.
+const { parseOCT, formatOCT, toMicroOCT } = require('./lib/amounts');
+const { Logger, logger, configureLogging, redact } = require('./lib/logger');
+const { deriveAddress, getKeyPair, addressFromKey, canonicalMessage, signTransaction, transactionHash, verifyTransaction, encryptClientBalance, decryptClientBalance, generateWallet } = require('./lib/signer');
+const { Metrics, metrics } = require('./lib/metrics');
+const { statusBoard, startStatusServer } = require('./lib/status');
+const { RpcError, RateLimiter, RpcClient } = require('./lib/rpc');
+const { NonceManager, OctraAutoTX } = require('./lib/client');
+const { FeePolicy } = require('./lib/fees');
+const { ConfirmationTracker } = require('./lib/tracker');
+const { TxJournal } = require('./lib/journal');
+const { loadWalletsFromEnv, Keystore, loadWallets, loadRecipientsFromEnv } = require('./lib/wallets');
+const { recipientPicker, buildTransactionPlan, RunEngine, executePlan, executeTransactions, resumeTransactions } = require('./lib/engine');
+const { loadPayoutFile, validatePayoutPlan, executePayoutFile } = require('./lib/payout');
+const { planRebalance, executeRebalance } = require('./lib/rebalance');
+const { findStuckTransactions, handleStuckTransactions } = require('./lib/stuck');
+const { privateBalances, shiftBalances, pendingTransfers, claimPendingTransfers } = require('./lib/private');
+const { readTransactionFile, writeTransactionFile, buildUnsignedTransactions, signTransactions, verifyTransactions, broadcastTransactions } = require('./lib/offline');
+const { parseCron, nextCronTime, loadJobsFile, Scheduler } = require('./lib/scheduler');
+const { buildRunReport, reconcileHistory, reconcileReport, toCsv, writeRunReport } = require('./lib/report');
+const { loadConfig, configRunOptions } = require('./lib/config');
+const { runCli } = require('./lib/cli');
+
+module.exports = {
+    Logger,
+    logger,
+    configureLogging,
+    redact,
+    Metrics,
+    metrics,
+    statusBoard,
+    startStatusServer,
+    OctraAutoTX,
+    RpcClient,
+    RpcError,
+    RateLimiter,
+    NonceManager,
+    FeePolicy,
+    ConfirmationTracker,
+    loadWalletsFromEnv,
+    loadWallets,
+    deriveAddress,
+    getKeyPair,
+    addressFromKey,
+    canonicalMessage,
+    signTransaction,
+    transactionHash,
+    verifyTransaction,
+    encryptClientBalance,
+    decryptClientBalance,
+    parseOCT,
+    formatOCT,
+    toMicroOCT,
+    generateWallet,
+    Keystore,
+    loadRecipientsFromEnv,
+    recipientPicker,
+    buildTransactionPlan,
+    RunEngine,
+    executePlan,
+    executeTransactions,
+    resumeTransactions,
+    parseCron,
+    nextCronTime,
+    loadJobsFile,
+    Scheduler,
+    loadPayoutFile,
+    validatePayoutPlan,
+    executePayoutFile,
+    planRebalance,
+    executeRebalance,
+    findStuckTransactions,
+    handleStuckTransactions,
+    privateBalances,
+    shiftBalances,
+    pendingTransfers,
+    claimPendingTransfers,
+    readTransactionFile,
+    writeTransactionFile,
+    buildUnsignedTransactions,
+    signTransactions,
+    verifyTransactions,
+    broadcastTransactions,
+    TxJournal,
+    loadConfig,
+    configRunOptions,
+    buildRunReport,
+    reconcileHistory,
+    reconcileReport,
+    toCsv,
+    writeRunReport,
+    runCli
+};
@@ -0,0 +1,35 @@
+const MICRO_OCT = 1_000_000n;
+
+function parseOCT(value) {
+    const text = String(value).trim();
+    const match = /^(\d+)(?:\.(\d{1,6}))?$/.exec(text);
+
+    if (!match) {
+        throw new Error(`Invalid OCT amount: ${text || '(empty)'} (use a plain number with at most 6 decimals)`);
+    }
+
+    return BigInt(match[1]) * MICRO_OCT + BigInt((match[2] || '').padEnd(6, '0'));
+}
+
+function toMicroOCT(amount) {
+    return typeof amount === 'bigint' ? amount : parseOCT(amount);
+}
+
+function formatOCT(micro) {
+    const value = toMicroOCT(micro);
+    const sign = value < 0n ? '-' : '';
+    const abs = value < 0n ? -value : value;
+    return `${sign}${abs / MICRO_OCT}.${String(abs % MICRO_OCT).padStart(6, '0')}`;
+}
+
+function jsonReplacer(key, value) {
+    return typeof value === 'bigint' ? formatOCT(value) : value;
+}
+
+module.exports = {
+    MICRO_OCT,
+    parseOCT,
+    toMicroOCT,
+    formatOCT,
+    jsonReplacer
+};
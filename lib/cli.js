@@ -0,0 +1,815 @@
+const { parseArgs } = require('util');
+
+const { parseOCT, formatOCT, jsonReplacer } = require('./amounts');
+const { colors, output, logger, configureLogging } = require('./logger');
+const { ADDRESS_REGEX, generateWallet } = require('./signer');
+const { statusBoard, startStatusServer } = require('./status');
+const { OctraAutoTX } = require('./client');
+const { TxJournal } = require('./journal');
+const { loadWalletsFromEnv, Keystore, readPassphrase, unlockedKeystores, listWallets, loadWallets, loadRecipientsFromEnv } = require('./wallets');
+const { executeTransactions, resumeTransactions } = require('./engine');
+const { loadPayoutFile, validatePayoutPlan, executePayoutFile } = require('./payout');
+const { executeRebalance } = require('./rebalance');
+const { readTransactionFile, writeTransactionFile, buildUnsignedTransactions, signTransactions, verifyTransactions, broadcastTransactions } = require('./offline');
+const { loadJobsFile, Scheduler } = require('./scheduler');
+const { loadConfig, configRunOptions, selectWallets, selectRecipients } = require('./config');
+const { FeePolicy, parseFeeSpec } = require('./fees');
+const { handleStuckTransactions, DEFAULT_STUCK_AGE } = require('./stuck');
+const { PRIVATE_ACTIONS, privateBalances, shiftBalances, pendingTransfers, claimPendingTransfers } = require('./private');
+const { buildRunReport, reconcileHistory, reconcileReport, writeRunReport, displayRunReport } = require('./report');
+
+async function runKeystoreCommand(action, flags) {
+    const keystore = new Keystore(flags.keystore);
+
+    if (action === 'list') {
+        if (!keystore.exists()) {
+            throw new Error(`Keystore not found: ${keystore.filePath}`);
+        }
+        const wallets = keystore.list();
+        for (const wallet of wallets) {
+            logger.wallet(`${wallet.name} | ${wallet.address}`);
+        }
+        return { keystore: keystore.filePath, wallets };
+    }
+
+    if (action === 'import') {
+        if (keystore.exists()) {
+            keystore.load().unlock(await readPassphrase(`Keystore passphrase (${keystore.filePath}): `));
+        } else {
+            keystore.create(await readPassphrase(`New keystore passphrase (${keystore.filePath}): `, 'OCTRA_KEYSTORE_PASSPHRASE', true));
+        }
+
+        let incoming;
+        if (flags.address) {
+            const privateKey = await readPassphrase('Private key (base64): ', 'OCTRA_IMPORT_PRIVATE_KEY');
+            incoming = [{ name: flags.name || `Wallet${keystore.list().length + 1}`, address: flags.address, privateKey }];
+        } else {
+            incoming = loadWalletsFromEnv();
+            if (incoming.length === 0) {
+                throw new Error('Nothing to import: pass --address (key is prompted) or set OCTRA_PRIVATE_KEY_n/OCTRA_ADDRESS_n');
+            }
+        }
+
+        for (const wallet of incoming) {
+            keystore.add(wallet);
+            logger.success(`Imported ${wallet.name} | ${wallet.address}`);
+        }
+        keystore.save();
+        logger.info(`Keystore saved to ${keystore.filePath}`);
+        return { keystore: keystore.filePath, imported: incoming.map(w => ({ name: w.name, address: w.address })) };
+    }
+
+    if (action === 'export') {
+        keystore.load().unlock(await readPassphrase(`Keystore passphrase (${keystore.filePath}): `));
+        const wallets = selectWallets(keystore.wallets(), flags.wallets);
+
+        logger.warning(`Exporting ${wallets.length} plaintext private key(s) to stdout`);
+        wallets.forEach((wallet, i) => {
+            console.log(`OCTRA_PRIVATE_KEY_${i + 1}=${wallet.privateKey}`);
+            console.log(`OCTRA_ADDRESS_${i + 1}=${wallet.address}`);
+        });
+        return null;
+    }
+
+    if (action === 'passwd') {
+        keystore.load().unlock(await readPassphrase(`Current keystore passphrase (${keystore.filePath}): `));
+        keystore.changePassphrase(await readPassphrase('New keystore passphrase: ', 'OCTRA_KEYSTORE_NEW_PASSPHRASE', true));
+        keystore.save();
+        unlockedKeystores.delete(keystore.filePath);
+        logger.success(`Passphrase changed for ${keystore.filePath}`);
+        return { keystore: keystore.filePath, changed: true };
+    }
+
+    throw new Error(`Unknown keystore action: ${action || '(none)'}, expected import, export, list or passwd`);
+}
+
+const CLI_USAGE = `
+Usage: node pempek.js <command> [options]
+
+Commands:
+  send      Send one transaction        --to <address> --amount <OCT> [--from <wallet>]
+                                        [--memo <text>] (default: "Pempek TX 1 from <wallet>", "" for none)
+  run       Run a batch                 --fixed --amount <OCT> | --random --min <OCT> --max <OCT>
+                                        [--count <tx per wallet>] [--pipeline <n>]
+  payout    Send exact amounts from a file <plan.csv|plan.json> [--dry-run]
+            (columns: from,to,amount,memo; from is a wallet name or address)
+  rebalance fund: top up every wallet below --target <OCT> from the treasury
+            sweep: send everything above --floor <OCT> (default: 0), less fees, back to the treasury
+            --treasury <wallet> (or OCTRA_TREASURY; sweep also takes an address) [--dry-run]
+  build     Write unsigned transactions for offline signing [plan.csv|plan.json] | --to <address>
+            --amount <OCT> [--from <wallet|address>] [--count <n>] [--out <file>] (default: unsigned.json)
+  sign      Sign an unsigned file without network access <unsigned.json> [--out <file>] (default: signed.json)
+  broadcast Send a signed file, checking every signature first <signed.json>
+  verify    Check signature and public_key of every transaction in a file <signed.json>
+  resume    Continue an interrupted run [journal file] (default: latest unfinished in JOURNAL_DIR)
+  report    Write JSON and CSV totals for a run [journal file] (default: latest in JOURNAL_DIR)
+            [--out <dir>] (default: REPORT_DIR or reports) [--reconcile] checks every send on chain
+  history   Compare on-chain history with what was sent [address...] (default: all wallets)
+            [--journal <file>] (default: every journal in JOURNAL_DIR) [--limit <n>] (default: 100)
+  private   Encrypted balances of the selected wallets: balance | encrypt --amount <OCT> |
+            decrypt --amount <OCT> | pending | claim [transfer id...] (default: everything pending)
+  stuck     List our transactions staged longer than --older-than <sec> (default: 300), or clear them:
+            rebroadcast: post them again | replace: same nonce, higher ou | cancel: same nonce, 0 OCT
+            to ourselves, higher ou; [--ou <n>] (default: fee policy ou or one above the stuck one) [--dry-run]
+  daemon    Run scheduled jobs [jobs.json] (default: OCTRA_JOBS_FILE or jobs.json) until Ctrl+C;
+            run history is appended to OCTRA_HISTORY_DIR (default: history/<job>.jsonl)
+  info      Show wallet address, balance and nonce, and RPC endpoint health
+  balance   Show balances               [address...]
+  keystore  Manage the encrypted keystore: import | export | list | passwd
+  wallet    new: generate keypair(s) and their addresses [--count <n>], printed as .env lines
+            import reads OCTRA_PRIVATE_KEY_n/OCTRA_ADDRESS_n, or one wallet with --address [--name]
+
+Options:
+  --config <file>            JSON or YAML config file (default: OCTRA_CONFIG, else octra.config.json,
+                             octra.config.yaml or octra.config.yml if present); flags override it,
+                             it overrides env variables
+  --profile <name>           Config profile to use, e.g. testnet or local (default: OCTRA_PROFILE
+                             or the file's defaultProfile)
+  -w, --wallets <list>       Comma-separated wallet names, addresses or config groups (default: all)
+  -r, --recipients <list>    Comma-separated recipient addresses or config recipientLists
+                             (default: config recipients, else RECIPIENT_n)
+  --keystore <file>          Encrypted keystore (default: OCTRA_KEYSTORE or keystore.json)
+                             Passphrase from OCTRA_KEYSTORE_PASSPHRASE or an interactive prompt
+  --rpc <urls>               Comma-separated RPC endpoints, tried in order with failover
+                             (default: OCTRA_RPC_URL or https://octra.network)
+  --concurrency <n>          Wallets processed in parallel (default: 1)
+  --rate <req/s>             Shared limit on RPC requests per second (default: OCTRA_RPC_RATE or unlimited);
+                             one limit per endpoint for the whole process, and the lowest rate
+                             asked for in it wins
+  --tx-delay <sec>           Pause between a wallet's transactions (default: 3 without --pipeline, else 0)
+  --wallet-delay <sec>       Pause before a worker starts its next wallet (default: 5)
+  --confirm-timeout <sec>    Seconds to wait for confirmations (default: 180)
+  --private                  With send and run, pay out of the encrypted balance as private transfers
+  --distribution <mode>      How run picks recipients: random (default), round-robin, or weighted by --weights
+  --weights <list>           Comma-separated non-negative integers, one per recipient in order (implies weighted)
+  --budget <policy>          When a wallet's balance can't cover amounts + fees: fail (default), shrink or skip
+  --fee <strategy>           fixed[:ou] (default ou 1), tiered (default: ou 1 below 1000 OCT, else 3) or
+                             congestion (tier ou plus 1 per 50 transactions in /staging, up to ou 10)
+  --max-fee <OCT>            Never pay more per transaction: congestion surcharges are cut to it and
+                             amounts whose base fee is higher fail
+  --out <file>               Output file for build and sign, output directory for report
+  --dry-run                  Validate and print the resolved payout, rebalance or stuck plan without signing or sending
+  --json                     Print machine-readable JSON to stdout, logs to stderr
+  --status-port <port>       Serve /health, /status and Prometheus /metrics on 127.0.0.1 while
+                             send, run, payout, rebalance, resume or daemon is running (or OCTRA_STATUS_PORT)
+  --log-level <level>        debug, info (default), warn, error or silent (or LOG_LEVEL)
+  --log-format <format>      text (default) or json lines (or LOG_FORMAT)
+  --log-file <file>          Also append JSON lines to a file, rotated at LOG_FILE_MAX_BYTES (default 10MB),
+                             keeping LOG_FILE_KEEP old files (default 5) (or LOG_FILE)
+  -h, --help                 Show this help
+
+Exit codes: 0 all transactions confirmed, 1 usage or configuration error, 2 partial failure,
+            130 interrupted (resume with the journal printed at the end of the run).
+Run without a command to open the interactive menu.
+`;
+
+const STATUS_COMMANDS = ['send', 'run', 'payout', 'rebalance', 'stuck', 'broadcast', 'resume', 'daemon'];
+
+const CLI_COMMANDS = ['send', 'run', 'payout', 'rebalance', 'build', 'sign', 'broadcast', 'verify', 'resume', 'report', 'history', 'stuck', 'private', 'daemon', 'info', 'balance', 'keystore', 'wallet'];
+
+const CLI_OPTIONS = {
+    fixed: { type: 'boolean' },
+    private: { type: 'boolean' },
+    random: { type: 'boolean' },
+    amount: { type: 'string' },
+    min: { type: 'string' },
+    max: { type: 'string' },
+    count: { type: 'string', short: 'n' },
+    from: { type: 'string' },
+    to: { type: 'string' },
+    memo: { type: 'string' },
+    wallets: { type: 'string', short: 'w' },
+    recipients: { type: 'string', short: 'r' },
+    pipeline: { type: 'string' },
+    'confirm-timeout': { type: 'string' },
+    rpc: { type: 'string' },
+    concurrency: { type: 'string' },
+    rate: { type: 'string' },
+    'tx-delay': { type: 'string' },
+    'wallet-delay': { type: 'string' },
+    out: { type: 'string' },
+    reconcile: { type: 'boolean' },
+    journal: { type: 'string' },
+    limit: { type: 'string' },
+    'dry-run': { type: 'boolean' },
+    budget: { type: 'string' },
+    distribution: { type: 'string' },
+    weights: { type: 'string' },
+    fee: { type: 'string' },
+    'max-fee': { type: 'string' },
+    treasury: { type: 'string' },
+    target: { type: 'string' },
+    floor: { type: 'string' },
+    'older-than': { type: 'string' },
+    ou: { type: 'string' },
+    keystore: { type: 'string' },
+    name: { type: 'string' },
+    address: { type: 'string' },
+    json: { type: 'boolean' },
+    'status-port': { type: 'string' },
+    'log-level': { type: 'string' },
+    'log-format': { type: 'string' },
+    'log-file': { type: 'string' },
+    config: { type: 'string' },
+    profile: { type: 'string' },
+    help: { type: 'boolean', short: 'h' }
+};
+
+function parseAmountFlag(value, flag) {
+    let amount = 0n;
+    try {
+        amount = value === undefined ? 0n : parseOCT(value);
+    } catch (error) {
+        amount = 0n;
+    }
+    if (amount <= 0n) {
+        throw new Error(`--${flag} must be a positive number of OCT with at most 6 decimals, got: ${value === undefined ? '(missing)' : value}`);
+    }
+    return amount;
+}
+
+function parseCountFlag(value, flag, fallback) {
+    if (value === undefined) return fallback;
+    if (!/^\d+$/.test(value) || parseInt(value) < 1) {
+        throw new Error(`--${flag} must be a positive integer, got: ${value}`);
+    }
+    return parseInt(value);
+}
+
+function parseSecondsFlag(value, flag) {
+    if (value === undefined) return undefined;
+    if (!/^\d+(\.\d+)?$/.test(value)) {
+        throw new Error(`--${flag} must be a number of seconds, got: ${value}`);
+    }
+    return Math.round(parseFloat(value) * 1000);
+}
+
+function parseRateFlag(value) {
+    if (value === undefined) return undefined;
+    if (!/^\d+(\.\d+)?$/.test(value) || parseFloat(value) <= 0) {
+        throw new Error(`--rate must be a positive number of requests per second, got: ${value}`);
+    }
+    return parseFloat(value);
+}
+
+function parseWeightsFlag(value) {
+    if (value === undefined) return undefined;
+    if (!/^\d+(,\d+)*$/.test(value)) {
+        throw new Error(`--weights must be comma-separated non-negative integers, got: ${value}`);
+    }
+    return value.split(',').map(weight => parseInt(weight));
+}
+
+function defaultRecipients(config) {
+    return config.recipients.length > 0 ? config.recipients : loadRecipientsFromEnv();
+}
+
+function summaryExitCode(summary) {
+    if (summary.interrupted) return 130;
+    return summary.failed.count > 0 || summary.unknown.count > 0 ? 2 : 0;
+}
+
+async function runCli(argv) {
+    let parsed;
+    try {
+        parsed = parseArgs({ args: argv, options: CLI_OPTIONS, allowPositionals: true });
+    } catch (error) {
+        logger.error(error.message);
+        output.print(CLI_USAGE);
+        return 1;
+    }
+
+    const flags = parsed.values;
+    const [command, ...args] = parsed.positionals;
+
+    if (flags.help || command === 'help') {
+        console.log(CLI_USAGE);
+        return 0;
+    }
+
+    if (!CLI_COMMANDS.includes(command)) {
+        logger.error(`Unknown command: ${command}`);
+        output.print(CLI_USAGE);
+        return 1;
+    }
+
+    if (flags.json) {
+        output.stream = process.stderr;
+    }
+
+    try {
+        configureLogging({
+            level: flags['log-level'],
+            format: flags['log-format'],
+            file: flags['log-file'] || process.env.LOG_FILE
+        });
+    } catch (error) {
+        logger.error(error.message);
+        return 1;
+    }
+
+    const emit = (result) => {
+        if (flags.json) {
+            console.log(JSON.stringify(result, jsonReplacer, 2));
+        }
+    };
+    let statusServer = null;
+
+    try {
+        const config = loadConfig({ file: flags.config, profile: flags.profile });
+        const defaults = configRunOptions(config);
+        const keystorePath = flags.keystore || config.keystore;
+
+        if (config.file) {
+            logger.info(`Config: ${config.file}${config.profile ? ` (profile ${config.profile})` : ''}`);
+        }
+
+        if (command === 'keystore') {
+            const result = await runKeystoreCommand(args[0], { ...flags, keystore: keystorePath });
+            if (result) emit({ command, action: args[0], ...result });
+            return 0;
+        }
+
+        if (command === 'wallet') {
+            if (args[0] !== 'new') {
+                throw new Error(`Unknown wallet action: ${args[0] || '(none)'}, expected new`);
+            }
+
+            const count = parseCountFlag(flags.count, 'count', 1);
+            const generated = [];
+            for (let i = 1; i <= count; i++) {
+                generated.push(generateWallet(`Wallet${i}`));
+            }
+
+            if (flags.json) {
+                emit({ command, action: 'new', wallets: generated });
+            } else {
+                generated.forEach((wallet, i) => {
+                    console.log(`OCTRA_PRIVATE_KEY_${i + 1}=${wallet.privateKey}`);
+                    console.log(`OCTRA_ADDRESS_${i + 1}=${wallet.address}`);
+                });
+            }
+            return 0;
+        }
+
+        if (command === 'verify') {
+            if (!args[0]) {
+                throw new Error('verify needs a transaction file: node pempek.js verify <signed.json>');
+            }
+
+            const results = verifyTransactions(readTransactionFile(args[0]));
+            for (const result of results) {
+                if (result.valid) {
+                    logger.success(`TX ${result.index} | ${result.from} | Nonce ${result.nonce} | signature OK`);
+                } else {
+                    logger.error(`TX ${result.index} | ${result.from} | Nonce ${result.nonce} | ${result.error}`);
+                }
+            }
+
+            emit({ command, results });
+            return results.every(result => result.valid) ? 0 : 2;
+        }
+
+        if (command === 'report') {
+            const journalPath = args[0] || TxJournal.list()[0];
+            if (!journalPath) {
+                throw new Error('No journal found to report on');
+            }
+
+            const report = buildRunReport(journalPath, { rpcUrl: flags.rpc || defaults.rpcUrl });
+            if (flags.reconcile) {
+                await reconcileReport(report, {
+                    rpcUrl: flags.rpc || defaults.rpcUrl,
+                    timeout: defaults.timeout,
+                    rateLimit: parseRateFlag(flags.rate) || defaults.rateLimit,
+                    limit: parseCountFlag(flags.limit, 'limit', 100)
+                });
+            }
+            displayRunReport(report);
+
+            const files = writeRunReport(report, flags.out);
+            logger.success(`Report written to ${files.join(', ')}`);
+            emit({ command, files, ...report });
+            return (report.reconciliation || []).some(result => result.missing > 0 || result.mismatched > 0) ? 2 : 0;
+        }
+
+        const readOnly = ['balance', 'info', 'history', 'build', 'broadcast'].includes(command) || (command === 'stuck' && !args[0]);
+        const loaded = readOnly ? listWallets(keystorePath, config.wallets) : await loadWallets(keystorePath, config.wallets);
+        const wallets = selectWallets(loaded, flags.wallets, config.groups);
+        const confirmTimeout = flags['confirm-timeout'] !== undefined
+            ? parseCountFlag(flags['confirm-timeout'], 'confirm-timeout') * 1000
+            : defaults.confirmTimeout;
+
+        // Flags win over the config file, which wins over env variables and built-in defaults.
+        const rpcUrl = flags.rpc || defaults.rpcUrl;
+        const budgetPolicy = flags.budget || defaults.budgetPolicy;
+        const pipelineDepth = parseCountFlag(flags.pipeline, 'pipeline', defaults.pipelineDepth || 1);
+        const pacing = {
+            concurrency: parseCountFlag(flags.concurrency, 'concurrency', defaults.concurrency),
+            rateLimit: flags.rate !== undefined ? parseRateFlag(flags.rate) : defaults.rateLimit,
+            txDelay: flags['tx-delay'] !== undefined ? parseSecondsFlag(flags['tx-delay'], 'tx-delay') : defaults.txDelay,
+            walletDelay: flags['wallet-delay'] !== undefined ? parseSecondsFlag(flags['wallet-delay'], 'wallet-delay') : defaults.walletDelay,
+            timeout: defaults.timeout,
+            explorerUrl: defaults.explorerUrl,
+            fees: defaults.fees
+        };
+
+        if (flags.fee !== undefined || flags['max-fee'] !== undefined) {
+            pacing.fees = {
+                ...pacing.fees,
+                ...(flags.fee !== undefined ? parseFeeSpec(flags.fee) : {}),
+                ...(flags['max-fee'] !== undefined ? { maxFee: parseAmountFlag(flags['max-fee'], 'max-fee') } : {})
+            };
+        }
+        if (pacing.fees) {
+            new FeePolicy(pacing.fees);
+        }
+
+        const statusPort = flags['status-port'] !== undefined ? flags['status-port'] : process.env.OCTRA_STATUS_PORT;
+        if (statusPort !== undefined && STATUS_COMMANDS.includes(command)) {
+            if (!/^\d+$/.test(statusPort) || parseInt(statusPort) > 65535) {
+                throw new Error(`--status-port must be a port number, got: ${statusPort}`);
+            }
+            statusServer = await startStatusServer(parseInt(statusPort));
+        }
+
+        if (command === 'balance') {
+            const octra = new OctraAutoTX({ rpcUrl, timeout: pacing.timeout });
+            const addresses = args.length > 0 ? args : wallets.map(w => w.address);
+            const balances = [];
+
+            for (const address of addresses) {
+                try {
+                    const balance = await octra.getBalance(address);
+                    balances.push({ address, balance });
+                    logger.info(`${address} | Balance: ${colors.brightGreen}${formatOCT(balance)} OCT${colors.reset}`);
+                } catch (error) {
+                    balances.push({ address, balance: null, error: error.message });
+                    logger.error(`${address} | ${error.message}`);
+                }
+            }
+
+            emit({ command, balances });
+            return balances.some(b => b.error) ? 2 : 0;
+        }
+
+        if (command === 'history') {
+            const octra = new OctraAutoTX({ rpcUrl, timeout: pacing.timeout, rateLimit: pacing.rateLimit, fees: pacing.fees });
+            const limit = parseCountFlag(flags.limit, 'limit', 100);
+            const addresses = args.length > 0 ? args : wallets.map(w => w.address);
+            const journals = flags.journal ? [flags.journal] : TxJournal.list();
+            const sent = journals.flatMap(journalPath => [...TxJournal.read(journalPath).transactions.values()]);
+            const results = [];
+
+            if (addresses.length === 0) {
+                throw new Error('No addresses given and no wallets configured');
+            }
+
+            for (const address of addresses) {
+                const history = await octra.getAddressHistory(address, limit);
+                const result = reconcileHistory(address, sent, history, { limit });
+                const verdicts = new Map(result.results.map(r => [r.hash, r.verdict]));
+
+                logger.bridge(`${address} | ${result.onChain} sent, ${result.incoming} received on chain (newest ${limit})`);
+                for (const tx of history) {
+                    const line = `Epoch ${tx.epoch} | Nonce ${tx.nonce} | ${formatOCT(tx.amount)} OCT ${tx.from === address ? `to ${tx.to}` : `from ${tx.from}`} | ${tx.hash}`;
+                    if (tx.from !== address) {
+                        logger.info(line);
+                    } else if (verdicts.get(tx.hash) === 'mismatched') {
+                        logger.error(`${line} | does not match the journal`);
+                    } else if (verdicts.has(tx.hash)) {
+                        logger.success(line);
+                    } else {
+                        logger.warning(`${line} | not sent by this tool`);
+                    }
+                }
+                for (const missing of result.results.filter(r => r.verdict === 'missing')) {
+                    logger.error(`${missing.id} | Nonce ${missing.nonce} | journaled as ${missing.status} but not on chain`);
+                }
+
+                results.push(result);
+            }
+
+            emit({ command, journals, addresses: results });
+            return results.some(result => result.missing > 0 || result.mismatched > 0) ? 2 : 0;
+        }
+
+        if (command === 'build') {
+            let rows;
+            if (args[0]) {
+                rows = loadPayoutFile(args[0]);
+            } else {
+                if (!flags.to) {
+                    throw new Error('build needs a plan file or --to and --amount');
+                }
+                const [recipient] = selectRecipients(flags.to);
+                const amount = formatOCT(parseAmountFlag(flags.amount, 'amount'));
+                const from = flags.from || (wallets.length === 1 ? wallets[0].address : null);
+                if (!from) {
+                    throw new Error('--from is required unless exactly one wallet is configured');
+                }
+                rows = Array.from({ length: parseCountFlag(flags.count, 'count', 1) }, (_, i) => ({ line: i + 1, from, to: recipient, amount, memo: '' }));
+            }
+
+            // Senders may be plain addresses: their keys only exist on the signing machine.
+            const senders = [...wallets];
+            for (const row of rows) {
+                if (ADDRESS_REGEX.test(row.from) && !senders.some(w => w.address === row.from)) {
+                    senders.push({ name: row.from, address: row.from });
+                }
+            }
+
+            const octra = new OctraAutoTX({ rpcUrl, timeout: pacing.timeout, rateLimit: pacing.rateLimit, fees: pacing.fees });
+            const result = await validatePayoutPlan(rows, senders, { octra });
+            if (result.errors.length > 0) {
+                result.errors.forEach(error => logger.error(error));
+                throw new Error(`${result.errors.length} error(s), nothing was built`);
+            }
+
+            const out = flags.out || 'unsigned.json';
+            const transactions = await buildUnsignedTransactions(result.plan, { octra });
+            writeTransactionFile(out, 'unsigned', transactions);
+            logger.success(`Wrote ${transactions.length} unsigned transaction(s) to ${out}, sign them with: node pempek.js sign ${out}`);
+            emit({ command, file: out, transactions });
+            return 0;
+        }
+
+        if (command === 'broadcast') {
+            if (!args[0]) {
+                throw new Error('broadcast needs a signed file: node pempek.js broadcast <signed.json>');
+            }
+
+            const summary = await broadcastTransactions(readTransactionFile(args[0]), { rpcUrl, timeout: pacing.timeout, rateLimit: pacing.rateLimit, confirmTimeout });
+            emit({ command, ...summary });
+            return summaryExitCode(summary);
+        }
+
+        if (wallets.length === 0) {
+            throw new Error('No wallets found! Import them with "keystore import" or configure OCTRA_PRIVATE_KEY_1, OCTRA_ADDRESS_1, etc.');
+        }
+
+        if (command === 'sign') {
+            if (!args[0]) {
+                throw new Error('sign needs an unsigned file: node pempek.js sign <unsigned.json> [--out signed.json]');
+            }
+
+            const out = flags.out || 'signed.json';
+            const transactions = signTransactions(readTransactionFile(args[0]), wallets);
+            writeTransactionFile(out, 'signed', transactions);
+            logger.success(`Signed ${transactions.length} transaction(s) to ${out}, check them with: node pempek.js verify ${out}`);
+            emit({ command, file: out, count: transactions.length });
+            return 0;
+        }
+
+        if (command === 'info') {
+            const octra = new OctraAutoTX({ rpcUrl, timeout: pacing.timeout });
+            const endpoints = await octra.rpc.checkHealth();
+            const info = [];
+
+            for (const endpoint of endpoints) {
+                if (endpoint.healthy) {
+                    logger.network(`${endpoint.url} | healthy | ${endpoint.latencyMs}ms`);
+                } else {
+                    logger.error(`${endpoint.url} | down | ${endpoint.error}`);
+                }
+            }
+
+            for (const wallet of wallets) {
+                try {
+                    const balance = await octra.getBalance(wallet.address);
+                    const nonce = await octra.getCurrentNonce(wallet.address);
+                    info.push({ name: wallet.name, address: wallet.address, balance, nonce });
+                    logger.wallet(`${wallet.name} | ${wallet.address} | Balance: ${formatOCT(balance)} OCT | Nonce: ${nonce}`);
+                } catch (error) {
+                    info.push({ name: wallet.name, address: wallet.address, error: error.message });
+                    logger.error(`${wallet.name} | ${wallet.address} | ${error.message}`);
+                }
+            }
+
+            emit({ command, endpoints, wallets: info });
+            return info.some(w => w.error) ? 2 : 0;
+        }
+
+        if (command === 'send') {
+            if (!flags.to) {
+                throw new Error('--to is required');
+            }
+            if (flags.memo !== undefined && flags.private) {
+                throw new Error('--memo cannot be used with --private, private transfers carry no memo');
+            }
+            const [recipient] = selectRecipients(flags.to);
+            const amount = parseAmountFlag(flags.amount, 'amount');
+
+            let sender;
+            if (flags.from) {
+                [sender] = selectWallets(wallets, flags.from);
+            } else if (wallets.length === 1) {
+                sender = wallets[0];
+            } else {
+                throw new Error('--from is required when more than one wallet is configured');
+            }
+
+            const summary = await executeTransactions([sender], [recipient], amount, 1, false, amount, amount, {
+                ...pacing,
+                rpcUrl,
+                handleSignals: true,
+                confirmTimeout,
+                budgetPolicy,
+                private: flags.private,
+                memo: flags.memo
+            });
+            emit({ command, ...summary });
+            return summaryExitCode(summary);
+        }
+
+        if (command === 'payout') {
+            if (!args[0]) {
+                throw new Error('payout needs a plan file: node pempek.js payout <plan.csv|plan.json>');
+            }
+
+            const result = await executePayoutFile(wallets, args[0], {
+                ...pacing,
+                rpcUrl,
+                handleSignals: true,
+                dryRun: flags['dry-run'],
+                budgetPolicy,
+                pipelineDepth,
+                confirmTimeout
+            });
+            emit({ command, ...result });
+            return result.dryRun ? 0 : summaryExitCode(result);
+        }
+
+        if (command === 'rebalance') {
+            // --wallets picks the managed wallets; the treasury can be any loaded wallet.
+            const result = await executeRebalance(args[0], loaded, {
+                managed: wallets,
+                ...pacing,
+                rpcUrl,
+                handleSignals: true,
+                dryRun: flags['dry-run'],
+                treasury: flags.treasury || config.treasury,
+                target: flags.target !== undefined ? parseAmountFlag(flags.target, 'target') : undefined,
+                floor: flags.floor !== undefined ? parseOCT(flags.floor) : undefined,
+                pipelineDepth,
+                confirmTimeout
+            });
+            emit({ command, mode: args[0], ...result });
+            return result.dryRun || result.transactions.length === 0 ? 0 : summaryExitCode(result);
+        }
+
+        if (command === 'private') {
+            if (!PRIVATE_ACTIONS.includes(args[0])) {
+                throw new Error(`private needs one of: ${PRIVATE_ACTIONS.join(', ')}`);
+            }
+
+            const privateOptions = { rpcUrl, timeout: pacing.timeout, rateLimit: pacing.rateLimit };
+            if (args[0] === 'balance') {
+                const balances = await privateBalances(wallets, privateOptions);
+                emit({ command, action: args[0], balances });
+                return balances.some(b => b.error) ? 2 : 0;
+            }
+            if (args[0] === 'pending') {
+                const pending = await pendingTransfers(wallets, privateOptions);
+                emit({ command, action: args[0], wallets: pending });
+                return pending.some(p => p.error) ? 2 : 0;
+            }
+
+            const results = args[0] === 'claim'
+                ? await claimPendingTransfers(wallets, { ...privateOptions, ids: args.length > 1 ? args.slice(1) : undefined })
+                : await shiftBalances(wallets, args[0], parseAmountFlag(flags.amount, 'amount'), privateOptions);
+            emit({ command, action: args[0], results });
+            return results.some(r => !r.success) ? 2 : 0;
+        }
+
+        if (command === 'stuck') {
+            const olderThan = flags['older-than'] !== undefined ? parseSecondsFlag(flags['older-than'], 'older-than') : DEFAULT_STUCK_AGE;
+            const result = await handleStuckTransactions(wallets, args[0], {
+                ...pacing,
+                rpcUrl,
+                olderThan,
+                ou: flags.ou !== undefined ? parseCountFlag(flags.ou, 'ou') : undefined,
+                dryRun: flags['dry-run']
+            });
+            emit({ command, ...result });
+            return result.stuck.some(tx => tx.status === 'failed') ? 2 : 0;
+        }
+
+        if (command === 'daemon') {
+            const jobs = loadJobsFile(args[0]);
+            const jobWallets = new Map(jobs.map(job => [job.name, job.wallets ? selectWallets(wallets, job.wallets.join(','), config.groups) : wallets]));
+
+            const scheduler = new Scheduler(jobs, {
+                runJob: (job) => {
+                    const recipients = job.recipients || defaultRecipients(config);
+                    if (recipients.length === 0) {
+                        throw new Error('No recipients found! Set "recipients" on the job or configure RECIPIENT_1, RECIPIENT_2, etc.');
+                    }
+
+                    const jobOptions = Object.fromEntries(Object.entries(job.options).filter(([, value]) => value !== undefined));
+                    return executeTransactions(jobWallets.get(job.name), recipients, job.amount, job.count, job.mode === 'random', job.minAmount, job.maxAmount, {
+                        ...pacing,
+                        rpcUrl,
+                        handleSignals: true,
+                        confirmTimeout,
+                        budgetPolicy,
+                        distribution: defaults.distribution,
+                        weights: defaults.weights,
+                        ...jobOptions
+                    });
+                }
+            });
+
+            logger.bridge(`Daemon started with ${jobs.length} job(s), press Ctrl+C to stop`);
+            statusBoard.scheduler = scheduler;
+            scheduler.start();
+
+            await new Promise(resolve => {
+                const onSignal = () => {
+                    process.removeListener('SIGINT', onSignal);
+                    process.removeListener('SIGTERM', onSignal);
+                    resolve();
+                };
+                process.on('SIGINT', onSignal);
+                process.on('SIGTERM', onSignal);
+            });
+
+            logger.warning('Stopping daemon, waiting for running jobs to finish...');
+            await scheduler.stop();
+            statusBoard.scheduler = null;
+            emit({ command, jobs: jobs.map(job => job.name) });
+            return 0;
+        }
+
+        if (command === 'resume') {
+            const journalPath = args[0] || TxJournal.latest();
+            if (!journalPath) {
+                throw new Error('No unfinished journal found to resume');
+            }
+
+            const summary = await resumeTransactions(wallets, journalPath, { ...pacing, rpcUrl, handleSignals: true, confirmTimeout, budgetPolicy });
+            emit({ command, ...summary });
+            return summaryExitCode(summary);
+        }
+
+        if (command === 'run') {
+            if (flags.fixed === flags.random) {
+                throw new Error('Specify exactly one of --fixed or --random');
+            }
+
+            const recipients = flags.recipients ? selectRecipients(flags.recipients, config.recipientLists) : defaultRecipients(config);
+            if (recipients.length === 0) {
+                throw new Error('No recipients found! Pass --recipients or configure RECIPIENT_1, RECIPIENT_2, etc.');
+            }
+
+            const txPerWallet = parseCountFlag(flags.count, 'count', config.count || 1);
+            const weights = flags.weights !== undefined ? parseWeightsFlag(flags.weights) : defaults.weights;
+            const distribution = flags.distribution || (flags.weights !== undefined ? 'weighted' : defaults.distribution);
+
+            let amount = parseOCT('0.1');
+            let minAmount = parseOCT('0.01');
+            let maxAmount = parseOCT('0.1');
+
+            if (flags.random) {
+                minAmount = flags.min === undefined && config.min !== undefined ? config.min : parseAmountFlag(flags.min, 'min');
+                maxAmount = flags.max === undefined && config.max !== undefined ? config.max : parseAmountFlag(flags.max, 'max');
+                if (minAmount >= maxAmount) {
+                    throw new Error('Minimum amount must be less than maximum amount');
+                }
+            } else {
+                amount = flags.amount === undefined && config.amount !== undefined ? config.amount : parseAmountFlag(flags.amount, 'amount');
+            }
+
+            const summary = await executeTransactions(wallets, recipients, amount, txPerWallet, flags.random, minAmount, maxAmount, {
+                ...pacing,
+                rpcUrl,
+                handleSignals: true,
+                pipelineDepth,
+                budgetPolicy,
+                confirmTimeout,
+                private: flags.private,
+                distribution,
+                weights
+            });
+            emit({ command, ...summary });
+            return summaryExitCode(summary);
+        }
+    } catch (error) {
+        logger.error(error.message);
+        if (flags.json) {
+            emit({ command, error: error.message });
+        }
+        return 1;
+    } finally {
+        if (statusServer) {
+            statusServer.close();
+            statusServer.closeAllConnections();
+        }
+    }
+}
+
+module.exports = {
+    CLI_USAGE,
+    runKeystoreCommand,
+    runCli
+};
@@ -0,0 +1,579 @@
+const { parseOCT, toMicroOCT, formatOCT } = require('./amounts');
+const { logger } = require('./logger');
+const { getKeyPair, addressFromKey, signTransaction, transactionHash, encryptClientBalance } = require('./signer');
+const { metrics } = require('./metrics');
+const { RpcError, RpcClient } = require('./rpc');
+const { FeePolicy, feeOfOu } = require('./fees');
+
+function isNonceError(error) {
+    return /nonce|duplicate/i.test(String(error || ''));
+}
+
+// The node answers accepted writes with JSON { status: 'accepted', tx_hash } or,
+// from older builds, plain text starting with "ok" and ending in the hash.
+function acceptedHash(result) {
+    if (result.status !== 200) return '';
+
+    if (result.data && result.data.status === 'accepted') {
+        return result.data.tx_hash || '';
+    }
+    if (result.text && result.text.toLowerCase().startsWith('ok')) {
+        const parts = result.text.split();
+        return parts[parts.length - 1] || '';
+    }
+    return '';
+}
+
+function responseError(result) {
+    return (result.data ? JSON.stringify(result.data) : result.text) || 'Unknown error';
+}
+
+// Balance strings come as "12.5" or "12.5 oct"; *_raw fields are micro-OCT.
+function readBalance(raw, text) {
+    return raw !== undefined ? BigInt(raw) : parseOCT(String(text || '0').trim().split(/\s+/)[0]);
+}
+
+class NonceManager {
+    constructor(octra) {
+        this.octra = octra;
+        this.accounts = new Map();
+    }
+
+    getAccount(address) {
+        if (!this.accounts.has(address)) {
+            this.accounts.set(address, {
+                next: null,
+                seeding: null,
+                stale: false,
+                inFlight: new Set(),
+                gaps: new Set()
+            });
+        }
+        return this.accounts.get(address);
+    }
+
+    async seed(address) {
+        const account = this.getAccount(address);
+
+        if (!account.seeding) {
+            account.seeding = this.octra.getCurrentNonce(address).then(nonce => {
+                const highestInFlight = account.inFlight.size > 0 ? Math.max(...account.inFlight) : 0;
+                account.next = Math.max(nonce + 1, highestInFlight + 1);
+                account.stale = false;
+                for (const gap of account.gaps) {
+                    if (gap <= nonce) account.gaps.delete(gap);
+                }
+                account.seeding = null;
+                return account.next;
+            }, error => {
+                account.seeding = null;
+                throw error;
+            });
+        }
+
+        return account.seeding;
+    }
+
+    async reserve(address) {
+        const account = this.getAccount(address);
+
+        while (account.next === null || account.stale || account.seeding) {
+            await this.seed(address);
+        }
+
+        // A gap left below nonces already out goes first, or the node waits on it forever.
+        if (account.gaps.size > 0) {
+            const gap = Math.min(...account.gaps);
+            account.gaps.delete(gap);
+            account.inFlight.add(gap);
+            return gap;
+        }
+
+        const nonce = account.next++;
+        account.inFlight.add(nonce);
+        return nonce;
+    }
+
+    confirm(address, nonce) {
+        this.getAccount(address).inFlight.delete(nonce);
+    }
+
+    // Hands a nonce back after the node rejected its transaction. Released nonces
+    // at the top of the range are reused as if never taken; one below nonces
+    // already handed out becomes a gap for the next reserve to fill.
+    release(address, nonce) {
+        const account = this.getAccount(address);
+        account.inFlight.delete(nonce);
+
+        if (account.next === null || nonce >= account.next) return;
+
+        account.gaps.add(nonce);
+        while (account.gaps.has(account.next - 1)) {
+            account.gaps.delete(--account.next);
+        }
+    }
+
+    gaps(address) {
+        return [...this.getAccount(address).gaps].sort((a, b) => a - b);
+    }
+
+    async resync(address, nonce) {
+        const account = this.getAccount(address);
+        account.inFlight.delete(nonce);
+        account.stale = true;
+        return this.seed(address);
+    }
+}
+
+class OctraAutoTX {
+    constructor(options = {}) {
+        this.rpc = options.rpc || new RpcClient(options);
+        this.nonces = new NonceManager(this);
+        this.nonceRetries = 2;
+        this.fees = options.fees instanceof FeePolicy ? options.fees : new FeePolicy(options.fees);
+    }
+
+    get rpcUrl() {
+        return this.rpc.url;
+    }
+
+    getKeyPair(privateKey) {
+        return getKeyPair(privateKey);
+    }
+
+    addressFromKey(privateKey) {
+        return addressFromKey(privateKey);
+    }
+
+    async makeApiCall(method, endpoint, data = null, headers = {}) {
+        logger.debug(`${method} ${endpoint}`);
+        return this.rpc.request(method, endpoint, data, headers);
+    }
+
+    // Both reads throw RpcError when the node can't be reached or answers with an
+    // error; an unknown account is the only case that reads as zero.
+    async getCurrentNonce(address) {
+        const [balanceResult, stagingResult] = await Promise.all([
+            this.makeApiCall('GET', `/balance/${address}`),
+            this.makeApiCall('GET', '/staging')
+        ]);
+
+        let nonce = 0;
+
+        if (balanceResult.status === 200 && balanceResult.data) {
+            nonce = parseInt(balanceResult.data.nonce || 0);
+        } else if (balanceResult.status !== 404) {
+            throw RpcError.fromResponse('GET', `/balance/${address}`, balanceResult);
+        }
+
+        if (stagingResult.status !== 200 || !stagingResult.data) {
+            throw RpcError.fromResponse('GET', '/staging', stagingResult);
+        }
+
+        const stagedTxs = stagingResult.data.staged_transactions || [];
+        this.fees.observeStaging(stagedTxs.length);
+        const ourTxs = stagedTxs.filter(tx => tx.from === address);
+        if (ourTxs.length > 0) {
+            const maxStagedNonce = Math.max(...ourTxs.map(tx => parseInt(tx.nonce || 0)));
+            nonce = Math.max(nonce, maxStagedNonce);
+        }
+
+        return nonce;
+    }
+
+    async getBalance(address) {
+        const result = await this.makeApiCall('GET', `/balance/${address}`);
+
+        if (result.status === 200 && result.data && typeof result.data === 'object') {
+            if (result.data.balance_raw !== undefined) {
+                return BigInt(result.data.balance_raw);
+            }
+            return parseOCT(result.data.balance || 0);
+        } else if (result.status === 404) {
+            return 0n;
+        } else if (result.status === 200 && result.text) {
+            const parts = result.text.trim().split(/\s+/);
+            if (parts.length >= 2) {
+                return parseOCT(parts[0]);
+            }
+        }
+
+        if (result.status === 200) {
+            throw new RpcError(`GET /balance/${address} returned an unreadable balance: ${result.text}`, {
+                code: 'BAD_RESPONSE',
+                status: result.status,
+                endpoint: result.endpoint
+            });
+        }
+        throw RpcError.fromResponse('GET', `/balance/${address}`, result);
+    }
+
+    // Normalizes both the node's { parsed_tx, epoch } shape and a flat transaction.
+    async getTransaction(hash) {
+        const result = await this.makeApiCall('GET', `/tx/${hash}`);
+
+        if (result.status !== 200 || !result.data || typeof result.data !== 'object') {
+            throw RpcError.fromResponse('GET', `/tx/${hash}`, result);
+        }
+
+        const tx = result.data.parsed_tx || result.data;
+        const rawAmount = tx.amount_raw !== undefined ? tx.amount_raw : tx.amount;
+
+        return {
+            hash: hash,
+            epoch: result.data.epoch !== undefined ? result.data.epoch : null,
+            from: tx.from,
+            to: tx.to || tx.to_,
+            amount: String(rawAmount).includes('.') ? parseOCT(rawAmount) : BigInt(rawAmount || 0),
+            nonce: parseInt(tx.nonce),
+            fee: feeOfOu(tx.ou),
+            timestamp: tx.timestamp !== undefined ? tx.timestamp : null,
+            message: tx.message || null
+        };
+    }
+
+    // Most recent transactions touching the address, newest first, as far back as
+    // the node's limit reaches. An unknown address has no history.
+    async getAddressHistory(address, limit = 100) {
+        const result = await this.makeApiCall('GET', `/address/${address}?limit=${limit}`);
+
+        if (result.status === 404) {
+            return [];
+        }
+        if (result.status !== 200 || !result.data || typeof result.data !== 'object') {
+            throw RpcError.fromResponse('GET', `/address/${address}`, result);
+        }
+
+        const history = [];
+        for (const ref of result.data.recent_transactions || []) {
+            history.push(await this.getTransaction(ref.hash));
+        }
+        return history;
+    }
+
+    // Everything waiting in /staging, normalized like getTransaction. Also feeds the
+    // congestion sample, since the whole pool is read anyway.
+    async getStagedTransactions() {
+        const result = await this.makeApiCall('GET', '/staging');
+
+        if (result.status !== 200 || !result.data || typeof result.data !== 'object') {
+            throw RpcError.fromResponse('GET', '/staging', result);
+        }
+
+        const staged = result.data.staged_transactions || [];
+        this.fees.observeStaging(staged.length);
+
+        return staged.map(tx => {
+            const rawAmount = tx.amount_raw !== undefined ? tx.amount_raw : tx.amount;
+            return {
+                hash: tx.hash || null,
+                from: tx.from,
+                to: tx.to || tx.to_,
+                amount: String(rawAmount).includes('.') ? parseOCT(rawAmount) : BigInt(rawAmount || 0),
+                nonce: parseInt(tx.nonce),
+                ou: String(tx.ou || '1'),
+                timestamp: tx.timestamp !== undefined ? Number(tx.timestamp) : null,
+                message: tx.message || null
+            };
+        });
+    }
+
+    // Refreshes the staging pool size a congestion-aware fee policy works from.
+    // A failed read keeps the last sample; the fee just won't track the pool.
+    async sampleCongestion() {
+        if (!this.fees.needsSample()) return;
+
+        try {
+            const result = await this.makeApiCall('GET', '/staging');
+            if (result.status === 200 && result.data) {
+                this.fees.observeStaging((result.data.staged_transactions || []).length);
+                return;
+            }
+            logger.debug(`GET /staging returned ${result.status}, keeping the last congestion sample`);
+        } catch (error) {
+            logger.debug(`Could not sample /staging: ${error.message}`);
+        }
+    }
+
+    feeTier(amount) {
+        return this.fees.ouFor(amount);
+    }
+
+    estimateFee(amount) {
+        return this.fees.estimate(amount);
+    }
+
+    // Unsigned fields only; sign them here with createTransaction or offline with signTransaction.
+    // A memo goes out in the node's message field, which the signature does not cover.
+    buildTransaction(fromAddress, toAddress, amount, nonce, memo = '') {
+        const transaction = {
+            from: fromAddress,
+            to_: toAddress,
+            amount: String(toMicroOCT(amount)),
+            nonce: parseInt(nonce),
+            ou: this.feeTier(amount),
+            timestamp: Date.now() / 1000 + Math.random() * 0.01
+        };
+        if (memo) {
+            transaction.message = String(memo);
+        }
+        return transaction;
+    }
+
+    createTransaction(fromAddress, privateKey, toAddress, amount, nonce, memo = '') {
+        try {
+            const transaction = signTransaction(this.buildTransaction(fromAddress, toAddress, amount, nonce, memo), privateKey);
+
+            logger.debug(`${fromAddress.slice(0, 10)}... | Signed nonce ${transaction.nonce} to ${toAddress}`, { address: fromAddress, signature: transaction.signature });
+
+            return transaction;
+        } catch (error) {
+            logger.error(`Transaction creation error: ${error.message}`);
+            throw error;
+        }
+    }
+
+    // Posts an already signed transaction. Resolves with the hash when staging
+    // accepts it, or with the node's error; only RPC failures throw.
+    async broadcastTransaction(tx) {
+        const result = await this.makeApiCall('POST', '/send-tx', tx);
+        const txHash = acceptedHash(result);
+
+        return txHash ? { success: true, hash: txHash } : { success: false, error: responseError(result) };
+    }
+
+    // Private balance endpoints take the wallet's key, in a header for reads and in
+    // the body for writes, the same way the node's own client calls them.
+    async getEncryptedBalance(wallet) {
+        const endpoint = `/view_encrypted_balance/${wallet.address}`;
+        const result = await this.makeApiCall('GET', endpoint, null, { 'X-Private-Key': wallet.privateKey });
+
+        if (result.status !== 200 || !result.data || typeof result.data !== 'object') {
+            throw RpcError.fromResponse('GET', endpoint, result);
+        }
+
+        const publicBalance = readBalance(result.data.public_balance_raw, result.data.public_balance);
+        const encrypted = readBalance(result.data.encrypted_balance_raw, result.data.encrypted_balance);
+        return { public: publicBalance, encrypted: encrypted, total: publicBalance + encrypted };
+    }
+
+    // Moves amount from the public balance into the encrypted one ('encrypt') or
+    // back ('decrypt'). The node keeps whatever ciphertext of the new encrypted
+    // balance we hand it, so it is computed here from the current one.
+    async shiftBalance(wallet, amount, direction) {
+        const micro = toMicroOCT(amount);
+
+        try {
+            const { encrypted } = await this.getEncryptedBalance(wallet);
+            if (direction === 'decrypt' && micro > encrypted) {
+                return { success: false, error: `Only ${formatOCT(encrypted)} OCT is encrypted, cannot decrypt ${formatOCT(micro)} OCT` };
+            }
+
+            const result = await this.makeApiCall('POST', `/${direction}_balance`, {
+                address: wallet.address,
+                amount: String(micro),
+                private_key: wallet.privateKey,
+                encrypted_data: encryptClientBalance(direction === 'encrypt' ? encrypted + micro : encrypted - micro, wallet.privateKey)
+            });
+            const txHash = acceptedHash(result);
+
+            return txHash ? { success: true, hash: txHash, amount: micro } : { success: false, error: responseError(result) };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    async encryptBalance(wallet, amount) {
+        return this.shiftBalance(wallet, amount, 'encrypt');
+    }
+
+    async decryptBalance(wallet, amount) {
+        return this.shiftBalance(wallet, amount, 'decrypt');
+    }
+
+    // Null until the address has sent a transaction and so revealed its key.
+    async getPublicKey(address) {
+        const result = await this.makeApiCall('GET', `/public_key/${address}`);
+
+        if (result.status === 404) {
+            return null;
+        }
+        if (result.status !== 200 || !result.data || typeof result.data !== 'object') {
+            throw RpcError.fromResponse('GET', `/public_key/${address}`, result);
+        }
+        return result.data.public_key || null;
+    }
+
+    // Sends amount out of the encrypted balance. The node assigns the nonce,
+    // charges no ou and takes no memo, so the result carries neither nonce nor
+    // fee; otherwise it has the same shape as sendTransaction's and never throws.
+    async sendPrivateTransfer(wallet, toAddress, amount, callbacks = {}) {
+        const log = logger.child({ wallet: wallet.name, address: wallet.address });
+
+        try {
+            const toPublicKey = await this.getPublicKey(toAddress);
+            if (!toPublicKey) {
+                return { success: false, nonce: null, error: `${toAddress} has no public key on chain yet, it must send a transaction before it can receive private transfers` };
+            }
+
+            log.info(`${wallet.name} | Private transfer, Amount: ${formatOCT(amount)} OCT`);
+            if (callbacks.beforeBroadcast) {
+                callbacks.beforeBroadcast({ nonce: null });
+            }
+
+            const result = await this.makeApiCall('POST', '/private_transfer', {
+                from: wallet.address,
+                to: toAddress,
+                amount: String(toMicroOCT(amount)),
+                from_private_key: wallet.privateKey,
+                to_public_key: toPublicKey
+            });
+            const txHash = acceptedHash(result);
+
+            return txHash
+                ? { success: true, hash: txHash, nonce: null, fee: 0n, private: true }
+                : { success: false, nonce: null, error: responseError(result) };
+        } catch (error) {
+            return { success: false, nonce: null, error: error.message };
+        }
+    }
+
+    // Private transfers sent to the wallet that it has not claimed yet. Amounts
+    // stay hidden until a claim, unless the node reports them.
+    async getPendingTransfers(wallet) {
+        const endpoint = `/pending_private_transfers?address=${wallet.address}`;
+        const result = await this.makeApiCall('GET', endpoint, null, { 'X-Private-Key': wallet.privateKey });
+
+        if (result.status !== 200 || !result.data || typeof result.data !== 'object') {
+            throw RpcError.fromResponse('GET', endpoint, result);
+        }
+
+        return (result.data.pending_transfers || []).map(transfer => ({
+            id: String(transfer.id),
+            sender: transfer.sender,
+            epoch: transfer.epoch_id !== undefined ? transfer.epoch_id : null,
+            amount: transfer.amount_raw !== undefined || transfer.amount !== undefined ? readBalance(transfer.amount_raw, transfer.amount) : null
+        }));
+    }
+
+    async claimPrivateTransfer(wallet, transferId) {
+        try {
+            const result = await this.makeApiCall('POST', '/claim_private_transfer', {
+                recipient_address: wallet.address,
+                private_key: wallet.privateKey,
+                transfer_id: transferId
+            });
+
+            if (result.status === 200 && result.data && typeof result.data === 'object') {
+                const amount = result.data.amount_raw !== undefined || result.data.amount !== undefined
+                    ? readBalance(result.data.amount_raw, result.data.amount)
+                    : null;
+                return { success: true, id: String(transferId), amount: amount };
+            }
+            return { success: false, id: String(transferId), error: responseError(result) };
+        } catch (error) {
+            return { success: false, id: String(transferId), error: error.message };
+        }
+    }
+
+    // Never throws. A rejection, or a broadcast that never reached a node, releases
+    // the nonce; a broadcast that may have been staged comes back with unknown: true
+    // and the hash to settle it by, keeping its nonce.
+    async sendTransaction(wallet, toAddress, amount, memo = '', callbacks = {}) {
+        let nonce = null;
+        const log = logger.child({ wallet: wallet.name, address: wallet.address });
+
+        try {
+            await this.sampleCongestion();
+
+            for (let attempt = 0; ; attempt++) {
+                nonce = await this.nonces.reserve(wallet.address);
+                const tx = this.createTransaction(wallet.address, wallet.privateKey, toAddress, amount, nonce, memo);
+                
+                log.info(`${wallet.name} | Nonce: ${nonce}, Amount: ${formatOCT(amount)} OCT`);
+                log.info(`${wallet.name} | Fee: ${formatOCT(feeOfOu(tx.ou))} OCT (ou ${tx.ou})`);
+
+                if (callbacks.beforeBroadcast) {
+                    callbacks.beforeBroadcast(tx);
+                }
+                
+                let result;
+                try {
+                    result = await this.broadcastTransaction(tx);
+                } catch (error) {
+                    if (error.code === 'UNREACHABLE') throw error;
+
+                    // The request left but no answer came back, so the node may have
+                    // staged it: keep the nonce and let the caller settle it by hash.
+                    this.nonces.confirm(wallet.address, nonce);
+                    log.warning(`${wallet.name} | Nonce ${nonce} broadcast outcome unknown: ${error.message}`);
+                    return {
+                        success: false,
+                        unknown: true,
+                        hash: transactionHash(tx),
+                        nonce: nonce,
+                        fee: feeOfOu(tx.ou),
+                        transaction: tx,
+                        error: error.message
+                    };
+                }
+
+                if (result.success) {
+                    this.nonces.confirm(wallet.address, nonce);
+                    return {
+                        success: true,
+                        hash: result.hash,
+                        nonce: nonce,
+                        fee: feeOfOu(tx.ou),
+                        transaction: tx
+                    };
+                }
+
+                const errorMsg = result.error;
+
+                if (isNonceError(errorMsg) && attempt < this.nonceRetries) {
+                    log.warning(`${wallet.name} | Nonce ${nonce} rejected, resyncing with node...`);
+                    metrics.inc('pempek_nonce_resyncs_total', { wallet: wallet.name });
+                    await this.nonces.resync(wallet.address, nonce);
+                    nonce = null;
+                    continue;
+                }
+
+                this.nonces.release(wallet.address, nonce);
+                return {
+                    success: false,
+                    nonce: nonce,
+                    error: errorMsg
+                };
+            }
+        } catch (error) {
+            if (nonce !== null) {
+                this.nonces.release(wallet.address, nonce);
+            }
+            return {
+                success: false,
+                nonce: nonce,
+                error: error.message
+            };
+        }
+    }
+
+    // Fills the wallet's nonce gaps with 0 OCT transfers to itself, so the
+    // transactions staged above them can confirm. Stops at the first one that fails.
+    async fillNonceGaps(wallet) {
+        const results = [];
+
+        while (this.nonces.gaps(wallet.address).length > 0) {
+            const result = await this.sendTransaction(wallet, wallet.address, 0n);
+            results.push(result);
+            if (!result.success) break;
+        }
+        return results;
+    }
+}
+
+module.exports = {
+    isNonceError,
+    NonceManager,
+    OctraAutoTX
+};
@@ -0,0 +1,326 @@
+const fs = require('fs');
+const YAML = require('yaml');
+
+const { parseOCT } = require('./amounts');
+const { ADDRESS_REGEX, addressFromKey } = require('./signer');
+const { BUDGET_POLICIES, DISTRIBUTIONS } = require('./engine');
+const { FeePolicy } = require('./fees');
+
+const DEFAULT_CONFIG_FILES = ['octra.config.json', 'octra.config.yaml', 'octra.config.yml'];
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+function checkUrl(value) {
+    if (typeof value !== 'string' || !/^https?:\/\/\S+$/.test(value)) {
+        throw new Error(`must be an http(s) URL, got: ${JSON.stringify(value)}`);
+    }
+    return value.replace(/\/+$/, '');
+}
+
+function checkNumber(value, { min = 0, integer = false, positive = false } = {}) {
+    const ok = typeof value === 'number' && Number.isFinite(value) && value >= min && (!positive || value > 0) && (!integer || Number.isInteger(value));
+    if (!ok) {
+        throw new Error(`must be a ${integer ? 'positive integer' : positive ? 'positive number' : 'number of seconds'}, got: ${JSON.stringify(value)}`);
+    }
+    return value;
+}
+
+function checkAddressList(value) {
+    if (!Array.isArray(value)) {
+        throw new Error(`must be a list of addresses, got: ${JSON.stringify(value)}`);
+    }
+    value.forEach((address, i) => {
+        if (typeof address !== 'string' || !ADDRESS_REGEX.test(address)) {
+            throw new Error(`entry ${i + 1} is not a valid oct address: ${JSON.stringify(address)}`);
+        }
+    });
+    return [...value];
+}
+
+function checkNamedLists(value, check) {
+    if (!isObject(value)) {
+        throw new Error(`must map names to lists, got: ${JSON.stringify(value)}`);
+    }
+    const lists = {};
+    for (const [name, list] of Object.entries(value)) {
+        try {
+            lists[name] = check(list);
+        } catch (error) {
+            throw new Error(`${name}: ${error.message}`);
+        }
+    }
+    return lists;
+}
+
+// Keys never sit in the config file itself, since config files get committed and
+// shared: each wallet names the environment variable holding its key. With
+// resolveKeys off only the shape is checked, for profiles that weren't selected.
+function checkWallets(value, { resolveKeys = true } = {}) {
+    if (!Array.isArray(value)) {
+        throw new Error(`must be a list of { name, address, privateKeyEnv }, got: ${JSON.stringify(value)}`);
+    }
+
+    const names = new Set();
+    return value.map((raw, i) => {
+        const name = isObject(raw) && raw.name !== undefined ? String(raw.name) : `Wallet${i + 1}`;
+        const fail = (message) => {
+            throw new Error(`${name}: ${message}`);
+        };
+
+        if (!isObject(raw)) fail('must be a mapping with address and privateKeyEnv');
+        if (names.has(name)) fail('duplicate wallet name');
+        names.add(name);
+        if (typeof raw.address !== 'string' || !ADDRESS_REGEX.test(raw.address)) fail(`invalid address: ${JSON.stringify(raw.address)}`);
+
+        if (raw.privateKey !== undefined) {
+            fail('plaintext privateKey is not allowed in a config file, move the key out: into an environment variable named by privateKeyEnv, or into the keystore (node pempek.js keystore import) with the keystore setting pointing at it');
+        }
+        if (typeof raw.privateKeyEnv !== 'string' || !raw.privateKeyEnv) fail('needs privateKeyEnv, the environment variable holding its key');
+        if (!resolveKeys) return { name, address: raw.address, source: 'config' };
+
+        const privateKey = process.env[raw.privateKeyEnv];
+        if (!privateKey) fail(`environment variable ${raw.privateKeyEnv} is not set`);
+
+        let derived;
+        try {
+            derived = addressFromKey(privateKey);
+        } catch (error) {
+            fail(`invalid private key: ${error.message}`);
+        }
+        if (derived !== raw.address) fail(`key belongs to ${derived}, not ${raw.address}`);
+
+        return { name, privateKey, address: raw.address, source: 'config' };
+    });
+}
+
+const FEE_SETTINGS = ['strategy', 'ou', 'tiers', 'perOu', 'maxOu', 'maxFee'];
+
+// Every setting a profile (or the top level, shared by all profiles) may hold.
+// Each check throws with a message for the user or returns the normalized value;
+// it gets validateSettings' options as its second argument.
+const CONFIG_SCHEMA = {
+    rpc: (value) => (Array.isArray(value) ? value : [value]).map(checkUrl),
+    explorer: checkUrl,
+    rateLimit: (value) => checkNumber(value, { positive: true }),
+    rpcTimeout: (value) => checkNumber(value, { positive: true }),
+    keystore: (value) => {
+        if (typeof value !== 'string' || !value) throw new Error('must be a file path');
+        return value;
+    },
+    treasury: (value) => {
+        if (typeof value !== 'string' || !value) throw new Error('must be a wallet name or address');
+        return value;
+    },
+    amount: (value) => {
+        const amount = parseOCT(value);
+        if (amount <= 0n) throw new Error('must be greater than zero');
+        return amount;
+    },
+    min: (value) => parseOCT(value),
+    max: (value) => parseOCT(value),
+    count: (value) => checkNumber(value, { integer: true, positive: true }),
+    pipeline: (value) => checkNumber(value, { integer: true, positive: true }),
+    concurrency: (value) => checkNumber(value, { integer: true, positive: true }),
+    txDelay: (value) => checkNumber(value),
+    walletDelay: (value) => checkNumber(value),
+    confirmTimeout: (value) => checkNumber(value, { positive: true }),
+    budget: (value) => {
+        if (!BUDGET_POLICIES.includes(value)) throw new Error(`must be one of ${BUDGET_POLICIES.join(', ')}, got: ${JSON.stringify(value)}`);
+        return value;
+    },
+    distribution: (value) => {
+        if (!DISTRIBUTIONS.includes(value)) throw new Error(`must be one of ${DISTRIBUTIONS.join(', ')}, got: ${JSON.stringify(value)}`);
+        return value;
+    },
+    weights: (value) => {
+        if (!Array.isArray(value) || value.some(weight => !Number.isInteger(weight) || weight < 0)) {
+            throw new Error(`must be a list of non-negative integers, one per recipient, got: ${JSON.stringify(value)}`);
+        }
+        return [...value];
+    },
+    wallets: checkWallets,
+    groups: (value) => checkNamedLists(value, (list) => {
+        if (!Array.isArray(list) || list.some(member => typeof member !== 'string')) {
+            throw new Error('must be a list of wallet names or addresses');
+        }
+        return [...list];
+    }),
+    recipients: checkAddressList,
+    recipientLists: (value) => checkNamedLists(value, checkAddressList),
+    fees: (value) => {
+        if (!isObject(value)) throw new Error(`must be a mapping with strategy, ou, tiers, perOu, maxOu and maxFee, got: ${JSON.stringify(value)}`);
+        const unknown = Object.keys(value).filter(key => !FEE_SETTINGS.includes(key));
+        if (unknown.length > 0) throw new Error(`unknown fee setting ${unknown.join(', ')}, expected one of ${FEE_SETTINGS.join(', ')}`);
+        new FeePolicy(value);
+        return { ...value };
+    }
+};
+
+function validateSettings(raw, prefix, errors, options = {}) {
+    const settings = {};
+
+    for (const [key, value] of Object.entries(raw)) {
+        const check = CONFIG_SCHEMA[key];
+        if (!check) {
+            errors.push(`${prefix}${key}: unknown setting, expected one of ${Object.keys(CONFIG_SCHEMA).join(', ')}`);
+            continue;
+        }
+        if (value === null) continue;
+
+        try {
+            settings[key] = check(value, options);
+        } catch (error) {
+            errors.push(`${prefix}${key}: ${error.message}`);
+        }
+    }
+
+    return settings;
+}
+
+function readConfigFile(filePath) {
+    const text = fs.readFileSync(filePath, 'utf8');
+    const yaml = /\.ya?ml$/i.test(filePath);
+
+    try {
+        return yaml ? YAML.parse(text) : JSON.parse(text);
+    } catch (error) {
+        // The YAML parser follows its message with a code frame; the line and column are enough.
+        throw new Error(`Invalid ${yaml ? 'YAML' : 'JSON'} in ${filePath}: ${error.message.split('\n')[0]}`);
+    }
+}
+
+// Reads the config file (options.file, OCTRA_CONFIG, or the first of
+// DEFAULT_CONFIG_FILES present) and resolves one profile on top of the shared
+// top-level settings. Without a file every setting is left unset, so callers
+// fall back to env variables and their own defaults.
+function loadConfig(options = {}) {
+    const explicit = options.file || process.env.OCTRA_CONFIG;
+    const filePath = explicit || DEFAULT_CONFIG_FILES.find(name => fs.existsSync(name));
+    const profileName = options.profile || process.env.OCTRA_PROFILE;
+    const empty = { file: null, profile: null, wallets: [], groups: {}, recipients: [], recipientLists: {} };
+
+    if (!filePath) {
+        if (profileName) {
+            throw new Error(`Profile ${profileName} requested but no config file found (looked for ${DEFAULT_CONFIG_FILES.join(', ')})`);
+        }
+        return empty;
+    }
+    if (!fs.existsSync(filePath)) {
+        throw new Error(`Config file not found: ${filePath}`);
+    }
+
+    const raw = readConfigFile(filePath);
+    if (!isObject(raw)) {
+        throw new Error(`${filePath} must contain a mapping of settings`);
+    }
+
+    const { profiles = {}, defaultProfile, ...shared } = raw;
+    const errors = [];
+
+    if (!isObject(profiles)) {
+        errors.push('profiles: must map profile names to settings');
+    }
+    if (defaultProfile !== undefined && (typeof defaultProfile !== 'string' || !isObject(profiles) || !profiles[defaultProfile])) {
+        errors.push(`defaultProfile: no profile named ${JSON.stringify(defaultProfile)}`);
+    }
+
+    // Every profile is checked, but only the selected one's wallet keys are read
+    // from the environment: a machine needs no keys for profiles it doesn't use.
+    const selected = profileName || defaultProfile || null;
+    const base = validateSettings(shared, '', errors);
+    const resolved = {};
+    for (const [name, settings] of Object.entries(isObject(profiles) ? profiles : {})) {
+        if (!isObject(settings)) {
+            errors.push(`profiles.${name}: must be a mapping of settings`);
+            continue;
+        }
+        resolved[name] = validateSettings(settings, `profiles.${name}.`, errors, { resolveKeys: name === selected });
+    }
+
+    if (selected && errors.length === 0 && !resolved[selected]) {
+        const available = Object.keys(resolved);
+        errors.push(`Unknown profile ${selected}${available.length > 0 ? `, available: ${available.join(', ')}` : ', the file defines no profiles'}`);
+    }
+
+    const settings = { ...base, ...(selected ? resolved[selected] : {}) };
+    if (settings.min !== undefined && settings.max !== undefined && settings.min >= settings.max) {
+        errors.push(`${selected ? `profiles.${selected}.` : ''}min: must be less than max`);
+    }
+    if (settings.distribution === 'weighted' && settings.weights === undefined) {
+        errors.push(`${selected ? `profiles.${selected}.` : ''}distribution: weighted needs weights`);
+    }
+
+    if (errors.length > 0) {
+        throw new Error(`${filePath} has ${errors.length} error(s):\n${errors.join('\n')}`);
+    }
+
+    return { ...empty, ...settings, file: filePath, profile: selected };
+}
+
+// The config settings that map onto run options, in the units the engine takes.
+// Unset settings stay undefined so the engine's own defaults apply.
+function configRunOptions(config) {
+    const ms = (seconds) => (seconds === undefined ? undefined : Math.round(seconds * 1000));
+
+    return {
+        rpcUrl: config.rpc ? config.rpc.join(',') : undefined,
+        timeout: ms(config.rpcTimeout),
+        rateLimit: config.rateLimit,
+        explorerUrl: config.explorer,
+        pipelineDepth: config.pipeline,
+        concurrency: config.concurrency,
+        txDelay: ms(config.txDelay),
+        walletDelay: ms(config.walletDelay),
+        confirmTimeout: ms(config.confirmTimeout),
+        budgetPolicy: config.budget,
+        fees: config.fees,
+        distribution: config.distribution,
+        weights: config.weights
+    };
+}
+
+// "--wallets"-style lists: wallet names or addresses, or group names from the
+// config that expand to their members.
+function selectWallets(wallets, spec, groups = {}) {
+    if (!spec) return wallets;
+
+    const selected = [];
+    const add = (key, seen) => {
+        const wallet = wallets.find(w => w.name === key || w.address === key);
+        if (wallet) {
+            if (!selected.includes(wallet)) selected.push(wallet);
+        } else if (groups[key] && !seen.includes(key)) {
+            groups[key].forEach(member => add(member, [...seen, key]));
+        } else {
+            throw new Error(`Unknown wallet${Object.keys(groups).length > 0 ? ' or group' : ''}: ${key}`);
+        }
+    };
+
+    spec.split(',').map(s => s.trim()).filter(Boolean).forEach(key => add(key, []));
+    return selected;
+}
+
+function selectRecipients(spec, lists = {}) {
+    const recipients = [];
+
+    for (const key of spec.split(',').map(s => s.trim()).filter(Boolean)) {
+        if (lists[key]) {
+            recipients.push(...lists[key]);
+        } else if (ADDRESS_REGEX.test(key)) {
+            recipients.push(key);
+        } else {
+            throw new Error(`Invalid recipient address format: ${key}`);
+        }
+    }
+
+    return recipients;
+}
+
+module.exports = {
+    DEFAULT_CONFIG_FILES,
+    CONFIG_SCHEMA,
+    loadConfig,
+    configRunOptions,
+    selectWallets,
+    selectRecipients
+};
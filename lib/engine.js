@@ -0,0 +1,668 @@
+const path = require('path');
+const { EventEmitter } = require('events');
+const moment = require('moment-timezone');
+
+const { delay } = require('./util');
+const { toMicroOCT, formatOCT } = require('./amounts');
+const { colors, logger, displayProgress, countdownTimer } = require('./logger');
+const { metrics } = require('./metrics');
+const { statusBoard } = require('./status');
+const { OctraAutoTX } = require('./client');
+const { ConfirmationTracker } = require('./tracker');
+const { TxJournal } = require('./journal');
+
+function generateRandomAmount(min, max) {
+    const minMicro = toMicroOCT(min);
+    const span = Number(toMicroOCT(max) - minMicro);
+    return minMicro + BigInt(Math.floor(Math.random() * (span + 1)));
+}
+
+const DISTRIBUTIONS = ['random', 'round-robin', 'weighted'];
+
+// Returns a function that picks the next recipient index:
+//   random       uniformly at random, every time
+//   round-robin  each recipient in turn, across all wallets of the plan
+//   weighted     each recipient in proportion to its weight, interleaved
+//                (smooth weighted round-robin), so n × sum(weights) picks hand
+//                every recipient exactly n × its weight
+function recipientPicker(recipients, distribution = 'random', weights = null) {
+    if (!DISTRIBUTIONS.includes(distribution)) {
+        throw new Error(`Unknown distribution: ${distribution}, expected ${DISTRIBUTIONS.join(', ')}`);
+    }
+
+    if (distribution === 'random') {
+        return () => Math.floor(Math.random() * recipients.length);
+    }
+
+    if (distribution === 'round-robin') {
+        let next = 0;
+        return () => next++ % recipients.length;
+    }
+
+    if (!Array.isArray(weights) || weights.length !== recipients.length) {
+        throw new Error(`Weighted distribution needs one weight per recipient, got ${Array.isArray(weights) ? weights.length : 0} for ${recipients.length}`);
+    }
+    if (weights.some(weight => !Number.isInteger(weight) || weight < 0) || !weights.some(weight => weight > 0)) {
+        throw new Error(`Weights must be non-negative integers with at least one above zero, got: ${weights.join(',')}`);
+    }
+
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+    const current = weights.map(() => 0);
+    return () => {
+        let best = 0;
+        for (let i = 0; i < weights.length; i++) {
+            current[i] += weights[i];
+            if (current[i] > current[best]) best = i;
+        }
+        current[best] -= total;
+        return best;
+    };
+}
+
+// options.distribution and options.weights choose how recipients are picked,
+// see recipientPicker; the default stays random. options.memo replaces the generated
+// memo on every entry, and an empty one leaves it out. Private transfers carry no
+// memo, so options.private plans go without one.
+function buildTransactionPlan(wallets, recipients, amount, txPerWallet, isRandom = false, minAmount = 0.01, maxAmount = 0.1, options = {}) {
+    const pickRecipient = recipientPicker(recipients, options.distribution, options.weights);
+    const plan = [];
+
+    for (const wallet of wallets) {
+        for (let i = 0; i < txPerWallet; i++) {
+            const recipientIndex = pickRecipient();
+
+            plan.push({
+                id: plan.length + 1,
+                wallet: wallet.name,
+                from: wallet.address,
+                to: recipients[recipientIndex],
+                recipientIndex: recipientIndex,
+                amount: isRandom ? generateRandomAmount(minAmount, maxAmount) : toMicroOCT(amount),
+                index: i + 1,
+                count: txPerWallet,
+                memo: options.private ? null : options.memo !== undefined ? options.memo || null : `Pempek TX ${i + 1} from ${wallet.name}`
+            });
+        }
+    }
+
+    return plan;
+}
+
+// Pacing, concurrency and policy settings a resumed run should keep using.
+function pickRunOptions(options) {
+    return {
+        pipelineDepth: options.pipelineDepth,
+        concurrency: options.concurrency,
+        txDelay: options.txDelay,
+        walletDelay: options.walletDelay,
+        rateLimit: options.rateLimit,
+        confirmInterval: options.confirmInterval,
+        confirmTimeout: options.confirmTimeout,
+        fees: options.fees,
+        private: options.private,
+        budgetPolicy: options.budgetPolicy,
+        distribution: options.distribution,
+        explorerUrl: options.explorerUrl
+    };
+}
+
+async function executeTransactions(wallets, recipients, amount, txPerWallet, isRandom = false, minAmount = 0.01, maxAmount = 0.1, options = {}) {
+    const distribution = options.distribution || 'random';
+    const plan = buildTransactionPlan(wallets, recipients, amount, txPerWallet, isRandom, minAmount, maxAmount, options);
+
+    logger.bridge(`Starting Pempek Lahat transactions for ${wallets.length} wallets...`);
+    logger.stats(`Configuration: ${txPerWallet} tx per wallet to ${recipients.length} recipients (${distribution === 'random' ? 'randomized' : distribution === 'weighted' ? `weighted ${options.weights.join(':')}` : 'round-robin'})`);
+    logger.stats(`Amount: ${isRandom ? `Random ${formatOCT(minAmount)}-${formatOCT(maxAmount)}` : formatOCT(amount)} OCT`);
+    let journal = null;
+
+    if (options.journal !== false) {
+        journal = TxJournal.create(options.journalDir, {
+            mode: isRandom ? 'random' : 'fixed',
+            amount: isRandom ? null : toMicroOCT(amount),
+            minAmount: isRandom ? toMicroOCT(minAmount) : null,
+            maxAmount: isRandom ? toMicroOCT(maxAmount) : null,
+            txPerWallet: txPerWallet,
+            distribution: distribution,
+            weights: options.weights || null,
+            options: pickRunOptions(options)
+        });
+
+        for (const entry of plan) {
+            journal.append('planned', entry);
+        }
+    }
+
+    return executePlan(wallets, plan, { ...options, journal });
+}
+
+async function resumeTransactions(wallets, journalPath, options = {}) {
+    const journal = TxJournal.open(journalPath);
+    const state = journal.replay();
+    const octra = new OctraAutoTX({ rpcUrl: options.rpcUrl, timeout: options.timeout, rateLimit: options.rateLimit, fees: options.fees });
+    const remaining = [];
+
+    if (!state.run) {
+        journal.close();
+        throw new Error(`Not a transaction journal: ${journalPath}`);
+    }
+
+    logger.bridge(`Resuming run ${state.run.runId} from ${journalPath}`);
+
+    for (const tx of state.transactions.values()) {
+        if (tx.status === 'planned') {
+            remaining.push(tx);
+        } else if (tx.status === 'sending' && tx.nonce === null) {
+            // Private transfers get their nonce from the node, so there's nothing to check.
+            journal.append('unknown', { id: tx.id, error: 'Private transfer outcome unknown' });
+            logger.warning(`${tx.wallet} | Private TX ${tx.index}/${tx.count} may have been sent, not re-sending`);
+        } else if (tx.status === 'sending') {
+            let nonce;
+            try {
+                nonce = await octra.getCurrentNonce(tx.from);
+            } catch (error) {
+                journal.close();
+                throw new Error(`Cannot check whether TX ${tx.index}/${tx.count} of ${tx.wallet} was broadcast: ${error.message}`);
+            }
+
+            if (nonce >= tx.nonce) {
+                journal.append('unknown', { id: tx.id, nonce: tx.nonce, error: 'Broadcast outcome unknown, nonce already used' });
+                logger.warning(`${tx.wallet} | TX ${tx.index}/${tx.count} may have been broadcast (nonce ${tx.nonce} used), not re-sending`);
+            } else {
+                remaining.push(tx);
+            }
+        } else if ((tx.status === 'unknown' || tx.status === 'accepted') && tx.hash) {
+            // Possibly spent: look the hash up, but never send it again.
+            let found = null;
+            try {
+                found = await octra.getTransaction(tx.hash);
+            } catch (error) {
+                // Not known to the node, or the node is unreachable; either way it stays open.
+            }
+
+            if (found && found.epoch !== null) {
+                journal.append('confirmed', { id: tx.id, hash: tx.hash, epoch: found.epoch });
+                logger.success(`${tx.wallet} | TX ${tx.index}/${tx.count} confirmed in epoch ${found.epoch} | ${tx.hash}`);
+            } else {
+                logger.warning(`${tx.wallet} | TX ${tx.index}/${tx.count} may still be on chain (${tx.hash}), not re-sending`);
+            }
+        }
+    }
+
+    const settled = state.transactions.size - remaining.length;
+    logger.stats(`Journal: ${settled}/${state.transactions.size} transaction(s) already handled, ${remaining.length} remaining`);
+
+    if (remaining.length === 0) {
+        journal.append('done');
+        journal.close();
+        logger.success('Nothing left to send, run is complete');
+        return { ...new ConfirmationTracker(octra).summarize(), journal: journal.filePath, interrupted: false };
+    }
+
+    const plan = remaining.map(tx => ({
+        id: tx.id,
+        wallet: tx.wallet,
+        from: tx.from,
+        to: tx.to,
+        recipientIndex: tx.recipientIndex,
+        amount: tx.amount,
+        index: tx.index,
+        count: tx.count,
+        memo: tx.memo
+    }));
+
+    const runOptions = { ...state.run.options };
+    for (const [key, value] of Object.entries(options)) {
+        if (value !== undefined) runOptions[key] = value;
+    }
+
+    return executePlan(wallets, plan, { ...runOptions, journal });
+}
+
+const BUDGET_POLICIES = ['fail', 'shrink', 'skip'];
+
+const DEFAULT_EXPLORER_URL = 'https://octrascan.io';
+
+// Private transfers come out of the encrypted balance and carry no fee.
+function applyBudget(entries, balance, octra, policy = 'fail', withFees = true) {
+    const costOf = (entry) => entry.amount + (withFees ? octra.estimateFee(entry.amount) : 0n);
+    const required = entries.reduce((sum, entry) => sum + costOf(entry), 0n);
+
+    if (required <= balance) {
+        return { send: entries, dropped: [], required };
+    }
+
+    if (policy === 'shrink') {
+        const send = [];
+        let available = balance;
+
+        for (const entry of entries) {
+            if (costOf(entry) > available) break;
+            available -= costOf(entry);
+            send.push(entry);
+        }
+
+        return { send, dropped: entries.slice(send.length), required };
+    }
+
+    return { send: [], dropped: entries, required };
+}
+
+// Runs a transaction plan and reports progress as events:
+//   txPlanned(entry)            once per plan entry, before anything is sent
+//   txSent(entry)               accepted into staging, with hash and nonce
+//   txFailed(entry)             rejected, unsendable or dropped, with error
+//   txUnknown(entry)            broadcast got no answer, with the hash it would have
+//   txSkipped(entry)            left out by the 'skip' or 'shrink' budget policy
+//   txConfirmed(entry)          included in an epoch
+//   walletDone(result)          a wallet's plan is through: wallet, address and counts
+//   runDone(summary)            same summary run() resolves with
+// Nothing touches process signals unless options.handleSignals is set; embedders
+// call stop() themselves.
+class RunEngine extends EventEmitter {
+    constructor() {
+        super();
+        this.running = false;
+        this.stopping = false;
+        this.tracker = null;
+    }
+
+    // Lets in-flight transactions finish, sends nothing new, and stops waiting for confirmations.
+    stop() {
+        this.stopping = true;
+        if (this.tracker) {
+            this.tracker.stop();
+        }
+    }
+
+    async run(wallets, plan, options = {}) {
+        if (this.running) {
+            throw new Error('This engine is already running a plan');
+        }
+        this.running = true;
+        this.stopping = false;
+
+        const octra = options.octra || new OctraAutoTX({ rpcUrl: options.rpcUrl, timeout: options.timeout, rateLimit: options.rateLimit, fees: options.fees });
+        const journal = options.journal || null;
+        const tracker = new ConfirmationTracker(octra, {
+            pollInterval: options.confirmInterval,
+            timeout: options.confirmTimeout,
+            onSettle: (record) => {
+                if (journal) {
+                    journal.append(record.status, { id: record.id, hash: record.hash, epoch: record.epoch });
+                }
+                if (record.status === 'confirmed') {
+                    metrics.inc('pempek_tx_confirmed_total', { wallet: record.wallet });
+                    this.emit('txConfirmed', record);
+                } else if (record.status === 'dropped') {
+                    metrics.inc('pempek_tx_failed_total', { wallet: record.wallet });
+                    statusBoard.recordError(record.wallet, `TX ${record.hash} dropped from staging`);
+                    this.emit('txFailed', { ...record, error: 'Dropped from staging' });
+                }
+            }
+        });
+        const pipelineDepth = Math.max(1, parseInt(options.pipelineDepth) || 1);
+        const concurrency = Math.max(1, parseInt(options.concurrency) || 1);
+        const txDelay = options.txDelay !== undefined ? options.txDelay : (pipelineDepth === 1 ? 3000 : 0);
+        const walletDelay = options.walletDelay !== undefined ? options.walletDelay : 5000;
+        const budgetPolicy = options.budgetPolicy || 'fail';
+        const isPrivate = !!options.private;
+        const explorerUrl = options.explorerUrl || process.env.OCTRA_EXPLORER_URL || DEFAULT_EXPLORER_URL;
+        const totalTx = plan.length;
+
+        if (!BUDGET_POLICIES.includes(budgetPolicy)) {
+            this.running = false;
+            throw new Error(`Unknown budget policy: ${budgetPolicy}, expected ${BUDGET_POLICIES.join(', ')}`);
+        }
+        this.tracker = tracker;
+        let completedTx = 0;
+        let successfulTx = 0;
+
+        const onSigint = () => {
+            if (this.stopping) {
+                logger.error('Forced exit, in-flight transactions may be left unrecorded');
+                process.exit(130);
+            }
+            this.stop();
+            logger.warning('Stopping after in-flight transactions... (press Ctrl+C again to force)');
+        };
+        if (options.handleSignals) {
+            process.on('SIGINT', onSigint);
+        }
+        if (journal) {
+            TxJournal.active.add(journal);
+        }
+
+        // A single worker keeps the interactive countdown; parallel workers would
+        // overwrite each other's line, so they just log and sleep.
+        const pause = async (ms, what) => {
+            if (ms <= 0 || this.stopping) return;
+
+            if (concurrency === 1 && ms % 1000 === 0) {
+                logger.timer(`Waiting ${ms / 1000} seconds before next ${what}...`);
+                await countdownTimer(ms / 1000, `Next ${what} in`, () => this.stopping);
+            } else {
+                logger.timer(`Waiting ${(ms / 1000).toFixed(1)}s before next ${what}...`);
+                for (const until = Date.now() + ms; Date.now() < until && !this.stopping;) {
+                    await delay(Math.min(250, until - Date.now()));
+                }
+            }
+        };
+
+        const failEntries = (entries, error) => {
+            statusBoard.recordError(entries[0].wallet, error);
+            for (const entry of entries) {
+                completedTx++;
+                metrics.inc('pempek_tx_failed_total', { wallet: entry.wallet });
+                tracker.fail({ ...entry, error: error, submittedAt: Date.now() });
+                if (journal) {
+                    journal.append('failed', { id: entry.id, error: error });
+                }
+                this.emit('txFailed', { ...entry, error: error });
+            }
+        };
+
+        logger.stats(`Pipeline: up to ${pipelineDepth} tx in flight per wallet, ${concurrency} wallet(s) at a time`);
+        logger.stats(isPrivate ? 'Transfers: private, from encrypted balances' : `Fees: ${octra.fees.describe()}`);
+        if (octra.rpc.limiter.rate > 0) {
+            logger.stats(`Rate limit: ${octra.rpc.limiter.rate} RPC request(s)/s`);
+        }
+        logger.network(`RPC Endpoint: ${octra.rpc.endpoints.map(e => e.url).join(', ')} (Python CLI Compatible)`);
+        if (journal) {
+            logger.info(`Journal: ${journal.filePath}`);
+        }
+
+        const walletPlans = new Map();
+        for (const entry of plan) {
+            if (!walletPlans.has(entry.from)) {
+                walletPlans.set(entry.from, []);
+            }
+            walletPlans.get(entry.from).push(entry);
+            this.emit('txPlanned', entry);
+        }
+
+        const runWallet = async (address, entries) => {
+            const log = logger.child({ wallet: entries[0].wallet, address: address });
+            const wallet = wallets.find(w => w.address === address);
+            const result = { wallet: entries[0].wallet, address: address, planned: entries.length, sent: 0, failed: 0, unknown: 0, skipped: 0 };
+
+            if (!wallet) {
+                log.error(`${entries[0].wallet} | No private key loaded for ${address}, skipping ${entries.length} transaction(s)`);
+                failEntries(entries, 'Wallet not loaded');
+                return { ...result, failed: entries.length };
+            }
+
+            log.wallet(`Processing ${wallet.name}: ${wallet.address}`);
+
+            let balance;
+            try {
+                balance = isPrivate ? (await octra.getEncryptedBalance(wallet)).encrypted : await octra.getBalance(wallet.address);
+            } catch (error) {
+                log.error(`${wallet.name} | Could not read balance, failing ${entries.length} transaction(s): ${error.message}`);
+                failEntries(entries, `Could not read balance: ${error.message}`);
+                return { ...result, failed: entries.length };
+            }
+            log.info(`${wallet.name} | ${isPrivate ? 'Encrypted balance' : 'Balance'}: ${colors.brightGreen}${formatOCT(balance)} OCT${colors.reset}`);
+            if (!isPrivate) {
+                statusBoard.setBalance(wallet, balance);
+            }
+
+            const budget = applyBudget(entries, balance, octra, budgetPolicy, !isPrivate);
+
+            if (budget.dropped.length > 0) {
+                const reason = isPrivate
+                    ? `Insufficient encrypted balance for plan: needs ${formatOCT(budget.required)} OCT, has ${formatOCT(balance)} OCT`
+                    : `Insufficient balance for plan: needs ${formatOCT(budget.required)} OCT (amounts + fees), has ${formatOCT(balance)} OCT`;
+                const action = budgetPolicy === 'shrink'
+                    ? `sending ${budget.send.length}/${entries.length} transaction(s)`
+                    : `${budgetPolicy === 'skip' ? 'skipping' : 'failing'} ${entries.length} transaction(s)`;
+                log.warning(`${wallet.name} | ${reason}, ${action}`);
+                if (budgetPolicy === 'fail') {
+                    statusBoard.recordError(wallet.name, reason);
+                }
+
+                for (const entry of budget.dropped) {
+                    completedTx++;
+                    if (budgetPolicy === 'fail') {
+                        result.failed++;
+                        metrics.inc('pempek_tx_failed_total', { wallet: wallet.name });
+                        tracker.fail({ ...entry, error: reason, submittedAt: Date.now() });
+                        this.emit('txFailed', { ...entry, error: reason });
+                    } else {
+                        result.skipped++;
+                        tracker.skip({ ...entry, error: reason });
+                        this.emit('txSkipped', { ...entry, error: reason });
+                    }
+                    if (journal) {
+                        journal.append(budgetPolicy === 'fail' ? 'failed' : 'skipped', { id: entry.id, error: reason });
+                    }
+                }
+            }
+
+            const memos = isPrivate ? budget.send.filter(entry => entry.memo).length : 0;
+            if (memos > 0) {
+                log.warning(`${wallet.name} | Private transfers carry no memo, ${memos} memo(s) of this plan are not sent`);
+            }
+
+            const inFlight = new Set();
+
+            for (const [i, entry] of budget.send.entries()) {
+                if (this.stopping) break;
+
+                const currentTime = moment().tz('Asia/Jakarta').format('HH:mm:ss');
+
+                displayProgress(completedTx, totalTx, wallet.name, 'Pempek TX');
+
+                log.sending(`${wallet.name} | [${currentTime}] Sending ${formatOCT(entry.amount)} OCT${isPrivate ? ' privately' : ''} to ${entry.to.slice(0, 10)}... (Recipient${entry.recipientIndex + 1})`);
+
+                const submittedAt = Date.now();
+                const callbacks = {
+                    beforeBroadcast: (tx) => {
+                        metrics.inc('pempek_tx_sent_total', { wallet: wallet.name });
+                        if (journal) {
+                            journal.append('sending', { id: entry.id, nonce: tx.nonce });
+                        }
+                    }
+                };
+                const pending = (isPrivate
+                    ? octra.sendPrivateTransfer(wallet, entry.to, entry.amount, callbacks)
+                    : octra.sendTransaction(wallet, entry.to, entry.amount, entry.memo, callbacks)
+                ).then(sent => {
+                    completedTx++;
+
+                    if (sent.success) {
+                        successfulTx++;
+                        result.sent++;
+                        metrics.inc('pempek_tx_accepted_total', { wallet: wallet.name });
+                        if (journal) {
+                            journal.append('accepted', { id: entry.id, nonce: sent.nonce, hash: sent.hash, fee: sent.fee });
+                        }
+                        tracker.track({
+                            ...entry,
+                            hash: sent.hash,
+                            nonce: sent.nonce,
+                            fee: sent.fee,
+                            submittedAt: submittedAt
+                        });
+                        log.success(`${wallet.name} | TX ${entry.index}/${entry.count} ✓ ${sent.nonce !== null ? `Nonce: ${sent.nonce}` : 'Private'} Hash: ${colors.brightYellow}${sent.hash}${colors.reset}`);
+                        log.info(`${wallet.name} | Explorer: ${colors.underscore}${explorerUrl}/tx/${sent.hash}${colors.reset}`);
+                        log.info(`${wallet.name} | Sent to: Recipient${entry.recipientIndex + 1} (${entry.to})`);
+                        this.emit('txSent', { ...entry, hash: sent.hash, nonce: sent.nonce, fee: sent.fee });
+                    } else if (sent.unknown) {
+                        // The node may have taken it, so it's watched by hash like an
+                        // accepted one and never counted as failed or sent again.
+                        result.unknown++;
+                        statusBoard.recordError(wallet.name, sent.error);
+                        if (journal) {
+                            journal.append('unknown', { id: entry.id, nonce: sent.nonce, hash: sent.hash, fee: sent.fee, error: sent.error });
+                        }
+                        tracker.track({
+                            ...entry,
+                            hash: sent.hash,
+                            nonce: sent.nonce,
+                            fee: sent.fee,
+                            error: sent.error,
+                            submittedAt: submittedAt,
+                            uncertain: true
+                        });
+                        log.warning(`${wallet.name} | TX ${entry.index}/${entry.count} ? No answer from the node (${sent.error}), watching ${colors.brightYellow}${sent.hash}${colors.reset} instead of re-sending`);
+                        this.emit('txUnknown', { ...entry, hash: sent.hash, nonce: sent.nonce, fee: sent.fee, error: sent.error });
+                    } else {
+                        result.failed++;
+                        metrics.inc('pempek_tx_failed_total', { wallet: wallet.name });
+                        statusBoard.recordError(wallet.name, sent.error);
+                        if (journal) {
+                            journal.append('failed', { id: entry.id, nonce: sent.nonce, error: sent.error });
+                        }
+                        tracker.fail({
+                            ...entry,
+                            nonce: sent.nonce,
+                            error: sent.error,
+                            submittedAt: submittedAt
+                        });
+                        log.error(`${wallet.name} | TX ${entry.index}/${entry.count} ✗ Error: ${sent.error}`);
+                        this.emit('txFailed', { ...entry, nonce: sent.nonce, error: sent.error });
+                    }
+                });
+
+                inFlight.add(pending);
+                pending.then(() => inFlight.delete(pending));
+
+                if (inFlight.size >= pipelineDepth) {
+                    await Promise.race(inFlight);
+                }
+
+                if (i < budget.send.length - 1) {
+                    await pause(txDelay, `${wallet.name} transaction`);
+                }
+            }
+
+            await Promise.all(inFlight);
+
+            // A rejected send with later nonces already staged leaves a gap nothing
+            // else in this plan will fill.
+            const gaps = octra.nonces.gaps(address);
+            if (gaps.length > 0) {
+                log.warning(`${wallet.name} | Nonce(s) ${gaps.join(', ')} failed below later sends, filling with 0 OCT self-transfers so those can confirm`);
+                for (const filler of await octra.fillNonceGaps(wallet)) {
+                    if (filler.success) {
+                        log.info(`${wallet.name} | Filled nonce ${filler.nonce} | ${filler.hash}`);
+                    } else {
+                        log.error(`${wallet.name} | Could not fill nonce ${filler.nonce}, later transactions stay staged: ${filler.error}`);
+                    }
+                }
+            }
+
+            return result;
+        };
+
+        // Wallets are independent, so each worker takes the next wallet off the queue and
+        // runs its plan; all workers share one RPC client and with it the rate limit.
+        const run = statusBoard.startRun(journal ? path.basename(journal.filePath, '.jsonl') : `run-${Date.now()}`, () => {
+            const { transactions, possiblySpent, ...counts } = tracker.summarize();
+            return {
+                completed: completedTx,
+                total: totalTx,
+                ...Object.fromEntries(Object.entries(counts).map(([status, timing]) => [status, timing.count]))
+            };
+        });
+        const queue = [...walletPlans];
+        const worker = async () => {
+            for (let first = true; queue.length > 0 && !this.stopping; first = false) {
+                if (!first) {
+                    await pause(walletDelay, 'wallet');
+                    if (this.stopping) break;
+                }
+                const [address, entries] = queue.shift();
+                run.wallets.add(entries[0].wallet);
+                try {
+                    this.emit('walletDone', await runWallet(address, entries));
+                } finally {
+                    run.wallets.delete(entries[0].wallet);
+                }
+            }
+        };
+
+        try {
+            await Promise.all(Array.from({ length: Math.min(concurrency, walletPlans.size) }, worker));
+            if (totalTx === 0) {
+                logger.info('Nothing to send, the plan is empty');
+            } else {
+                displayProgress(completedTx, totalTx, '', this.stopping ? 'Pempek Lahat Transactions STOPPED' : 'Pempek Lahat Transactions COMPLETED');
+                if (this.stopping) {
+                    logger.warning(`Run interrupted after ${completedTx}/${totalTx} transactions`);
+                } else {
+                    logger.success(`All transactions completed!`);
+                }
+                logger.stats(`Accepted by node: ${colors.brightYellow}${successfulTx}/${totalTx}${colors.reset} (${((successfulTx/totalTx)*100).toFixed(1)}%)`);
+            }
+
+            if (tracker.pending().length > 0 && !this.stopping) {
+                logger.processing(`Waiting for ${tracker.pending().length} transaction(s) to confirm...`);
+            }
+
+            const summary = await tracker.waitAll();
+            displayConfirmationSummary(summary, totalTx);
+
+            if (journal) {
+                if (this.stopping) {
+                    logger.info(`Resume the remaining plan with: node pempek.js resume ${journal.filePath}`);
+                } else {
+                    journal.append('done');
+                    logger.info(`Report: node pempek.js report ${journal.filePath}`);
+                }
+            }
+
+            const result = { ...summary, journal: journal ? journal.filePath : null, interrupted: this.stopping };
+            this.emit('runDone', result);
+            return result;
+        } finally {
+            statusBoard.finishRun(run, this.stopping ? 'interrupted' : 'finished');
+            process.removeListener('SIGINT', onSigint);
+            TxJournal.active.delete(journal);
+            if (journal) {
+                journal.close();
+            }
+            this.tracker = null;
+            this.running = false;
+        }
+    }
+}
+
+// Runs a plan on options.engine when the caller wants its events, otherwise on a fresh engine.
+function executePlan(wallets, plan, options = {}) {
+    return (options.engine || new RunEngine()).run(wallets, plan, options);
+}
+
+function displayConfirmationSummary(summary, totalTx) {
+    const formatTiming = (timing) => `avg ${(timing.avgMs / 1000).toFixed(1)}s, max ${(timing.maxMs / 1000).toFixed(1)}s`;
+
+    logger.stats(`Accepted:  ${colors.brightYellow}${summary.accepted.count}/${totalTx}${colors.reset} (${formatTiming(summary.accepted)} to accept)`);
+    logger.stats(`Confirmed: ${colors.brightGreen}${summary.confirmed.count}/${totalTx}${colors.reset} (${formatTiming(summary.confirmed)} to confirm)`);
+    logger.stats(`Failed:    ${colors.brightRed}${summary.failed.count}/${totalTx}${colors.reset} (${formatTiming(summary.failed)} to fail)`);
+    logger.stats(`Unknown:   ${colors.brightYellow}${summary.unknown.count}/${totalTx}${colors.reset} (${formatTiming(summary.unknown)} before giving up)`);
+    if (summary.skipped.count > 0) {
+        logger.stats(`Skipped:   ${colors.brightYellow}${summary.skipped.count}/${totalTx}${colors.reset} (over budget, not sent)`);
+    }
+    if (totalTx > 0) {
+        logger.stats(`Confirmation Rate: ${colors.brightYellow}${summary.confirmed.count}/${totalTx}${colors.reset} (${((summary.confirmed.count / totalTx) * 100).toFixed(1)}%)`);
+    }
+    logger.stats(`Fees paid: ${colors.brightYellow}${formatOCT(summary.feesPaid)} OCT${colors.reset} (confirmed transactions)`);
+    if (summary.possiblySpent > 0n) {
+        logger.stats(`Possibly spent: ${colors.brightYellow}${formatOCT(summary.possiblySpent)} OCT${colors.reset} (amounts and fees of unknown transactions, do not re-send them)`);
+    }
+}
+
+module.exports = {
+    DISTRIBUTIONS,
+    recipientPicker,
+    buildTransactionPlan,
+    BUDGET_POLICIES,
+    DEFAULT_EXPLORER_URL,
+    applyBudget,
+    RunEngine,
+    executePlan,
+    displayConfirmationSummary,
+    pickRunOptions,
+    executeTransactions,
+    resumeTransactions
+};
@@ -0,0 +1,129 @@
+const { MICRO_OCT, toMicroOCT, formatOCT } = require('./amounts');
+
+// The node charges ou × 1000 micro-OCT per transaction.
+const OU_UNIT = 1000n;
+
+const FEE_STRATEGIES = ['fixed', 'tiered', 'congestion'];
+
+// What the node's own client does: ou 1 below 1000 OCT, ou 3 from there on.
+const DEFAULT_TIERS = [{ below: 1000n * MICRO_OCT, ou: 1 }, { ou: 3 }];
+
+function checkOu(value, what) {
+    const ou = Number(value);
+    if (!Number.isInteger(ou) || ou < 1) {
+        throw new Error(`${what} must be a positive integer ou, got: ${value}`);
+    }
+    return ou;
+}
+
+// Picks the ou of each transaction:
+//   fixed       options.ou for every amount
+//   tiered      the first of options.tiers whose `below` the amount is under
+//   congestion  the tier's ou plus one per options.perOu transactions waiting in
+//               /staging, up to options.maxOu; fed by observeStaging()
+// options.maxFee caps the fee of any transaction: congestion surcharges are cut
+// back to it, and an amount whose base fee is already over it can't be sent.
+class FeePolicy {
+    constructor(options = {}) {
+        this.strategy = options.strategy || 'tiered';
+        if (!FEE_STRATEGIES.includes(this.strategy)) {
+            throw new Error(`Unknown fee strategy: ${this.strategy}, expected ${FEE_STRATEGIES.join(', ')}`);
+        }
+
+        this.ou = checkOu(options.ou !== undefined ? options.ou : 1, 'Fixed fee');
+        this.tiers = (options.tiers || DEFAULT_TIERS).map((tier, i, tiers) => {
+            const below = tier.below === undefined || tier.below === null ? null : toMicroOCT(tier.below);
+            if (below === null && i < tiers.length - 1) {
+                throw new Error('Only the last fee tier may leave out "below"');
+            }
+            return { below, ou: checkOu(tier.ou, `Fee tier ${i + 1}`) };
+        });
+        this.perOu = options.perOu !== undefined ? checkOu(options.perOu, 'perOu') : 50;
+        this.maxOu = options.maxOu !== undefined ? checkOu(options.maxOu, 'maxOu') : 10;
+        this.maxFee = options.maxFee !== undefined && options.maxFee !== null ? toMicroOCT(options.maxFee) : null;
+        this.sampleInterval = options.sampleInterval !== undefined ? options.sampleInterval : 10000;
+        this.stagingSize = 0;
+        this.sampledAt = 0;
+    }
+
+    needsSample() {
+        return this.strategy === 'congestion' && Date.now() - this.sampledAt >= this.sampleInterval;
+    }
+
+    observeStaging(size) {
+        this.stagingSize = size;
+        this.sampledAt = Date.now();
+    }
+
+    baseOu(amount) {
+        if (this.strategy === 'fixed') {
+            return this.ou;
+        }
+        const micro = toMicroOCT(amount);
+        return (this.tiers.find(tier => tier.below === null || micro < tier.below) || this.tiers[this.tiers.length - 1]).ou;
+    }
+
+    // ou the policy wants for the amount before the cap is applied.
+    desiredOu(amount) {
+        const base = this.baseOu(amount);
+        if (this.strategy !== 'congestion') {
+            return base;
+        }
+        return Math.max(base, Math.min(this.maxOu, base + Math.floor(this.stagingSize / this.perOu)));
+    }
+
+    // Throws when even the base fee is over the cap; use estimate() where a number is enough.
+    ouFor(amount) {
+        const base = this.baseOu(amount);
+        if (this.maxFee !== null && BigInt(base) * OU_UNIT > this.maxFee) {
+            throw new Error(`Fee of ${formatOCT(BigInt(base) * OU_UNIT)} OCT for ${formatOCT(amount)} OCT is over the ${formatOCT(this.maxFee)} OCT max-fee cap`);
+        }
+        return String(this.cappedOu(amount));
+    }
+
+    cappedOu(amount) {
+        const ou = this.desiredOu(amount);
+        if (this.maxFee === null) {
+            return ou;
+        }
+        return Math.max(this.baseOu(amount), Math.min(ou, Number(this.maxFee / OU_UNIT)));
+    }
+
+    estimate(amount) {
+        return BigInt(this.cappedOu(amount)) * OU_UNIT;
+    }
+
+    describe() {
+        const cap = this.maxFee !== null ? `, max ${formatOCT(this.maxFee)} OCT per tx` : '';
+        if (this.strategy === 'fixed') {
+            return `fixed ou ${this.ou}${cap}`;
+        }
+        const tiers = this.tiers.map(tier => (tier.below === null ? `ou ${tier.ou}` : `ou ${tier.ou} below ${formatOCT(tier.below)} OCT`)).join(', ');
+        if (this.strategy === 'tiered') {
+            return `tiered (${tiers})${cap}`;
+        }
+        return `congestion-aware (${tiers}, +1 ou per ${this.perOu} staged tx up to ou ${this.maxOu})${cap}`;
+    }
+}
+
+function feeOfOu(ou) {
+    return BigInt(parseInt(ou) || 0) * OU_UNIT;
+}
+
+// Reads --fee values: fixed[:ou], tiered or congestion.
+function parseFeeSpec(spec) {
+    const [strategy, ou] = String(spec).split(':');
+    if (!FEE_STRATEGIES.includes(strategy) || (ou !== undefined && strategy !== 'fixed')) {
+        throw new Error(`--fee must be fixed[:ou], tiered or congestion, got: ${spec}`);
+    }
+    return ou === undefined ? { strategy } : { strategy, ou: checkOu(ou, '--fee fixed') };
+}
+
+module.exports = {
+    OU_UNIT,
+    FEE_STRATEGIES,
+    DEFAULT_TIERS,
+    FeePolicy,
+    feeOfOu,
+    parseFeeSpec
+};
@@ -0,0 +1,107 @@
+const fs = require('fs');
+const path = require('path');
+const moment = require('moment-timezone');
+
+const { parseOCT, jsonReplacer } = require('./amounts');
+
+class TxJournal {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.fd = fs.openSync(filePath, 'a');
+    }
+
+    static create(dir = process.env.JOURNAL_DIR || 'journals', run = {}) {
+        fs.mkdirSync(dir, { recursive: true });
+        const runId = `run-${moment().format('YYYYMMDD-HHmmss')}-${Math.random().toString(16).slice(2, 6)}`;
+        const journal = new TxJournal(path.join(dir, `${runId}.jsonl`));
+        journal.append('run', { runId, ...run });
+        return journal;
+    }
+
+    static open(filePath) {
+        if (!fs.existsSync(filePath)) {
+            throw new Error(`Journal not found: ${filePath}`);
+        }
+        return new TxJournal(filePath);
+    }
+
+    // Every journal in the directory, most recently written first.
+    static list(dir = process.env.JOURNAL_DIR || 'journals') {
+        if (!fs.existsSync(dir)) return [];
+
+        return fs.readdirSync(dir)
+            .filter(name => name.endsWith('.jsonl'))
+            .map(name => path.join(dir, name))
+            .sort((a, b) => fs.statSync(b).mtimeMs - fs.statSync(a).mtimeMs);
+    }
+
+    static latest(dir = process.env.JOURNAL_DIR || 'journals') {
+        return TxJournal.list(dir).find(filePath => !TxJournal.read(filePath).done) || null;
+    }
+
+    static read(filePath) {
+        const state = { run: null, done: false, transactions: new Map() };
+        const lines = fs.readFileSync(filePath, 'utf8').split('\n');
+
+        for (const line of lines) {
+            if (!line.trim()) continue;
+
+            let record;
+            try {
+                record = JSON.parse(line);
+            } catch (error) {
+                continue;
+            }
+
+            const { event, at, ...fields } = record;
+
+            if (event === 'run') {
+                state.run = fields;
+            } else if (event === 'done') {
+                state.done = true;
+            } else if (event === 'planned') {
+                state.transactions.set(fields.id, {
+                    ...fields,
+                    amount: parseOCT(fields.amount),
+                    status: 'planned',
+                    nonce: null,
+                    hash: null,
+                    error: null
+                });
+            } else if (state.transactions.has(fields.id)) {
+                const tx = state.transactions.get(fields.id);
+                tx.status = event;
+                for (const key of ['nonce', 'hash', 'error', 'epoch']) {
+                    if (fields[key] !== undefined) tx[key] = fields[key];
+                }
+                if (fields.fee !== undefined && fields.fee !== null) tx.fee = parseOCT(fields.fee);
+            }
+        }
+
+        return state;
+    }
+
+    replay() {
+        return TxJournal.read(this.filePath);
+    }
+
+    append(event, fields = {}) {
+        if (this.fd === null) return;
+        fs.writeSync(this.fd, `${JSON.stringify({ event, at: new Date().toISOString(), ...fields }, jsonReplacer)}\n`);
+        fs.fsyncSync(this.fd);
+    }
+
+    close() {
+        if (this.fd !== null) {
+            fs.closeSync(this.fd);
+            this.fd = null;
+        }
+    }
+}
+
+// Journals of runs in progress, so a crash handler can point at what to resume.
+TxJournal.active = new Set();
+
+module.exports = {
+    TxJournal
+};
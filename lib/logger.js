@@ -0,0 +1,228 @@
+const fs = require('fs');
+const path = require('path');
+const moment = require('moment-timezone');
+
+const { delay } = require('./util');
+const { jsonReplacer } = require('./amounts');
+
+const ANSI = {
+    reset: "\x1b[0m",
+    bright: "\x1b[1m",
+    dim: "\x1b[2m",
+    underscore: "\x1b[4m",
+    blink: "\x1b[5m",
+    reverse: "\x1b[7m",
+    hidden: "\x1b[8m",
+    black: "\x1b[30m",
+    red: "\x1b[31m",
+    green: "\x1b[32m",
+    yellow: "\x1b[33m",
+    blue: "\x1b[34m",
+    magenta: "\x1b[35m",
+    cyan: "\x1b[36m",
+    white: "\x1b[37m",
+    bgBlack: "\x1b[40m",
+    bgRed: "\x1b[41m",
+    bgGreen: "\x1b[42m",
+    bgYellow: "\x1b[43m",
+    bgBlue: "\x1b[44m",
+    bgMagenta: "\x1b[45m",
+    bgCyan: "\x1b[46m",
+    bgWhite: "\x1b[47m",
+    brightBlack: "\x1b[90m",
+    brightRed: "\x1b[91m",
+    brightGreen: "\x1b[92m",
+    brightYellow: "\x1b[93m",
+    brightBlue: "\x1b[94m",
+    brightMagenta: "\x1b[95m",
+    brightCyan: "\x1b[96m",
+    brightWhite: "\x1b[97m"
+};
+
+// Escape codes only go to a terminal; piped or redirected output stays plain.
+const useColor = Boolean(process.stdout.isTTY) && !process.env.NO_COLOR;
+const colors = Object.fromEntries(Object.entries(ANSI).map(([name, code]) => [name, useColor ? code : '']));
+
+const output = {
+    stream: process.stdout,
+    print: (line) => output.stream.write(`${line}\n`)
+};
+
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+// Each logger method keeps its own icon and color but maps onto one of the levels.
+const LOG_STYLES = {
+    debug: { level: 'debug', icon: '·', color: 'brightBlack', text: 'dim' },
+    info: { level: 'info', icon: 'ℹ', color: 'brightCyan', text: null },
+    error: { level: 'error', icon: '✗', color: 'brightRed', text: 'red' },
+    warning: { level: 'warn', icon: '⚠', color: 'brightYellow', text: 'yellow' },
+    success: { level: 'info', icon: '✓', color: 'brightGreen', text: 'green' },
+    processing: { level: 'info', icon: '➤', color: 'brightBlue', text: 'blue' },
+    sending: { level: 'info', icon: '⟳', color: 'brightMagenta', text: 'magenta' },
+    wallet: { level: 'info', icon: '◨', color: 'brightYellow', text: 'yellow' },
+    network: { level: 'info', icon: '฿', color: 'brightCyan', text: 'cyan' },
+    bridge: { level: 'info', icon: '⇄', color: 'brightMagenta', text: 'magenta' },
+    timer: { level: 'info', icon: '⏱', color: 'brightBlue', text: 'blue' },
+    stats: { level: 'info', icon: '↭', color: 'brightGreen', text: 'green' }
+};
+
+const ANSI_PATTERN = /\x1b\[[0-9;]*m/g;
+const SECRET_FIELD_PATTERN = /private|secret|signature|passphrase|password|seed/i;
+// 32-byte seeds and 64-byte keys or signatures in base64. Addresses and hex hashes never carry padding.
+const SECRET_VALUE_PATTERN = /[A-Za-z0-9+/]{86}==|[A-Za-z0-9+/]{43}=/g;
+
+function redact(value, key = '') {
+    if (typeof value === 'string') {
+        return SECRET_FIELD_PATTERN.test(key) ? '[REDACTED]' : value.replace(SECRET_VALUE_PATTERN, '[REDACTED]');
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => redact(item, key));
+    }
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([name, item]) => [name, redact(item, name)]));
+    }
+    return value;
+}
+
+class RotatingFileSink {
+    constructor(filePath, options = {}) {
+        this.filePath = filePath;
+        this.maxBytes = options.maxBytes || 10 * 1024 * 1024;
+        this.keep = options.keep || 5;
+        fs.mkdirSync(path.dirname(path.resolve(filePath)), { recursive: true });
+        this.size = fs.existsSync(filePath) ? fs.statSync(filePath).size : 0;
+    }
+
+    rotate() {
+        for (let i = this.keep - 1; i >= 1; i--) {
+            if (fs.existsSync(`${this.filePath}.${i}`)) {
+                fs.renameSync(`${this.filePath}.${i}`, `${this.filePath}.${i + 1}`);
+            }
+        }
+        if (fs.existsSync(this.filePath)) {
+            fs.renameSync(this.filePath, `${this.filePath}.1`);
+        }
+        this.size = 0;
+    }
+
+    write(line) {
+        const bytes = Buffer.byteLength(line) + 1;
+        if (this.size > 0 && this.size + bytes > this.maxBytes) {
+            this.rotate();
+        }
+        fs.appendFileSync(this.filePath, `${line}\n`);
+        this.size += bytes;
+    }
+}
+
+const logConfig = {
+    level: process.env.LOG_LEVEL || 'info',
+    format: process.env.LOG_FORMAT || 'text',
+    file: null,
+    print: (line) => output.print(line)
+};
+
+// Console lines are text or JSON depending on the format; the file sink always
+// gets JSON lines. Context fields (wallet, address, job) are bound with child().
+class Logger {
+    constructor(config = logConfig, context = {}) {
+        this.config = config;
+        this.context = context;
+
+        for (const name of Object.keys(LOG_STYLES)) {
+            this[name] = (msg, fields) => this.log(name, msg, fields);
+        }
+    }
+
+    child(fields) {
+        return new Logger(this.config, { ...this.context, ...fields });
+    }
+
+    enabled(level) {
+        return LOG_LEVELS[level] >= (LOG_LEVELS[this.config.level] || LOG_LEVELS.info);
+    }
+
+    log(name, msg, fields = {}) {
+        const style = LOG_STYLES[name];
+        const file = this.config.file;
+        if (!this.enabled(style.level)) return;
+
+        const message = redact(String(msg));
+        const entry = () => JSON.stringify(redact({
+            time: new Date().toISOString(),
+            level: style.level,
+            msg: message.replace(ANSI_PATTERN, ''),
+            ...this.context,
+            ...fields
+        }), jsonReplacer);
+
+        if (this.config.format === 'json') {
+            this.config.print(entry());
+        } else {
+            const time = moment().format('HH:mm:ss');
+            const text = style.text ? `${colors[style.text]}${message}${colors.reset}` : message;
+            this.config.print(`${colors.dim}${time}${colors.reset} ${colors[style.color]}[${style.icon}]${colors.reset} ${text}`);
+        }
+
+        if (file) {
+            file.write(entry());
+        }
+    }
+}
+
+const logger = new Logger();
+
+function configureLogging(options = {}) {
+    if (options.level !== undefined) {
+        if (!LOG_LEVELS[options.level]) {
+            throw new Error(`Unknown log level: ${options.level}, expected ${Object.keys(LOG_LEVELS).join(', ')}`);
+        }
+        logConfig.level = options.level;
+    }
+    if (options.format !== undefined) {
+        if (!['text', 'json'].includes(options.format)) {
+            throw new Error(`Unknown log format: ${options.format}, expected text or json`);
+        }
+        logConfig.format = options.format;
+    }
+    if (options.file) {
+        logConfig.file = new RotatingFileSink(options.file, {
+            maxBytes: parseInt(process.env.LOG_FILE_MAX_BYTES) || undefined,
+            keep: parseInt(process.env.LOG_FILE_KEEP) || undefined
+        });
+    }
+}
+
+function displayProgress(current, total, walletName = '', operation = '') {
+    const percentage = ((current / total) * 100).toFixed(1);
+    const progressBar = '█'.repeat(Math.floor(current / total * 20)) + '░'.repeat(20 - Math.floor(current / total * 20));
+    
+    logger.stats(`${walletName ? `[${walletName}] ` : ''}${operation} Progress: [${colors.brightGreen}${progressBar}${colors.reset}] ${current}/${total} (${percentage}%)`);
+}
+
+async function countdownTimer(seconds, message = 'Next operation in', shouldStop = () => false) {
+    if (!output.stream.isTTY || logConfig.format === 'json') {
+        for (const until = Date.now() + seconds * 1000; Date.now() < until && !shouldStop();) {
+            await delay(Math.min(250, until - Date.now()));
+        }
+        return;
+    }
+
+    for (let i = seconds; i > 0 && !shouldStop(); i--) {
+        output.stream.write(`\r${colors.brightBlue}[⏱]${colors.reset} ${colors.blue}${message}: ${colors.brightYellow}${i}s${colors.reset} ${colors.dim}${'█'.repeat(Math.floor((seconds - i + 1) / seconds * 20))}${'░'.repeat(20 - Math.floor((seconds - i + 1) / seconds * 20))}${colors.reset}`);
+        await delay(1000);
+    }
+    output.stream.write('\r' + ' '.repeat(80) + '\r');
+}
+
+module.exports = {
+    colors,
+    output,
+    LOG_LEVELS,
+    redact,
+    Logger,
+    logger,
+    configureLogging,
+    displayProgress,
+    countdownTimer
+};
@@ -0,0 +1,94 @@
+const RPC_LATENCY_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+// Minimal Prometheus registry: counters and histograms with labels, rendered in
+// the text exposition format.
+class Metrics {
+    constructor() {
+        this.families = new Map();
+    }
+
+    define(name, type, help, buckets = null) {
+        if (!this.families.has(name)) {
+            this.families.set(name, { name, type, help, buckets, series: new Map() });
+        }
+        return this.families.get(name);
+    }
+
+    series(family, labels) {
+        const key = JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+        if (!family.series.has(key)) {
+            family.series.set(key, family.type === 'histogram'
+                ? { labels, buckets: family.buckets.map(() => 0), sum: 0, count: 0 }
+                : { labels, value: 0 });
+        }
+        return family.series.get(key);
+    }
+
+    inc(name, labels = {}, value = 1) {
+        const family = this.families.get(name);
+        if (family) {
+            this.series(family, labels).value += value;
+        }
+    }
+
+    observe(name, labels, value) {
+        const family = this.families.get(name);
+        if (!family) return;
+
+        const series = this.series(family, labels);
+        family.buckets.forEach((bound, i) => {
+            if (value <= bound) series.buckets[i]++;
+        });
+        series.sum += value;
+        series.count++;
+    }
+
+    get(name, labels = {}) {
+        const family = this.families.get(name);
+        if (!family) return 0;
+        const series = this.series(family, labels);
+        return family.type === 'histogram' ? series.count : series.value;
+    }
+
+    render() {
+        const format = (labels, extra = {}) => {
+            const pairs = Object.entries({ ...labels, ...extra })
+                .map(([key, value]) => `${key}="${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`);
+            return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+        };
+        const lines = [];
+
+        for (const family of this.families.values()) {
+            lines.push(`# HELP ${family.name} ${family.help}`, `# TYPE ${family.name} ${family.type}`);
+
+            for (const series of family.series.values()) {
+                if (family.type !== 'histogram') {
+                    lines.push(`${family.name}${format(series.labels)} ${series.value}`);
+                    continue;
+                }
+                family.buckets.forEach((bound, i) => {
+                    lines.push(`${family.name}_bucket${format(series.labels, { le: bound })} ${series.buckets[i]}`);
+                });
+                lines.push(`${family.name}_bucket${format(series.labels, { le: '+Inf' })} ${series.count}`);
+                lines.push(`${family.name}_sum${format(series.labels)} ${series.sum}`);
+                lines.push(`${family.name}_count${format(series.labels)} ${series.count}`);
+            }
+        }
+
+        return `${lines.join('\n')}\n`;
+    }
+}
+
+const metrics = new Metrics();
+metrics.define('pempek_tx_sent_total', 'counter', 'Transactions broadcast to the node');
+metrics.define('pempek_tx_accepted_total', 'counter', 'Transactions accepted into staging');
+metrics.define('pempek_tx_failed_total', 'counter', 'Transactions that failed or were never sent');
+metrics.define('pempek_tx_confirmed_total', 'counter', 'Transactions confirmed on chain');
+metrics.define('pempek_nonce_resyncs_total', 'counter', 'Nonce resyncs after the node rejected a nonce');
+metrics.define('pempek_rpc_errors_total', 'counter', 'RPC requests that failed without a response');
+metrics.define('pempek_rpc_request_duration_seconds', 'histogram', 'RPC request latency', RPC_LATENCY_BUCKETS);
+
+module.exports = {
+    Metrics,
+    metrics
+};
@@ -0,0 +1,145 @@
+const fs = require('fs');
+
+const { formatOCT } = require('./amounts');
+const { logger } = require('./logger');
+const { signTransaction, verifyTransaction, transactionHash } = require('./signer');
+const { feeOfOu } = require('./fees');
+const { OctraAutoTX } = require('./client');
+const { ConfirmationTracker } = require('./tracker');
+const { metrics } = require('./metrics');
+const { displayConfirmationSummary } = require('./engine');
+
+const TX_FILE_VERSION = 1;
+
+// Accepts what writeTransactionFile produces, a bare array of transactions, or
+// a single transaction object.
+function readTransactionFile(filePath) {
+    if (!fs.existsSync(filePath)) {
+        throw new Error(`Transaction file not found: ${filePath}`);
+    }
+
+    let data;
+    try {
+        data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Invalid JSON in ${filePath}: ${error.message}`);
+    }
+
+    const transactions = Array.isArray(data) ? data : Array.isArray(data.transactions) ? data.transactions : [data];
+    if (transactions.length === 0 || transactions.some(tx => !tx || typeof tx !== 'object' || Array.isArray(tx))) {
+        throw new Error(`${filePath} does not contain any transactions`);
+    }
+    return transactions;
+}
+
+function writeTransactionFile(filePath, kind, transactions) {
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(tmpPath, `${JSON.stringify({ version: TX_FILE_VERSION, kind, createdAt: new Date().toISOString(), transactions }, null, 2)}\n`);
+    fs.renameSync(tmpPath, filePath);
+    return filePath;
+}
+
+// Turns a resolved plan (see validatePayoutPlan) into unsigned transactions with
+// nonces counted up from each sender's current nonce. Needs the node but no keys.
+async function buildUnsignedTransactions(plan, options = {}) {
+    const octra = options.octra || new OctraAutoTX({ rpcUrl: options.rpcUrl, timeout: options.timeout, rateLimit: options.rateLimit, fees: options.fees });
+    const nonces = new Map();
+    const transactions = [];
+
+    for (const entry of plan) {
+        if (!nonces.has(entry.from)) {
+            nonces.set(entry.from, await octra.getCurrentNonce(entry.from));
+        }
+        const nonce = nonces.get(entry.from) + 1;
+        nonces.set(entry.from, nonce);
+        transactions.push(octra.buildTransaction(entry.from, entry.to, entry.amount, nonce, entry.memo));
+    }
+
+    return transactions;
+}
+
+// Signs every transaction with the wallet that owns its from address. Works
+// without network access; refuses the whole file if any sender is missing.
+function signTransactions(transactions, wallets) {
+    const missing = [...new Set(transactions.map(tx => tx.from))].filter(from => !wallets.some(w => w.address === from));
+    if (missing.length > 0) {
+        throw new Error(`No private key loaded for ${missing.join(', ')}, nothing was signed`);
+    }
+
+    return transactions.map(tx => {
+        const { signature, public_key, ...unsigned } = tx;
+        return signTransaction(unsigned, wallets.find(w => w.address === tx.from).privateKey);
+    });
+}
+
+function verifyTransactions(transactions) {
+    return transactions.map((tx, i) => ({ index: i + 1, from: tx.from, nonce: tx.nonce, ...verifyTransaction(tx) }));
+}
+
+// Broadcasts signed transactions in nonce order per sender. Every signature is
+// checked first; once a sender's transaction fails, its later nonces are not sent.
+async function broadcastTransactions(transactions, options = {}) {
+    const invalid = verifyTransactions(transactions).filter(result => !result.valid);
+    if (invalid.length > 0) {
+        for (const result of invalid) {
+            logger.error(`TX ${result.index} (${result.from}, nonce ${result.nonce}): ${result.error}`);
+        }
+        throw new Error(`${invalid.length} transaction(s) failed verification, nothing was broadcast`);
+    }
+
+    const octra = options.octra || new OctraAutoTX({ rpcUrl: options.rpcUrl, timeout: options.timeout, rateLimit: options.rateLimit });
+    const tracker = new ConfirmationTracker(octra, { pollInterval: options.confirmInterval, timeout: options.confirmTimeout });
+    const ordered = [...transactions].sort((a, b) => a.from.localeCompare(b.from) || a.nonce - b.nonce);
+    const blocked = new Set();
+
+    logger.bridge(`Broadcasting ${ordered.length} signed transaction(s) to ${octra.rpcUrl}`);
+
+    for (const tx of ordered) {
+        const entry = { wallet: tx.from, from: tx.from, to: tx.to_, amount: BigInt(tx.amount), nonce: tx.nonce, fee: feeOfOu(tx.ou), submittedAt: Date.now() };
+        const label = `${tx.from.slice(0, 10)}... | Nonce ${tx.nonce}`;
+
+        if (blocked.has(tx.from)) {
+            tracker.fail({ ...entry, error: 'Not broadcast, an earlier nonce from this sender failed' });
+            continue;
+        }
+
+        let result;
+        try {
+            metrics.inc('pempek_tx_sent_total', { wallet: tx.from });
+            result = await octra.broadcastTransaction(tx);
+        } catch (error) {
+            // Only an unreachable node certainly never saw it; otherwise it may have landed.
+            result = { success: false, unknown: error.code !== 'UNREACHABLE', error: error.message };
+        }
+
+        if (result.unknown) {
+            tracker.track({ ...entry, hash: transactionHash(tx), error: result.error, uncertain: true });
+            logger.warning(`${label} ? No answer from the node (${result.error}), watching ${transactionHash(tx)} instead`);
+        } else if (result.success) {
+            metrics.inc('pempek_tx_accepted_total', { wallet: tx.from });
+            tracker.track({ ...entry, hash: result.hash });
+            logger.success(`${label} ✓ ${formatOCT(entry.amount)} OCT to ${tx.to_} Hash: ${result.hash}`);
+        } else {
+            metrics.inc('pempek_tx_failed_total', { wallet: tx.from });
+            blocked.add(tx.from);
+            tracker.fail({ ...entry, error: result.error });
+            logger.error(`${label} ✗ Error: ${result.error}`);
+        }
+    }
+
+    if (tracker.pending().length > 0) {
+        logger.processing(`Waiting for ${tracker.pending().length} transaction(s) to confirm...`);
+    }
+    const summary = await tracker.waitAll();
+    displayConfirmationSummary(summary, ordered.length);
+    return { ...summary, interrupted: false };
+}
+
+module.exports = {
+    readTransactionFile,
+    writeTransactionFile,
+    buildUnsignedTransactions,
+    signTransactions,
+    verifyTransactions,
+    broadcastTransactions
+};
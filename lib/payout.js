@@ -0,0 +1,263 @@
+const fs = require('fs');
+const path = require('path');
+
+const { parseOCT, formatOCT } = require('./amounts');
+const { logger } = require('./logger');
+const { ADDRESS_REGEX } = require('./signer');
+const { OctraAutoTX } = require('./client');
+const { TxJournal } = require('./journal');
+const { pickRunOptions, executePlan } = require('./engine');
+
+const PAYOUT_COLUMNS = {
+    from: 'from',
+    wallet: 'from',
+    from_wallet: 'from',
+    to: 'to',
+    to_: 'to',
+    recipient: 'to',
+    amount: 'amount',
+    memo: 'memo'
+};
+
+function parseCsvLine(line) {
+    const fields = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+
+        if (quoted) {
+            if (char === '"' && line[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            fields.push(field.trim());
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    fields.push(field.trim());
+    return fields;
+}
+
+function normalizePayoutRow(raw, line) {
+    const row = { line, from: '', to: '', amount: '', memo: '' };
+
+    for (const [key, value] of Object.entries(raw)) {
+        const column = PAYOUT_COLUMNS[key.trim().toLowerCase()];
+        if (column) {
+            row[column] = value === undefined || value === null ? '' : String(value).trim();
+        }
+    }
+
+    return row;
+}
+
+function loadPayoutFile(filePath) {
+    if (!fs.existsSync(filePath)) {
+        throw new Error(`Payout file not found: ${filePath}`);
+    }
+
+    const text = fs.readFileSync(filePath, 'utf8');
+
+    if (filePath.toLowerCase().endsWith('.json')) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Invalid JSON in ${filePath}: ${error.message}`);
+        }
+
+        const entries = Array.isArray(data) ? data : data.payouts;
+        if (!Array.isArray(entries)) {
+            throw new Error(`${filePath} must contain an array of payouts or a "payouts" array`);
+        }
+        return entries.map((entry, i) => normalizePayoutRow(entry || {}, i + 1));
+    }
+
+    const lines = text.split(/\r?\n/);
+    const rows = [];
+    let header = null;
+
+    lines.forEach((line, i) => {
+        if (!line.trim() || line.trim().startsWith('#')) return;
+
+        const fields = parseCsvLine(line);
+        if (!header) {
+            header = fields;
+            return;
+        }
+
+        const raw = {};
+        header.forEach((name, column) => {
+            raw[name] = fields[column];
+        });
+        rows.push(normalizePayoutRow(raw, i + 1));
+    });
+
+    if (!header || !header.some(name => PAYOUT_COLUMNS[name.toLowerCase()] === 'amount')) {
+        throw new Error(`${filePath} needs a header row with from,to,amount,memo columns`);
+    }
+
+    return rows;
+}
+
+async function validatePayoutPlan(rows, wallets, options = {}) {
+    const octra = options.octra || new OctraAutoTX({ rpcUrl: options.rpcUrl, timeout: options.timeout, rateLimit: options.rateLimit, fees: options.fees });
+    const errors = [];
+    const plan = [];
+    const recipients = [];
+    const totals = new Map();
+
+    for (const row of rows) {
+        const rowErrors = [];
+        const wallet = wallets.find(w => w.name === row.from || w.address === row.from);
+
+        if (!row.from) {
+            rowErrors.push('missing from wallet');
+        } else if (!wallet) {
+            rowErrors.push(`unknown wallet ${row.from}`);
+        }
+
+        if (!ADDRESS_REGEX.test(row.to)) {
+            rowErrors.push(`invalid recipient address format: ${row.to || '(empty)'}`);
+        }
+
+        let amount = null;
+        try {
+            amount = parseOCT(row.amount);
+        } catch (error) {
+            rowErrors.push(`amount must be a number with at most 6 decimals, got: ${row.amount || '(empty)'}`);
+        }
+        if (amount === 0n) {
+            rowErrors.push('amount must be greater than zero');
+        }
+
+        if (rowErrors.length > 0) {
+            errors.push(...rowErrors.map(error => `Row ${row.line}: ${error}`));
+            continue;
+        }
+
+        if (!recipients.includes(row.to)) {
+            recipients.push(row.to);
+        }
+
+        if (!totals.has(wallet.address)) {
+            totals.set(wallet.address, { wallet: wallet.name, address: wallet.address, count: 0, amount: 0n, fees: 0n });
+        }
+        const total = totals.get(wallet.address);
+        total.count++;
+        total.amount += amount;
+        total.fees += octra.estimateFee(amount);
+
+        plan.push({
+            id: plan.length + 1,
+            wallet: wallet.name,
+            from: wallet.address,
+            to: row.to,
+            recipientIndex: recipients.indexOf(row.to),
+            amount: amount,
+            index: total.count,
+            count: 0,
+            memo: row.memo
+        });
+    }
+
+    for (const entry of plan) {
+        entry.count = totals.get(entry.from).count;
+    }
+
+    const walletTotals = [];
+    for (const total of totals.values()) {
+        const required = total.amount + total.fees;
+        let balance;
+
+        try {
+            balance = await octra.getBalance(total.address);
+        } catch (error) {
+            walletTotals.push({ ...total, balance: null });
+            errors.push(`${total.wallet}: could not read balance: ${error.message}`);
+            continue;
+        }
+
+        walletTotals.push({ ...total, balance: balance });
+
+        if (balance < required) {
+            errors.push(`${total.wallet}: needs ${formatOCT(required)} OCT (amounts + fees) but balance is ${formatOCT(balance)} OCT`);
+        }
+    }
+
+    return { plan, wallets: walletTotals, errors };
+}
+
+function displayPayoutPlan(result) {
+    logger.stats(`Resolved payout plan: ${result.plan.length} transaction(s) from ${result.wallets.length} wallet(s)`);
+
+    for (const entry of result.plan) {
+        logger.info(`#${entry.id} ${entry.wallet} → ${entry.to} | ${formatOCT(entry.amount)} OCT${entry.memo ? ` | ${entry.memo}` : ''}`);
+    }
+
+    for (const total of result.wallets) {
+        if (total.balance === null) {
+            logger.wallet(`${total.wallet} | ${total.count} tx | Amount: ${formatOCT(total.amount)} OCT | Fees: ${formatOCT(total.fees)} OCT | Balance: unavailable`);
+            continue;
+        }
+        const remaining = total.balance - total.amount - total.fees;
+        logger.wallet(`${total.wallet} | ${total.count} tx | Amount: ${formatOCT(total.amount)} OCT | Fees: ${formatOCT(total.fees)} OCT | Balance: ${formatOCT(total.balance)} OCT | After: ${formatOCT(remaining)} OCT`);
+    }
+}
+
+async function executePayoutFile(wallets, filePath, options = {}) {
+    const rows = loadPayoutFile(filePath);
+    logger.bridge(`Loaded ${rows.length} payout row(s) from ${filePath}`);
+
+    const result = await validatePayoutPlan(rows, wallets, options);
+    displayPayoutPlan(result);
+
+    if (result.errors.length > 0) {
+        for (const error of result.errors) {
+            logger.error(error);
+        }
+        throw new Error(`Payout plan has ${result.errors.length} error(s), nothing was sent`);
+    }
+
+    if (result.plan.length === 0) {
+        throw new Error('Payout plan is empty');
+    }
+
+    if (options.dryRun) {
+        logger.success('Dry run: plan is valid, nothing was signed or sent');
+        return { dryRun: true, transactions: result.plan, wallets: result.wallets };
+    }
+
+    let journal = null;
+    if (options.journal !== false) {
+        journal = TxJournal.create(options.journalDir, {
+            mode: 'payout',
+            source: path.resolve(filePath),
+            options: pickRunOptions(options)
+        });
+
+        for (const entry of result.plan) {
+            journal.append('planned', entry);
+        }
+    }
+
+    return executePlan(wallets, result.plan, { ...options, journal });
+}
+
+module.exports = {
+    loadPayoutFile,
+    validatePayoutPlan,
+    executePayoutFile
+};
@@ -0,0 +1,130 @@
+const { formatOCT } = require('./amounts');
+const { colors, logger } = require('./logger');
+const { OctraAutoTX } = require('./client');
+
+const PRIVATE_ACTIONS = ['balance', 'encrypt', 'decrypt', 'pending', 'claim'];
+
+function clientFor(options) {
+    return options.octra || new OctraAutoTX({ rpcUrl: options.rpcUrl, timeout: options.timeout, rateLimit: options.rateLimit, fees: options.fees });
+}
+
+// Public and encrypted balance of every wallet, with how many private transfers
+// wait to be claimed. A wallet the node can't answer for gets an error instead.
+async function privateBalances(wallets, options = {}) {
+    const octra = clientFor(options);
+    const rows = [];
+
+    for (const wallet of wallets) {
+        try {
+            const balance = await octra.getEncryptedBalance(wallet);
+            const pending = await octra.getPendingTransfers(wallet);
+            rows.push({ wallet: wallet.name, address: wallet.address, ...balance, pending: pending.length });
+            logger.wallet(`${wallet.name} | Public: ${formatOCT(balance.public)} OCT | Encrypted: ${colors.brightGreen}${formatOCT(balance.encrypted)} OCT${colors.reset} | Pending: ${pending.length}`);
+        } catch (error) {
+            rows.push({ wallet: wallet.name, address: wallet.address, error: error.message });
+            logger.error(`${wallet.name} | ${error.message}`);
+        }
+    }
+
+    return rows;
+}
+
+// 'encrypt' moves amount from each wallet's public balance into its encrypted
+// one, 'decrypt' moves it back. Encrypted balances change at once, not per epoch.
+async function shiftBalances(wallets, direction, amount, options = {}) {
+    if (!['encrypt', 'decrypt'].includes(direction)) {
+        throw new Error(`Unknown balance direction: ${direction}, expected encrypt or decrypt`);
+    }
+
+    const octra = clientFor(options);
+    const results = [];
+
+    for (const wallet of wallets) {
+        const result = direction === 'encrypt' ? await octra.encryptBalance(wallet, amount) : await octra.decryptBalance(wallet, amount);
+        results.push({ wallet: wallet.name, address: wallet.address, amount, ...result });
+
+        if (result.success) {
+            logger.success(`${wallet.name} | ${direction === 'encrypt' ? 'Encrypted' : 'Decrypted'} ${formatOCT(amount)} OCT | ${result.hash}`);
+        } else {
+            logger.error(`${wallet.name} | ${direction} failed: ${result.error}`);
+        }
+    }
+
+    return results;
+}
+
+async function pendingTransfers(wallets, options = {}) {
+    const octra = clientFor(options);
+    const rows = [];
+
+    for (const wallet of wallets) {
+        try {
+            const pending = await octra.getPendingTransfers(wallet);
+            rows.push({ wallet: wallet.name, address: wallet.address, transfers: pending });
+            logger.wallet(`${wallet.name} | ${pending.length} pending private transfer(s)`);
+            for (const transfer of pending) {
+                logger.info(`${wallet.name} | Transfer ${transfer.id} from ${transfer.sender} | Epoch ${transfer.epoch} | ${transfer.amount !== null ? `${formatOCT(transfer.amount)} OCT` : 'amount hidden until claimed'}`);
+            }
+        } catch (error) {
+            rows.push({ wallet: wallet.name, address: wallet.address, error: error.message });
+            logger.error(`${wallet.name} | ${error.message}`);
+        }
+    }
+
+    return rows;
+}
+
+// Claims the given transfer ids, or everything pending, into each wallet's
+// encrypted balance. Ids are checked against the pending lists before anything
+// is claimed, and one no listed wallet has pending fails the whole call.
+async function claimPendingTransfers(wallets, options = {}) {
+    const octra = clientFor(options);
+    const results = [];
+    const listed = [];
+
+    for (const wallet of wallets) {
+        try {
+            listed.push({ wallet, pending: await octra.getPendingTransfers(wallet) });
+        } catch (error) {
+            results.push({ wallet: wallet.name, address: wallet.address, success: false, id: null, error: error.message });
+            logger.error(`${wallet.name} | Could not list pending transfers: ${error.message}`);
+        }
+    }
+
+    if (options.ids) {
+        const known = new Set(listed.flatMap(({ pending }) => pending.map(transfer => transfer.id)));
+        const unknown = options.ids.map(String).filter(id => !known.has(id));
+        if (unknown.length > 0) {
+            throw new Error(`No pending transfer with id ${unknown.join(', ')} for ${listed.map(({ wallet }) => wallet.name).join(', ') || 'any selected wallet'}`);
+        }
+    }
+
+    for (const { wallet, pending } of listed) {
+        const claimable = options.ids ? pending.filter(transfer => options.ids.map(String).includes(transfer.id)) : pending;
+        if (claimable.length === 0) {
+            logger.info(`${wallet.name} | Nothing to claim`);
+            continue;
+        }
+
+        for (const transfer of claimable) {
+            const result = await octra.claimPrivateTransfer(wallet, transfer.id);
+            results.push({ wallet: wallet.name, address: wallet.address, sender: transfer.sender, ...result });
+
+            if (result.success) {
+                logger.success(`${wallet.name} | Claimed transfer ${transfer.id} from ${transfer.sender}${result.amount !== null ? `: ${formatOCT(result.amount)} OCT` : ''}`);
+            } else {
+                logger.error(`${wallet.name} | Claim of transfer ${transfer.id} failed: ${result.error}`);
+            }
+        }
+    }
+
+    return results;
+}
+
+module.exports = {
+    PRIVATE_ACTIONS,
+    privateBalances,
+    shiftBalances,
+    pendingTransfers,
+    claimPendingTransfers
+};
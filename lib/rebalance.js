@@ -0,0 +1,182 @@
+const { formatOCT, toMicroOCT } = require('./amounts');
+const { logger } = require('./logger');
+const { ADDRESS_REGEX } = require('./signer');
+const { OctraAutoTX } = require('./client');
+const { TxJournal } = require('./journal');
+const { pickRunOptions, executePlan } = require('./engine');
+
+const REBALANCE_MODES = ['fund', 'sweep'];
+
+// Largest amount that still leaves `available` covering its own fee, or nothing
+// when the fee eats it all. Taking the fee of the whole amount can push the rest
+// into a cheaper tier, so try that too.
+function sweepAmount(octra, available) {
+    const amount = available - octra.estimateFee(available);
+    if (amount <= 0n) return 0n;
+    const cheaper = available - octra.estimateFee(amount);
+
+    if (cheaper > amount && cheaper + octra.estimateFee(cheaper) <= available) {
+        return cheaper;
+    }
+    return amount;
+}
+
+function resolveTreasury(spec, wallets, mode) {
+    if (!spec) {
+        throw new Error('No treasury wallet: pass --treasury or set OCTRA_TREASURY');
+    }
+
+    const wallet = wallets.find(w => w.name === spec || w.address === spec);
+    if (wallet) return wallet;
+
+    if (mode === 'sweep' && ADDRESS_REGEX.test(spec)) {
+        return { name: spec, address: spec };
+    }
+    throw new Error(mode === 'fund' ? `Treasury ${spec} is not a loaded wallet, its key is needed to fund from it` : `Unknown treasury wallet: ${spec}`);
+}
+
+// 'fund' tops every managed wallet below options.target up to it from the treasury;
+// 'sweep' sends everything above options.floor, less the fee, back to the treasury.
+// Returns a plan in the shape executePlan takes, plus per-wallet balances.
+async function planRebalance(mode, wallets, options = {}) {
+    if (!REBALANCE_MODES.includes(mode)) {
+        throw new Error(`Unknown rebalance mode: ${mode || '(none)'}, expected fund or sweep`);
+    }
+
+    const octra = options.octra || new OctraAutoTX({ rpcUrl: options.rpcUrl, timeout: options.timeout, rateLimit: options.rateLimit, fees: options.fees });
+    const treasury = resolveTreasury(options.treasury || process.env.OCTRA_TREASURY, wallets, mode);
+    const managed = (options.managed || wallets).filter(w => w.address !== treasury.address);
+    const limit = mode === 'fund' ? options.target : options.floor;
+    const threshold = limit === undefined || limit === null ? 0n : toMicroOCT(limit);
+    const errors = [];
+    const plan = [];
+    const rows = [];
+
+    if (mode === 'fund' && threshold <= 0n) {
+        throw new Error('fund needs a positive target balance');
+    }
+    if (managed.length === 0) {
+        throw new Error('No managed wallets to rebalance besides the treasury');
+    }
+
+    for (const wallet of managed) {
+        let balance;
+        try {
+            balance = await octra.getBalance(wallet.address);
+        } catch (error) {
+            errors.push(`${wallet.name}: could not read balance: ${error.message}`);
+            rows.push({ wallet: wallet.name, address: wallet.address, balance: null, amount: 0n, fee: 0n });
+            continue;
+        }
+
+        let amount = 0n;
+        if (mode === 'fund' && balance < threshold) {
+            amount = threshold - balance;
+        } else if (mode === 'sweep' && balance > threshold) {
+            amount = sweepAmount(octra, balance - threshold);
+        }
+
+        const fee = amount > 0n ? octra.estimateFee(amount) : 0n;
+        rows.push({ wallet: wallet.name, address: wallet.address, balance, amount, fee });
+
+        if (amount <= 0n) continue;
+
+        const from = mode === 'fund' ? treasury : wallet;
+        const to = mode === 'fund' ? wallet : treasury;
+        plan.push({
+            id: plan.length + 1,
+            wallet: from.name,
+            from: from.address,
+            to: to.address,
+            recipientIndex: mode === 'fund' ? plan.length : 0,
+            amount: amount,
+            index: mode === 'fund' ? plan.length + 1 : 1,
+            count: 1,
+            memo: mode === 'fund' ? `Rebalance top-up of ${wallet.name}` : `Rebalance sweep from ${wallet.name}`
+        });
+    }
+
+    if (mode === 'fund') {
+        for (const entry of plan) {
+            entry.count = plan.length;
+        }
+
+        const required = plan.reduce((sum, entry) => sum + entry.amount + octra.estimateFee(entry.amount), 0n);
+        let balance = null;
+        try {
+            balance = await octra.getBalance(treasury.address);
+        } catch (error) {
+            errors.push(`Treasury ${treasury.name}: could not read balance: ${error.message}`);
+        }
+        if (balance !== null && balance < required) {
+            errors.push(`Treasury ${treasury.name}: needs ${formatOCT(required)} OCT (top-ups + fees) but balance is ${formatOCT(balance)} OCT`);
+        }
+        return { mode, treasury: { name: treasury.name, address: treasury.address, balance, required }, threshold, plan, wallets: rows, errors };
+    }
+
+    return { mode, treasury: { name: treasury.name, address: treasury.address }, threshold, plan, wallets: rows, errors };
+}
+
+function displayRebalancePlan(result) {
+    const verb = result.mode === 'fund' ? `Top up to ${formatOCT(result.threshold)} OCT from` : `Sweep above ${formatOCT(result.threshold)} OCT to`;
+    logger.stats(`${verb} treasury ${result.treasury.name}: ${result.plan.length} transaction(s)`);
+
+    for (const row of result.wallets) {
+        if (row.balance === null) {
+            logger.wallet(`${row.wallet} | Balance: unavailable`);
+        } else if (row.amount === 0n) {
+            logger.wallet(`${row.wallet} | Balance: ${formatOCT(row.balance)} OCT | nothing to move`);
+        } else {
+            const after = result.mode === 'fund' ? row.balance + row.amount : row.balance - row.amount - row.fee;
+            logger.wallet(`${row.wallet} | Balance: ${formatOCT(row.balance)} OCT | ${result.mode === 'fund' ? 'Receives' : 'Sends'}: ${formatOCT(row.amount)} OCT | Fee: ${formatOCT(row.fee)} OCT | After: ${formatOCT(after)} OCT`);
+        }
+    }
+
+    if (result.treasury.balance !== undefined && result.treasury.balance !== null) {
+        logger.wallet(`Treasury ${result.treasury.name} | Balance: ${formatOCT(result.treasury.balance)} OCT | Needs: ${formatOCT(result.treasury.required)} OCT`);
+    }
+}
+
+async function executeRebalance(mode, wallets, options = {}) {
+    const result = await planRebalance(mode, wallets, options);
+    displayRebalancePlan(result);
+
+    if (result.errors.length > 0) {
+        for (const error of result.errors) {
+            logger.error(error);
+        }
+        throw new Error(`Rebalance plan has ${result.errors.length} error(s), nothing was sent`);
+    }
+
+    if (result.plan.length === 0) {
+        logger.success('All wallets are already balanced, nothing to send');
+        return { dryRun: !!options.dryRun, mode, transactions: [], wallets: result.wallets };
+    }
+
+    if (options.dryRun) {
+        logger.success('Dry run: plan is valid, nothing was signed or sent');
+        return { dryRun: true, mode, transactions: result.plan, wallets: result.wallets };
+    }
+
+    let journal = null;
+    if (options.journal !== false) {
+        journal = TxJournal.create(options.journalDir, {
+            mode: `rebalance-${mode}`,
+            treasury: result.treasury.address,
+            threshold: result.threshold,
+            options: pickRunOptions(options)
+        });
+
+        for (const entry of result.plan) {
+            journal.append('planned', entry);
+        }
+    }
+
+    return executePlan(wallets, result.plan, { ...options, journal });
+}
+
+module.exports = {
+    REBALANCE_MODES,
+    planRebalance,
+    executeRebalance
+};
@@ -0,0 +1,258 @@
+const fs = require('fs');
+const path = require('path');
+
+const { formatOCT, jsonReplacer } = require('./amounts');
+const { colors, logger } = require('./logger');
+const { OctraAutoTX } = require('./client');
+const { TxJournal } = require('./journal');
+
+// Journal statuses as they read in a report. A transaction still 'sending' when
+// the journal ends may or may not have reached the node.
+const OUTCOMES = {
+    confirmed: 'confirmed',
+    accepted: 'pending',
+    sending: 'unknown',
+    unknown: 'unknown',
+    failed: 'failed',
+    dropped: 'failed',
+    skipped: 'skipped',
+    planned: 'unsent'
+};
+
+// Statuses whose transaction may be on chain, and so can be checked against history.
+const RECONCILABLE = ['confirmed', 'accepted', 'sending', 'unknown', 'dropped'];
+
+function emptyTotals() {
+    return { planned: 0, confirmed: 0, pending: 0, failed: 0, unknown: 0, skipped: 0, unsent: 0, amount: 0n, fees: 0n, possiblySpent: 0n };
+}
+
+function addToTotals(totals, tx, possiblySpent) {
+    totals.planned++;
+    totals[tx.outcome]++;
+    totals.amount += tx.outcome === 'confirmed' ? tx.amount : 0n;
+    totals.fees += tx.fee;
+    totals.possiblySpent += possiblySpent;
+}
+
+function failureReason(tx) {
+    if (tx.error) return tx.error;
+    return tx.status === 'dropped' ? 'Dropped from staging' : 'Broadcast outcome unknown';
+}
+
+// Totals per wallet and recipient, fees paid and failures grouped by error for
+// one run, read from its journal. Amounts and fees only count confirmed transactions;
+// pending and unknown ones may still land, so their amounts and fees are possiblySpent.
+function buildRunReport(journalPath, options = {}) {
+    const state = TxJournal.read(journalPath);
+    if (!state.run) {
+        throw new Error(`Not a transaction journal: ${journalPath}`);
+    }
+
+    const octra = options.octra || new OctraAutoTX({ rpcUrl: options.rpcUrl });
+    const totals = emptyTotals();
+    const wallets = new Map();
+    const recipients = new Map();
+    const failures = new Map();
+
+    const transactions = [...state.transactions.values()].map(entry => {
+        const outcome = OUTCOMES[entry.status] || 'unknown';
+        const tx = {
+            id: entry.id,
+            wallet: entry.wallet,
+            from: entry.from,
+            to: entry.to,
+            amount: entry.amount,
+            // Journals written before fees were recorded fall back to the policy's estimate.
+            fee: outcome !== 'confirmed' ? 0n : entry.fee !== undefined ? entry.fee : octra.estimateFee(entry.amount),
+            memo: entry.memo || '',
+            nonce: entry.nonce,
+            hash: entry.hash,
+            epoch: entry.epoch !== undefined ? entry.epoch : null,
+            status: entry.status,
+            outcome: outcome,
+            error: outcome === 'failed' || outcome === 'unknown' ? failureReason(entry) : entry.error
+        };
+
+        const possiblySpent = outcome === 'pending' || outcome === 'unknown'
+            ? entry.amount + (entry.fee !== undefined ? entry.fee : octra.estimateFee(entry.amount))
+            : 0n;
+        addToTotals(totals, tx, possiblySpent);
+
+        if (!wallets.has(tx.from)) {
+            wallets.set(tx.from, { wallet: tx.wallet, address: tx.from, ...emptyTotals() });
+        }
+        addToTotals(wallets.get(tx.from), tx, possiblySpent);
+
+        if (outcome === 'confirmed') {
+            const recipient = recipients.get(tx.to) || { recipient: tx.to, transactions: 0, amount: 0n };
+            recipient.transactions++;
+            recipient.amount += tx.amount;
+            recipients.set(tx.to, recipient);
+        }
+
+        if (outcome === 'failed' || outcome === 'unknown') {
+            const group = failures.get(tx.error) || { error: tx.error, count: 0, wallets: [], ids: [] };
+            group.count++;
+            group.ids.push(tx.id);
+            if (!group.wallets.includes(tx.wallet)) group.wallets.push(tx.wallet);
+            failures.set(tx.error, group);
+        }
+
+        return tx;
+    });
+
+    return {
+        runId: state.run.runId,
+        journal: journalPath,
+        mode: state.run.mode || null,
+        finished: state.done,
+        totals: totals,
+        wallets: [...wallets.values()],
+        recipients: [...recipients.values()].sort((a, b) => (b.amount > a.amount ? 1 : b.amount < a.amount ? -1 : 0)),
+        failures: [...failures.values()].sort((a, b) => b.count - a.count),
+        transactions: transactions
+    };
+}
+
+// Checks what the tool recorded as sent from an address against the node's history
+// of it: by hash, or by nonce for sends that never got a hash back. Sends older
+// than the oldest fetched transaction are 'unchecked' when history was cut off at
+// the limit; on-chain sends that match nothing recorded are 'external'.
+function reconcileHistory(address, sent, history, options = {}) {
+    const outgoing = history.filter(tx => tx.from === address);
+    const byHash = new Map(outgoing.map(tx => [tx.hash, tx]));
+    const byNonce = new Map(outgoing.map(tx => [tx.nonce, tx]));
+    const truncated = options.limit !== undefined && history.length >= options.limit;
+    const oldestNonce = outgoing.length > 0 ? Math.min(...outgoing.map(tx => tx.nonce)) : Infinity;
+    const claimed = new Set();
+    const results = [];
+
+    for (const tx of sent) {
+        if (tx.from !== address || tx.nonce === null || tx.nonce === undefined || !RECONCILABLE.includes(tx.status)) continue;
+
+        const chain = tx.hash ? byHash.get(tx.hash) : byNonce.get(tx.nonce);
+        const result = { id: tx.id, nonce: tx.nonce, hash: tx.hash, status: tx.status };
+
+        if (!chain) {
+            results.push({ ...result, verdict: truncated && tx.nonce < oldestNonce ? 'unchecked' : 'missing' });
+            continue;
+        }
+
+        claimed.add(chain.hash);
+        if (chain.to !== tx.to || chain.amount !== tx.amount) {
+            results.push({ ...result, hash: chain.hash, verdict: 'mismatched', expected: { to: tx.to, amount: tx.amount }, actual: { to: chain.to, amount: chain.amount } });
+        } else {
+            results.push({ ...result, hash: chain.hash, epoch: chain.epoch, verdict: 'matched' });
+        }
+    }
+
+    const count = (verdict) => results.filter(result => result.verdict === verdict).length;
+
+    return {
+        address: address,
+        onChain: outgoing.length,
+        incoming: history.length - outgoing.length,
+        matched: count('matched'),
+        mismatched: count('mismatched'),
+        missing: count('missing'),
+        unchecked: count('unchecked'),
+        results: results,
+        external: outgoing.filter(tx => !claimed.has(tx.hash))
+    };
+}
+
+// Fetches each sending wallet's history and marks every report transaction with
+// what the node says about it.
+async function reconcileReport(report, options = {}) {
+    const octra = options.octra || new OctraAutoTX({ rpcUrl: options.rpcUrl, timeout: options.timeout, rateLimit: options.rateLimit });
+    const limit = options.limit || 100;
+    const reconciliation = [];
+
+    for (const wallet of report.wallets) {
+        const history = await octra.getAddressHistory(wallet.address, limit);
+        const result = reconcileHistory(wallet.address, report.transactions, history, { limit });
+        const { external, results, ...counts } = result;
+
+        for (const verdict of results) {
+            report.transactions.find(tx => tx.id === verdict.id).onChain = verdict.verdict;
+        }
+        reconciliation.push(counts);
+    }
+
+    report.reconciliation = reconciliation;
+    return report;
+}
+
+function csvCell(value) {
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'bigint') return formatOCT(value);
+    let text = Array.isArray(value) ? value.join(' ') : String(value);
+    // Spreadsheets run cells that start like a formula.
+    if (typeof value === 'string' && /^[=+\-@]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(rows, columns) {
+    const lines = [columns.map(csvCell).join(',')];
+    for (const row of rows) {
+        lines.push(columns.map(column => csvCell(row[column])).join(','));
+    }
+    return `${lines.join('\n')}\n`;
+}
+
+const REPORT_TABLES = {
+    wallets: ['wallet', 'address', 'planned', 'confirmed', 'pending', 'failed', 'unknown', 'skipped', 'unsent', 'amount', 'fees', 'possiblySpent'],
+    recipients: ['recipient', 'transactions', 'amount'],
+    failures: ['error', 'count', 'wallets', 'ids'],
+    transactions: ['id', 'wallet', 'from', 'to', 'amount', 'fee', 'memo', 'nonce', 'hash', 'epoch', 'status', 'onChain', 'error']
+};
+
+// Writes <runId>.json plus one CSV per table into dir and returns the paths.
+function writeRunReport(report, dir = process.env.REPORT_DIR || 'reports') {
+    fs.mkdirSync(dir, { recursive: true });
+    const base = path.join(dir, report.runId);
+    const files = [`${base}.json`];
+
+    fs.writeFileSync(files[0], `${JSON.stringify(report, jsonReplacer, 2)}\n`);
+    for (const [table, columns] of Object.entries(REPORT_TABLES)) {
+        const filePath = `${base}-${table}.csv`;
+        fs.writeFileSync(filePath, toCsv(report[table], columns.filter(column => column !== 'onChain' || report.reconciliation)));
+        files.push(filePath);
+    }
+
+    return files;
+}
+
+function displayRunReport(report) {
+    const { totals } = report;
+
+    logger.bridge(`Run ${report.runId} (${report.mode || 'unknown mode'}, ${report.finished ? 'finished' : 'not finished'})`);
+    logger.stats(`Transactions: ${totals.planned} planned, ${colors.brightGreen}${totals.confirmed} confirmed${colors.reset}, ${totals.pending} pending, ${colors.brightRed}${totals.failed} failed${colors.reset}, ${totals.unknown} unknown, ${totals.skipped} skipped, ${totals.unsent} not sent`);
+    logger.stats(`Sent: ${colors.brightYellow}${formatOCT(totals.amount)} OCT${colors.reset} | Fees paid: ${colors.brightYellow}${formatOCT(totals.fees)} OCT${colors.reset}`);
+    if (totals.possiblySpent > 0n) {
+        logger.warning(`Possibly spent: ${formatOCT(totals.possiblySpent)} OCT in pending or unknown transactions, check them before sending again`);
+    }
+
+    for (const wallet of report.wallets) {
+        logger.wallet(`${wallet.wallet} | ${wallet.confirmed}/${wallet.planned} confirmed | Sent: ${formatOCT(wallet.amount)} OCT | Fees: ${formatOCT(wallet.fees)} OCT`);
+    }
+    for (const recipient of report.recipients) {
+        logger.info(`${recipient.recipient} | ${recipient.transactions} tx | Received: ${formatOCT(recipient.amount)} OCT`);
+    }
+    for (const failure of report.failures) {
+        logger.error(`${failure.count}x ${failure.error} (${failure.wallets.join(', ')})`);
+    }
+    for (const result of report.reconciliation || []) {
+        const log = result.missing > 0 || result.mismatched > 0 ? logger.warning : logger.success;
+        log(`${result.address} | On chain: ${result.matched} matched, ${result.mismatched} mismatched, ${result.missing} missing, ${result.unchecked} beyond history limit`);
+    }
+}
+
+module.exports = {
+    buildRunReport,
+    reconcileHistory,
+    reconcileReport,
+    toCsv,
+    writeRunReport,
+    displayRunReport
+};
@@ -0,0 +1,285 @@
+const axios = require('axios');
+
+const { delay } = require('./util');
+const { logger } = require('./logger');
+const { metrics } = require('./metrics');
+
+class RpcError extends Error {
+    constructor(message, details = {}) {
+        super(message);
+        this.name = 'RpcError';
+        this.code = details.code || 'RPC_ERROR';
+        this.status = details.status;
+        this.endpoint = details.endpoint;
+    }
+
+    static fromResponse(method, path, result) {
+        const detail = result.data ? JSON.stringify(result.data) : result.text;
+        return new RpcError(`${method} ${path} returned HTTP ${result.status}${detail ? `: ${detail}` : ''}`, {
+            code: 'HTTP_ERROR',
+            status: result.status,
+            endpoint: result.endpoint
+        });
+    }
+}
+
+const UNREACHABLE_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH'];
+
+function parseEndpointList(value) {
+    const list = Array.isArray(value) ? value : String(value || '').split(',');
+    return list.map(url => url.trim().replace(/\/+$/, '')).filter(Boolean);
+}
+
+// Limiters handed out by RateLimiter.shared, one per node URL for the whole process.
+const sharedLimiters = new Map();
+
+// Token bucket shared by everything that talks to the node. Callers queue in
+// order, so one busy wallet can't starve the others.
+class RateLimiter {
+    constructor(rate = 0, burst = null) {
+        this.rate = rate > 0 ? rate : 0;
+        this.burst = burst || Math.max(1, Math.ceil(this.rate));
+        this.tokens = this.burst;
+        this.updatedAt = Date.now();
+        this.queue = Promise.resolve();
+    }
+
+    refill() {
+        const now = Date.now();
+        this.tokens = Math.min(this.burst, this.tokens + (now - this.updatedAt) / 1000 * this.rate);
+        this.updatedAt = now;
+    }
+
+    take() {
+        if (this.rate === 0) return Promise.resolve();
+
+        this.queue = this.queue.then(async () => {
+            this.refill();
+            if (this.tokens < 1) {
+                await delay(Math.ceil((1 - this.tokens) / this.rate * 1000));
+                this.refill();
+            }
+            this.tokens -= 1;
+        });
+        return this.queue;
+    }
+
+    setRate(rate) {
+        this.refill();
+        this.rate = rate > 0 ? rate : 0;
+        this.burst = Math.max(1, Math.ceil(this.rate));
+        this.tokens = Math.min(this.tokens, this.burst);
+    }
+
+    // Every client in the process that talks to url takes from this limiter, so
+    // the rate caps the process and not each client. The lowest rate asked for wins
+    // for the rest of the process: a later client can tighten it but never loosen
+    // it, and one that asks for more is told what it gets.
+    static shared(url, rate = 0) {
+        const limiter = sharedLimiters.get(url);
+        if (!limiter) {
+            sharedLimiters.set(url, new RateLimiter(rate));
+        } else if (rate > 0 && (limiter.rate === 0 || rate < limiter.rate)) {
+            limiter.setRate(rate);
+        } else if (rate > limiter.rate) {
+            logger.warning(`RPC rate limit for ${url} stays at ${limiter.rate} request(s)/s, the lowest asked for in this process, not ${rate}`);
+        }
+        return sharedLimiters.get(url);
+    }
+}
+
+// GETs are retried with backoff across endpoints. POSTs only fail over when the
+// request never reached a node, so a transaction is not broadcast twice.
+class RpcClient {
+    constructor(options = {}) {
+        const urls = parseEndpointList(options.endpoints || options.rpcUrl || process.env.OCTRA_RPC_URL || 'https://octra.network');
+        const rate = options.rateLimit !== undefined ? options.rateLimit : parseFloat(process.env.OCTRA_RPC_RATE) || 0;
+
+        this.endpoints = urls.map(url => ({
+            url,
+            healthy: true,
+            failures: 0,
+            downUntil: 0,
+            latencyMs: null,
+            lastError: null,
+            limiter: options.limiter || RateLimiter.shared(url, rate)
+        }));
+        this.timeout = options.timeout || parseInt(process.env.OCTRA_RPC_TIMEOUT) || 10000;
+        this.retries = options.retries !== undefined ? options.retries : 3;
+        this.retryDelay = options.retryDelay !== undefined ? options.retryDelay : 250;
+        this.maxRetryDelay = options.maxRetryDelay || 5000;
+        this.cooldown = options.cooldown !== undefined ? options.cooldown : 30000;
+        this.current = 0;
+    }
+
+    get url() {
+        return this.endpoints[this.current].url;
+    }
+
+    get limiter() {
+        return this.endpoints[this.current].limiter;
+    }
+
+    pick() {
+        const now = Date.now();
+
+        for (let i = 0; i < this.endpoints.length; i++) {
+            const index = (this.current + i) % this.endpoints.length;
+            if (this.endpoints[index].downUntil <= now) {
+                this.current = index;
+                return this.endpoints[index];
+            }
+        }
+
+        const next = this.endpoints.reduce((a, b) => (a.downUntil <= b.downUntil ? a : b));
+        this.current = this.endpoints.indexOf(next);
+        return next;
+    }
+
+    markUp(endpoint, latencyMs) {
+        endpoint.healthy = true;
+        endpoint.failures = 0;
+        endpoint.downUntil = 0;
+        endpoint.latencyMs = latencyMs;
+        endpoint.lastError = null;
+    }
+
+    markDown(endpoint, error) {
+        endpoint.healthy = false;
+        endpoint.failures++;
+        endpoint.downUntil = Date.now() + this.cooldown;
+        endpoint.lastError = error.message;
+
+        if (this.endpoints.length > 1) {
+            logger.warning(`RPC ${endpoint.url} unavailable (${error.message}), failing over`);
+        }
+    }
+
+    backoff(attempt) {
+        const ceiling = Math.min(this.maxRetryDelay, this.retryDelay * 2 ** attempt);
+        return Math.floor(ceiling / 2 + Math.random() * ceiling / 2);
+    }
+
+    async send(endpoint, method, path, data, timeout = this.timeout, headers = {}) {
+        const config = {
+            method: method,
+            url: `${endpoint.url}${path}`,
+            timeout: timeout,
+            headers: {
+                'Accept': 'application/json',
+                'User-Agent': 'Pempek-Lahat-Auto-TX/1.0',
+                ...headers
+            }
+        };
+
+        if (method === 'POST' && data) {
+            config.data = data;
+            config.headers['Content-Type'] = 'application/json';
+        }
+
+        await endpoint.limiter.take();
+        const startedAt = Date.now();
+        const labels = { method, route: `/${path.split(/[/?]/)[1] || ''}`, endpoint: endpoint.url };
+        const observe = () => metrics.observe('pempek_rpc_request_duration_seconds', labels, (Date.now() - startedAt) / 1000);
+
+        try {
+            const response = await axios(config);
+            observe();
+            return {
+                status: response.status,
+                data: response.data,
+                text: typeof response.data === 'string' ? response.data : JSON.stringify(response.data),
+                endpoint: endpoint.url,
+                latencyMs: Date.now() - startedAt
+            };
+        } catch (error) {
+            observe();
+            if (error.response) {
+                return {
+                    status: error.response.status,
+                    data: error.response.data,
+                    text: error.response.statusText,
+                    endpoint: endpoint.url,
+                    latencyMs: Date.now() - startedAt
+                };
+            }
+
+            let code = 'NETWORK_ERROR';
+            if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT' || /timeout/i.test(error.message)) {
+                code = 'TIMEOUT';
+            } else if (UNREACHABLE_CODES.includes(error.code)) {
+                code = 'UNREACHABLE';
+            }
+            metrics.inc('pempek_rpc_errors_total', { endpoint: endpoint.url, code });
+            throw new RpcError(`${method} ${path} via ${endpoint.url}: ${error.message}`, { code, endpoint: endpoint.url });
+        }
+    }
+
+    async request(method, path, data = null, headers = {}) {
+        const idempotent = method === 'GET';
+        const attempts = idempotent ? this.retries + 1 : this.endpoints.length;
+        let lastError = null;
+
+        for (let attempt = 0; attempt < attempts; attempt++) {
+            if (attempt > 0 && idempotent) {
+                await delay(this.backoff(attempt - 1));
+            }
+
+            const endpoint = this.pick();
+
+            try {
+                const result = await this.send(endpoint, method, path, data, this.timeout, headers);
+
+                if (idempotent && (result.status >= 500 || result.status === 429)) {
+                    lastError = RpcError.fromResponse(method, path, result);
+                    this.markDown(endpoint, lastError);
+                    continue;
+                }
+
+                this.markUp(endpoint, result.latencyMs);
+                return result;
+            } catch (error) {
+                lastError = error;
+                this.markDown(endpoint, error);
+
+                if (!idempotent && error.code !== 'UNREACHABLE') {
+                    throw error;
+                }
+            }
+        }
+
+        throw lastError;
+    }
+
+    async checkHealth() {
+        await Promise.all(this.endpoints.map(async endpoint => {
+            try {
+                const result = await this.send(endpoint, 'GET', '/staging', null, Math.min(this.timeout, 5000));
+                if (result.status === 200) {
+                    this.markUp(endpoint, result.latencyMs);
+                } else {
+                    this.markDown(endpoint, RpcError.fromResponse('GET', '/staging', result));
+                }
+            } catch (error) {
+                this.markDown(endpoint, error);
+            }
+        }));
+
+        return this.status();
+    }
+
+    status() {
+        return this.endpoints.map(endpoint => ({
+            url: endpoint.url,
+            healthy: endpoint.healthy,
+            latencyMs: endpoint.latencyMs,
+            error: endpoint.lastError
+        }));
+    }
+}
+
+module.exports = {
+    RpcError,
+    RateLimiter,
+    RpcClient
+};
@@ -0,0 +1,376 @@
+const fs = require('fs');
+const path = require('path');
+const moment = require('moment-timezone');
+
+const { parseOCT, jsonReplacer } = require('./amounts');
+const { logger } = require('./logger');
+const { ADDRESS_REGEX } = require('./signer');
+const { BUDGET_POLICIES, DISTRIBUTIONS } = require('./engine');
+
+const CRON_FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12 },
+    { name: 'day of week', min: 0, max: 7 }
+];
+
+function parseCronField(text, field) {
+    const values = new Set();
+
+    for (const part of text.split(',')) {
+        const match = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+        if (!match) {
+            throw new Error(`Invalid ${field.name} field: ${text}`);
+        }
+
+        let from = field.min;
+        let to = field.max;
+        if (match[2] !== undefined) {
+            from = parseInt(match[2]);
+            to = match[3] !== undefined ? parseInt(match[3]) : (match[4] !== undefined ? field.max : from);
+        }
+        const step = match[4] !== undefined ? parseInt(match[4]) : 1;
+
+        if (from < field.min || to > field.max || from > to || step < 1) {
+            throw new Error(`Invalid ${field.name} field: ${text} (allowed ${field.min}-${field.max})`);
+        }
+        for (let value = from; value <= to; value += step) {
+            values.add(field.name === 'day of week' ? value % 7 : value);
+        }
+    }
+
+    return values;
+}
+
+// Standard 5-field cron: minute hour day-of-month month day-of-week. As in cron,
+// when both day fields are restricted a slot matches if either of them does.
+function parseCron(expression) {
+    const parts = String(expression || '').trim().split(/\s+/);
+    if (parts.length !== 5) {
+        throw new Error(`Schedule must have 5 fields (minute hour day month weekday), got: ${expression}`);
+    }
+
+    const [minute, hour, dom, month, dow] = parts.map((part, i) => parseCronField(part, CRON_FIELDS[i]));
+    return { expression, minute, hour, dom, month, dow, domRestricted: parts[2] !== '*', dowRestricted: parts[4] !== '*' };
+}
+
+function cronMatchesDay(cron, time) {
+    if (!cron.month.has(time.month() + 1)) return false;
+
+    const domMatch = cron.dom.has(time.date());
+    const dowMatch = cron.dow.has(time.day());
+    if (cron.domRestricted && cron.dowRestricted) return domMatch || dowMatch;
+    return domMatch && dowMatch;
+}
+
+function nextCronTime(cron, after, timezone) {
+    const time = moment.tz(after, timezone).startOf('minute').add(1, 'minute');
+    const limit = moment.tz(after, timezone).add(5, 'years');
+
+    while (time.isBefore(limit)) {
+        if (!cronMatchesDay(cron, time)) {
+            time.add(1, 'day').startOf('day');
+        } else if (!cron.hour.has(time.hour())) {
+            time.add(1, 'hour').startOf('hour');
+        } else if (!cron.minute.has(time.minute())) {
+            time.add(1, 'minute');
+        } else {
+            return time.valueOf();
+        }
+    }
+
+    return null;
+}
+
+const CATCH_UP_POLICIES = ['skip', 'once', 'all'];
+
+function loadJobsFile(filePath = process.env.OCTRA_JOBS_FILE || 'jobs.json') {
+    if (!fs.existsSync(filePath)) {
+        throw new Error(`Jobs file not found: ${filePath}`);
+    }
+
+    let config;
+    try {
+        config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new Error(`${filePath} is not valid JSON: ${error.message}`);
+    }
+
+    const defaultTimezone = config.timezone || process.env.OCTRA_TIMEZONE || 'Asia/Jakarta';
+    const errors = [];
+    const jobs = [];
+    const names = new Set();
+
+    (Array.isArray(config.jobs) ? config.jobs : []).forEach((raw, i) => {
+        const name = raw.name || `job${i + 1}`;
+        const fail = (message) => errors.push(`Job ${name}: ${message}`);
+
+        if (!/^[\w.-]+$/.test(name)) return fail('name may only contain letters, digits, ".", "_" and "-"');
+        if (names.has(name)) return fail('duplicate job name');
+        names.add(name);
+
+        const job = {
+            name,
+            schedule: raw.schedule,
+            timezone: raw.timezone || defaultTimezone,
+            mode: raw.mode || 'fixed',
+            count: raw.count !== undefined ? parseInt(raw.count) : 1,
+            wallets: raw.wallets || null,
+            recipients: raw.recipients || null,
+            catchUp: raw.catchUp || 'skip',
+            options: {
+                pipelineDepth: raw.pipeline,
+                concurrency: raw.concurrency,
+                budgetPolicy: raw.budget,
+                distribution: raw.distribution,
+                weights: raw.weights
+            }
+        };
+
+        try {
+            job.cron = parseCron(raw.schedule);
+        } catch (error) {
+            return fail(error.message);
+        }
+        if (!moment.tz.zone(job.timezone)) return fail(`unknown timezone ${job.timezone}`);
+        if (!CATCH_UP_POLICIES.includes(job.catchUp)) return fail(`catchUp must be one of ${CATCH_UP_POLICIES.join(', ')}`);
+        if (!Number.isInteger(job.count) || job.count < 1) return fail('count must be a positive integer');
+        if (job.options.budgetPolicy !== undefined && !BUDGET_POLICIES.includes(job.options.budgetPolicy)) {
+            return fail(`budget must be one of ${BUDGET_POLICIES.join(', ')}`);
+        }
+        if (job.options.distribution !== undefined && !DISTRIBUTIONS.includes(job.options.distribution)) {
+            return fail(`distribution must be one of ${DISTRIBUTIONS.join(', ')}`);
+        }
+        if (job.options.weights !== undefined && (!Array.isArray(job.options.weights) || job.options.weights.some(weight => !Number.isInteger(weight) || weight < 0))) {
+            return fail('weights must be a list of non-negative integers, one per recipient');
+        }
+        if (raw.wallets !== undefined && (!Array.isArray(raw.wallets) || raw.wallets.length === 0 || raw.wallets.some(wallet => typeof wallet !== 'string' || !wallet))) {
+            return fail('wallets must be a non-empty list of wallet names or addresses');
+        }
+        if (job.recipients && (!Array.isArray(job.recipients) || job.recipients.some(address => !ADDRESS_REGEX.test(address)))) {
+            return fail('recipients must be valid oct addresses');
+        }
+
+        try {
+            if (job.mode === 'fixed') {
+                job.amount = parseOCT(raw.amount);
+            } else if (job.mode === 'random') {
+                job.minAmount = parseOCT(raw.min);
+                job.maxAmount = parseOCT(raw.max);
+                if (job.minAmount >= job.maxAmount) return fail('min must be less than max');
+            } else {
+                return fail('mode must be fixed or random');
+            }
+        } catch (error) {
+            return fail(error.message);
+        }
+
+        jobs.push(job);
+    });
+
+    if (errors.length > 0) {
+        throw new Error(`${filePath} has ${errors.length} error(s):\n${errors.join('\n')}`);
+    }
+    if (jobs.length === 0) {
+        throw new Error(`${filePath} defines no jobs`);
+    }
+
+    return jobs;
+}
+
+// Runs each job on its schedule. A job never overlaps itself: slots that come up
+// while it is still running are recorded as skipped. Slots missed while the daemon
+// was down are handled by the job's catchUp policy, using the run history:
+//   skip  record them as skipped and wait for the next slot
+//   once  run a single catch-up for all of them
+//   all   run every missed slot, one after another
+class Scheduler {
+    constructor(jobs, options = {}) {
+        this.jobs = jobs.map(job => ({ ...job, cron: job.cron || parseCron(job.schedule), running: null, lastSlot: null }));
+        this.runJob = options.runJob;
+        this.historyDir = options.historyDir || process.env.OCTRA_HISTORY_DIR || 'history';
+        this.now = options.now || (() => Date.now());
+        this.grace = options.grace !== undefined ? options.grace : 60000;
+        this.timer = null;
+        this.stopped = false;
+    }
+
+    historyPath(job) {
+        return path.join(this.historyDir, `${job.name}.jsonl`);
+    }
+
+    static readHistory(filePath) {
+        if (!fs.existsSync(filePath)) return [];
+
+        return fs.readFileSync(filePath, 'utf8').split('\n').filter(line => line.trim()).flatMap(line => {
+            try {
+                return [JSON.parse(line)];
+            } catch (error) {
+                return [];
+            }
+        });
+    }
+
+    record(job, slot, fields) {
+        fs.mkdirSync(this.historyDir, { recursive: true });
+        const entry = { job: job.name, slot: moment.tz(slot, job.timezone).format(), ...fields };
+        fs.appendFileSync(this.historyPath(job), `${JSON.stringify(entry, jsonReplacer)}\n`);
+        return entry;
+    }
+
+    init() {
+        const now = this.now();
+
+        for (const job of this.jobs) {
+            const history = Scheduler.readHistory(this.historyPath(job));
+            const last = history.length > 0 ? Date.parse(history[history.length - 1].slot) : NaN;
+            job.lastSlot = Number.isNaN(last) ? now : Math.min(last, now);
+        }
+    }
+
+    dueSlots(job, now) {
+        const slots = [];
+        let slot = job.lastSlot;
+
+        while ((slot = nextCronTime(job.cron, slot, job.timezone)) !== null && slot <= now) {
+            slots.push(slot);
+            if (slots.length >= 1000) break;
+        }
+
+        return slots;
+    }
+
+    tick() {
+        const now = this.now();
+
+        for (const job of this.jobs) {
+            const slots = this.dueSlots(job, now);
+            if (slots.length === 0) continue;
+            job.lastSlot = slots[slots.length - 1];
+
+            if (job.running) {
+                for (const slot of slots) {
+                    this.record(job, slot, { status: 'skipped', reason: 'previous run still in progress' });
+                }
+                logger.warning(`Job ${job.name} | ${slots.length} slot(s) skipped, previous run still in progress`);
+                continue;
+            }
+
+            const missed = slots.filter(slot => now - slot > this.grace);
+            const onTime = slots.filter(slot => now - slot <= this.grace);
+            let toRun = onTime;
+
+            if (job.catchUp === 'all') {
+                toRun = slots;
+            } else if (job.catchUp === 'once' && missed.length > 0) {
+                toRun = [slots[slots.length - 1]];
+            }
+
+            for (const slot of slots.filter(slot => !toRun.includes(slot))) {
+                this.record(job, slot, { status: 'skipped', reason: 'missed' });
+            }
+            if (missed.length > 0) {
+                logger.warning(`Job ${job.name} | ${missed.length} missed slot(s), catch-up policy: ${job.catchUp}`);
+            }
+            if (toRun.length > 0) {
+                job.running = this.execute(job, toRun).finally(() => {
+                    job.running = null;
+                });
+            }
+        }
+    }
+
+    async execute(job, slots) {
+        const log = logger.child({ job: job.name });
+
+        for (const slot of slots) {
+            if (this.stopped) break;
+
+            const startedAt = Date.now();
+            log.bridge(`Job ${job.name} | Starting run for ${moment.tz(slot, job.timezone).format('YYYY-MM-DD HH:mm z')}`);
+
+            try {
+                const summary = await this.runJob(job, slot);
+                const status = summary.interrupted ? 'interrupted' : (summary.failed.count > 0 || summary.unknown.count > 0 ? 'partial' : 'ok');
+
+                this.record(job, slot, {
+                    status,
+                    startedAt: new Date(startedAt).toISOString(),
+                    finishedAt: new Date().toISOString(),
+                    accepted: summary.accepted.count,
+                    confirmed: summary.confirmed.count,
+                    failed: summary.failed.count,
+                    unknown: summary.unknown.count,
+                    skipped: summary.skipped ? summary.skipped.count : 0,
+                    journal: summary.journal
+                });
+                log.success(`Job ${job.name} | Run finished: ${status}`);
+            } catch (error) {
+                this.record(job, slot, {
+                    status: 'failed',
+                    startedAt: new Date(startedAt).toISOString(),
+                    finishedAt: new Date().toISOString(),
+                    error: error.message
+                });
+                log.error(`Job ${job.name} | Run failed: ${error.message}`);
+            }
+        }
+    }
+
+    nextWake() {
+        const now = this.now();
+        const next = this.jobs
+            .map(job => nextCronTime(job.cron, Math.max(job.lastSlot, now), job.timezone))
+            .filter(slot => slot !== null);
+
+        return next.length > 0 ? Math.min(...next) : null;
+    }
+
+    start() {
+        this.init();
+
+        for (const job of this.jobs) {
+            const next = nextCronTime(job.cron, this.now(), job.timezone);
+            logger.timer(`Job ${job.name} | "${job.schedule}" (${job.timezone}) next run ${next ? moment.tz(next, job.timezone).format('YYYY-MM-DD HH:mm z') : 'never'}`);
+        }
+
+        const loop = () => {
+            if (this.stopped) return;
+            this.tick();
+
+            // Re-check at least once a minute so clock changes don't leave us asleep.
+            const wake = this.nextWake();
+            const wait = wake === null ? 60000 : Math.min(60000, Math.max(1000, wake - this.now()));
+            this.timer = setTimeout(loop, wait);
+        };
+        loop();
+    }
+
+    status() {
+        return this.jobs.map(job => {
+            const next = job.lastSlot === null ? null : nextCronTime(job.cron, Math.max(job.lastSlot, this.now()), job.timezone);
+            return {
+                name: job.name,
+                schedule: job.schedule,
+                timezone: job.timezone,
+                running: Boolean(job.running),
+                lastSlot: job.lastSlot === null ? null : moment.tz(job.lastSlot, job.timezone).format(),
+                nextRun: next === null ? null : moment.tz(next, job.timezone).format()
+            };
+        });
+    }
+
+    async stop() {
+        this.stopped = true;
+        clearTimeout(this.timer);
+        await Promise.all(this.jobs.map(job => job.running));
+    }
+}
+
+module.exports = {
+    parseCron,
+    nextCronTime,
+    loadJobsFile,
+    Scheduler
+};
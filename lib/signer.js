@@ -0,0 +1,198 @@
+const crypto = require('crypto');
+const nacl = require('tweetnacl');
+const util = require('tweetnacl-util');
+
+const { logger } = require('./logger');
+
+const ADDRESS_REGEX = /^oct[1-9A-HJ-NP-Za-km-z]{44}$/;
+
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+function base58Encode(bytes) {
+    let value = BigInt(`0x${Buffer.from(bytes).toString('hex') || '0'}`);
+    let encoded = '';
+
+    while (value > 0n) {
+        encoded = BASE58_ALPHABET[Number(value % 58n)] + encoded;
+        value /= 58n;
+    }
+
+    for (const byte of bytes) {
+        if (byte !== 0) break;
+        encoded = BASE58_ALPHABET[0] + encoded;
+    }
+
+    return encoded;
+}
+
+function deriveAddress(publicKey) {
+    return `oct${base58Encode(crypto.createHash('sha256').update(publicKey).digest())}`;
+}
+
+// Accepts a base64 32-byte seed or 64-byte secret key, as the Octra CLI exports both.
+function getKeyPair(privateKey) {
+    try {
+        const privateKeyBytes = util.decodeBase64(privateKey);
+
+        if (privateKeyBytes.length === 32) {
+            return nacl.sign.keyPair.fromSeed(privateKeyBytes);
+        }
+        if (privateKeyBytes.length === 64) {
+            return nacl.sign.keyPair.fromSecretKey(privateKeyBytes);
+        }
+        throw new Error(`Invalid key size: ${privateKeyBytes.length} bytes, expected 32 or 64`);
+    } catch (error) {
+        logger.error(`Key pair generation error: ${error.message}`);
+        throw new Error('Invalid private key format');
+    }
+}
+
+function addressFromKey(privateKey) {
+    return deriveAddress(getKeyPair(privateKey).publicKey);
+}
+
+// Fields covered by the signature, in the order the node serializes them.
+const SIGNED_FIELDS = [
+    { name: 'from', type: 'string' },
+    { name: 'to_', type: 'string' },
+    { name: 'amount', type: 'string' },
+    { name: 'nonce', type: 'integer' },
+    { name: 'ou', type: 'string' },
+    { name: 'timestamp', type: 'number' }
+];
+
+// The exact bytes that get signed: compact JSON of the signed fields in canonical
+// order. Anything else on the transaction (signature, public_key, message) is left
+// out; the node's own client signs a memo's transaction without its message field.
+function canonicalMessage(transaction) {
+    const fields = {};
+
+    for (const field of SIGNED_FIELDS) {
+        const value = transaction[field.name];
+        const valid = field.type === 'integer' ? Number.isSafeInteger(value) && value >= 0
+            : field.type === 'number' ? Number.isFinite(value)
+            : typeof value === 'string' && value.length > 0;
+
+        if (!valid) {
+            throw new Error(`Transaction field ${field.name} must be a${field.type === 'integer' ? 'n' : ''} ${field.type}, got: ${JSON.stringify(value)}`);
+        }
+        fields[field.name] = value;
+    }
+
+    return JSON.stringify(fields);
+}
+
+// Signs the unsigned transaction fields and returns them with signature and
+// public_key appended, ready for /send-tx.
+function signTransaction(transaction, privateKey) {
+    const keyPair = getKeyPair(privateKey);
+    const signature = nacl.sign.detached(new TextEncoder().encode(canonicalMessage(transaction)), keyPair.secretKey);
+
+    return {
+        ...transaction,
+        signature: util.encodeBase64(signature),
+        public_key: util.encodeBase64(keyPair.publicKey)
+    };
+}
+
+// The hash the node files a transaction under: sha256 of its signed message. Lets a
+// broadcast whose answer never arrived still be looked up.
+function transactionHash(transaction) {
+    return crypto.createHash('sha256').update(canonicalMessage(transaction)).digest('hex');
+}
+
+// Checks a signed transaction without a node: the signature must cover the
+// canonical message and the public key must be the one behind the from address.
+function verifyTransaction(transaction) {
+    let message;
+    let signature;
+    let publicKey;
+
+    try {
+        message = canonicalMessage(transaction);
+    } catch (error) {
+        return { valid: false, error: error.message };
+    }
+
+    try {
+        signature = util.decodeBase64(String(transaction.signature || ''));
+        publicKey = util.decodeBase64(String(transaction.public_key || ''));
+    } catch (error) {
+        signature = publicKey = new Uint8Array(0);
+    }
+    if (signature.length !== nacl.sign.signatureLength || publicKey.length !== nacl.sign.publicKeyLength) {
+        return { valid: false, error: 'Missing or malformed signature/public_key' };
+    }
+    if (!nacl.sign.detached.verify(new TextEncoder().encode(message), signature, publicKey)) {
+        return { valid: false, error: 'Signature does not match the transaction' };
+    }
+    if (deriveAddress(publicKey) !== transaction.from) {
+        return { valid: false, error: `public_key belongs to ${deriveAddress(publicKey)}, not ${transaction.from}` };
+    }
+    return { valid: true };
+}
+
+// The node stores the encrypted balance as the client hands it over: "v2|" and
+// base64 of nonce, AES-256-GCM ciphertext and tag, keyed by the wallet's seed.
+const BALANCE_KEY_SALT = 'octra_encrypted_balance_v2';
+
+function balanceKey(privateKey) {
+    const seed = getKeyPair(privateKey).secretKey.slice(0, 32);
+    return crypto.createHash('sha256').update(Buffer.concat([Buffer.from(BALANCE_KEY_SALT), Buffer.from(seed)])).digest();
+}
+
+function encryptClientBalance(balance, privateKey) {
+    const nonce = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', balanceKey(privateKey), nonce);
+    const ciphertext = Buffer.concat([cipher.update(String(balance)), cipher.final(), cipher.getAuthTag()]);
+    return `v2|${Buffer.concat([nonce, ciphertext]).toString('base64')}`;
+}
+
+// An empty or "0" value is a balance that was never encrypted.
+function decryptClientBalance(data, privateKey) {
+    if (!data || data === '0') {
+        return 0n;
+    }
+    if (!String(data).startsWith('v2|')) {
+        throw new Error('Unsupported encrypted balance format, expected v2');
+    }
+
+    const raw = Buffer.from(String(data).slice(3), 'base64');
+    try {
+        const decipher = crypto.createDecipheriv('aes-256-gcm', balanceKey(privateKey), raw.subarray(0, 12));
+        decipher.setAuthTag(raw.subarray(raw.length - 16));
+        return BigInt(Buffer.concat([decipher.update(raw.subarray(12, raw.length - 16)), decipher.final()]).toString());
+    } catch (error) {
+        throw new Error('Encrypted balance does not decrypt with this key');
+    }
+}
+
+function generateWallet(name = 'Wallet1') {
+    while (true) {
+        const keyPair = nacl.sign.keyPair();
+        const address = deriveAddress(keyPair.publicKey);
+
+        if (ADDRESS_REGEX.test(address)) {
+            return {
+                name: name,
+                privateKey: util.encodeBase64(keyPair.secretKey.slice(0, 32)),
+                publicKey: util.encodeBase64(keyPair.publicKey),
+                address: address
+            };
+        }
+    }
+}
+
+module.exports = {
+    ADDRESS_REGEX,
+    deriveAddress,
+    getKeyPair,
+    addressFromKey,
+    canonicalMessage,
+    signTransaction,
+    transactionHash,
+    verifyTransaction,
+    encryptClientBalance,
+    decryptClientBalance,
+    generateWallet
+};
@@ -0,0 +1,109 @@
+const http = require('http');
+
+const { jsonReplacer } = require('./amounts');
+const { redact, logger } = require('./logger');
+const { metrics } = require('./metrics');
+
+// What /status reports: runs in progress, recent errors and last known balances.
+class StatusBoard {
+    constructor() {
+        this.startedAt = Date.now();
+        this.runs = [];
+        this.errors = [];
+        this.balances = new Map();
+        this.scheduler = null;
+    }
+
+    startRun(id, progress) {
+        const run = { id, state: 'running', startedAt: Date.now(), finishedAt: null, wallets: new Set(), progress, final: null };
+        this.runs.push(run);
+
+        const finished = this.runs.filter(r => r.state !== 'running');
+        if (finished.length > 10) {
+            this.runs.splice(this.runs.indexOf(finished[0]), 1);
+        }
+        return run;
+    }
+
+    finishRun(run, state) {
+        run.final = run.progress();
+        run.state = state;
+        run.finishedAt = Date.now();
+        run.wallets.clear();
+    }
+
+    setBalance(wallet, balance) {
+        this.balances.set(wallet.address, { wallet: wallet.name, address: wallet.address, balance, updatedAt: new Date().toISOString() });
+    }
+
+    recordError(wallet, error) {
+        this.errors.push({ time: new Date().toISOString(), wallet, error });
+        if (this.errors.length > 20) {
+            this.errors.shift();
+        }
+    }
+
+    snapshot() {
+        const running = this.runs.filter(run => run.state === 'running');
+
+        return {
+            uptimeSeconds: Math.round((Date.now() - this.startedAt) / 1000),
+            state: running.length > 0 ? 'running' : 'idle',
+            currentWallets: running.flatMap(run => [...run.wallets]),
+            runs: this.runs.map(run => ({
+                id: run.id,
+                state: run.state,
+                startedAt: new Date(run.startedAt).toISOString(),
+                finishedAt: run.finishedAt ? new Date(run.finishedAt).toISOString() : null,
+                wallets: [...run.wallets],
+                ...(run.final || run.progress())
+            })),
+            jobs: this.scheduler ? this.scheduler.status() : [],
+            lastErrors: this.errors.slice().reverse(),
+            balances: [...this.balances.values()]
+        };
+    }
+}
+
+const statusBoard = new StatusBoard();
+
+// Local read-only view of a long run or the daemon. Binds to 127.0.0.1 unless
+// OCTRA_STATUS_HOST says otherwise, since /status includes balances.
+function startStatusServer(port, host = process.env.OCTRA_STATUS_HOST || '127.0.0.1') {
+    const server = http.createServer((req, res) => {
+        const [route] = req.url.split('?');
+        const send = (status, type, body) => {
+            res.writeHead(status, { 'Content-Type': type });
+            res.end(body);
+        };
+
+        if (req.method !== 'GET') {
+            return send(405, 'application/json', JSON.stringify({ error: 'Method not allowed' }));
+        }
+        if (route === '/health') {
+            return send(200, 'application/json', JSON.stringify({ status: 'ok', uptimeSeconds: Math.round((Date.now() - statusBoard.startedAt) / 1000) }));
+        }
+        if (route === '/status') {
+            return send(200, 'application/json', JSON.stringify(redact(statusBoard.snapshot()), jsonReplacer, 2));
+        }
+        if (route === '/metrics') {
+            return send(200, 'text/plain; version=0.0.4', metrics.render());
+        }
+        return send(404, 'application/json', JSON.stringify({ error: 'Not found' }));
+    });
+
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, () => {
+            const address = server.address();
+            logger.network(`Status server on http://${address.address}:${address.port} (/health, /status, /metrics)`);
+            resolve(server);
+        });
+    });
+}
+
+module.exports = {
+    StatusBoard,
+    statusBoard,
+    startStatusServer
+};
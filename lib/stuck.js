@@ -0,0 +1,160 @@
+const { formatOCT } = require('./amounts');
+const { logger } = require('./logger');
+const { signTransaction } = require('./signer');
+const { feeOfOu } = require('./fees');
+const { OctraAutoTX } = require('./client');
+
+const STUCK_ACTIONS = ['rebroadcast', 'replace', 'cancel'];
+
+const DONE = { rebroadcast: 'rebroadcast', replace: 'replaced', cancel: 'cancelled' };
+
+const DEFAULT_STUCK_AGE = 300000;
+
+function formatAge(ms) {
+    const seconds = Math.floor(ms / 1000);
+    return seconds < 120 ? `${seconds}s` : `${Math.floor(seconds / 60)}m`;
+}
+
+// Our transactions that have been in /staging for at least options.olderThan ms,
+// by wallet and nonce. Age comes from the signed timestamp, so a staged
+// transaction without one is never reported.
+async function findStuckTransactions(wallets, options = {}) {
+    const octra = options.octra || new OctraAutoTX({ rpcUrl: options.rpcUrl, timeout: options.timeout, rateLimit: options.rateLimit, fees: options.fees });
+    const olderThan = options.olderThan !== undefined ? options.olderThan : DEFAULT_STUCK_AGE;
+    const now = options.now || Date.now();
+    const byAddress = new Map(wallets.map(wallet => [wallet.address, wallet]));
+    const stuck = [];
+
+    for (const tx of await octra.getStagedTransactions()) {
+        const wallet = byAddress.get(tx.from);
+        if (!wallet || tx.timestamp === null) continue;
+
+        const age = now - tx.timestamp * 1000;
+        if (age >= olderThan) {
+            stuck.push({ ...tx, wallet: wallet.name, age });
+        }
+    }
+
+    return stuck.sort((a, b) => wallets.indexOf(byAddress.get(a.from)) - wallets.indexOf(byAddress.get(b.from)) || a.nonce - b.nonce);
+}
+
+// Replacements must outbid the staged transaction: the policy's ou for the new
+// amount, or one more than the stuck ou, whichever is higher. options.ou pins it.
+function replacementOu(octra, tx, amount, options) {
+    const stuckOu = parseInt(tx.ou);
+    const ou = options.ou !== undefined ? options.ou : Math.max(parseInt(octra.fees.ouFor(amount)), stuckOu + 1);
+
+    if (ou <= stuckOu) {
+        throw new Error(`Replacement ou ${ou} must be above the stuck transaction's ou ${stuckOu}`);
+    }
+    if (octra.fees.maxFee !== null && feeOfOu(ou) > octra.fees.maxFee) {
+        throw new Error(`Replacement fee of ${formatOCT(feeOfOu(ou))} OCT is over the ${formatOCT(octra.fees.maxFee)} OCT max-fee cap`);
+    }
+    return String(ou);
+}
+
+// The unsigned fields to post for each action, always at the stuck nonce:
+//   rebroadcast  the staged transaction as it is, so it signs to the same bytes
+//   replace      same recipient, amount and memo with a higher ou
+//   cancel       a zero-value transfer to ourselves with a higher ou
+function buildStuckAction(octra, tx, action, options = {}) {
+    const memo = tx.message ? { message: tx.message } : {};
+    if (action === 'rebroadcast') {
+        return { from: tx.from, to_: tx.to, amount: String(tx.amount), nonce: tx.nonce, ou: tx.ou, timestamp: tx.timestamp, ...memo };
+    }
+
+    const cancel = action === 'cancel';
+    const amount = cancel ? 0n : tx.amount;
+    return {
+        from: tx.from,
+        to_: cancel ? tx.from : tx.to,
+        amount: String(amount),
+        nonce: tx.nonce,
+        ou: replacementOu(octra, tx, amount, options),
+        timestamp: Date.now() / 1000 + Math.random() * 0.01,
+        ...(cancel ? {} : memo)
+    };
+}
+
+function displayStuckTransactions(stuck, olderThan) {
+    if (stuck.length === 0) {
+        logger.success(`No transactions staged for longer than ${formatAge(olderThan)}`);
+        return;
+    }
+
+    logger.warning(`${stuck.length} transaction(s) staged for longer than ${formatAge(olderThan)}:`);
+    for (const tx of stuck) {
+        logger.wallet(`${tx.wallet} | Nonce ${tx.nonce} | ${formatOCT(tx.amount)} OCT to ${tx.to} | ou ${tx.ou} | waiting ${formatAge(tx.age)} | ${tx.hash || 'no hash'}`);
+    }
+}
+
+// Finds stuck transactions and, given an action, applies it to each of them in
+// nonce order. Without an action, or with options.dryRun, it only reports.
+// Returns every stuck transaction and what was done about it.
+async function handleStuckTransactions(wallets, action, options = {}) {
+    if (action && !STUCK_ACTIONS.includes(action)) {
+        throw new Error(`Unknown stuck action: ${action}, expected ${STUCK_ACTIONS.join(', ')}`);
+    }
+
+    const octra = options.octra || new OctraAutoTX({ rpcUrl: options.rpcUrl, timeout: options.timeout, rateLimit: options.rateLimit, fees: options.fees });
+    const olderThan = options.olderThan !== undefined ? options.olderThan : DEFAULT_STUCK_AGE;
+    const stuck = await findStuckTransactions(wallets, { ...options, octra, olderThan });
+    const results = [];
+
+    displayStuckTransactions(stuck, olderThan);
+
+    for (const tx of stuck) {
+        const result = { wallet: tx.wallet, from: tx.from, nonce: tx.nonce, hash: tx.hash, ou: tx.ou, action: action || null, status: 'stuck' };
+        results.push(result);
+
+        if (!action) continue;
+
+        const wallet = wallets.find(w => w.address === tx.from);
+        const label = `${tx.wallet} | Nonce ${tx.nonce}`;
+        try {
+            if (!wallet.privateKey) {
+                throw new Error('no private key loaded for this wallet');
+            }
+
+            const unsigned = buildStuckAction(octra, tx, action, options);
+            result.to = unsigned.to_;
+            result.amount = BigInt(unsigned.amount);
+            result.newOu = unsigned.ou;
+
+            if (options.dryRun) {
+                result.status = 'planned';
+                logger.info(`${label} | would ${action} with ou ${unsigned.ou} (fee ${formatOCT(feeOfOu(unsigned.ou))} OCT)`);
+                continue;
+            }
+
+            const sent = await octra.broadcastTransaction(signTransaction(unsigned, wallet.privateKey));
+            if (!sent.success) {
+                throw new Error(sent.error);
+            }
+
+            result.status = 'sent';
+            result.newHash = sent.hash;
+            logger.success(`${label} | ${DONE[action]} with ou ${unsigned.ou} | ${sent.hash}`);
+        } catch (error) {
+            result.status = 'failed';
+            result.error = error.message;
+            logger.error(`${label} | ${action} failed: ${error.message}`);
+        }
+    }
+
+    if (action && results.length > 0) {
+        const sent = results.filter(r => r.status === 'sent').length;
+        const failed = results.filter(r => r.status === 'failed').length;
+        logger.stats(options.dryRun ? `Dry run: ${results.length} transaction(s) would be ${DONE[action]}, nothing was sent` : `${action}: ${sent} sent, ${failed} failed`);
+    }
+
+    return { action: action || null, dryRun: !!options.dryRun, olderThan, stuck: results };
+}
+
+module.exports = {
+    STUCK_ACTIONS,
+    DEFAULT_STUCK_AGE,
+    findStuckTransactions,
+    buildStuckAction,
+    handleStuckTransactions
+};
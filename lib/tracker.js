@@ -0,0 +1,183 @@
+const { delay } = require('./util');
+const { logger } = require('./logger');
+
+// Follows accepted transactions until they confirm, drop out of staging or time
+// out. One tracked with uncertain: true is a broadcast that never got an answer:
+// it is watched the same way but not counted as accepted, and dropping out means
+// the node never had it.
+class ConfirmationTracker {
+    constructor(octra, options = {}) {
+        this.octra = octra;
+        this.pollInterval = options.pollInterval || 5000;
+        this.timeout = options.timeout || 180000;
+        this.dropAfter = options.dropAfter || 3;
+        this.onSettle = options.onSettle || (() => {});
+        this.records = [];
+        this.polling = null;
+        this.stopped = false;
+    }
+
+    track(entry) {
+        const record = {
+            ...entry,
+            status: 'accepted',
+            acceptedAt: Date.now(),
+            settledAt: null,
+            missedPolls: 0
+        };
+        this.records.push(record);
+
+        if (!this.polling && !this.stopped) {
+            this.polling = this.pollUntilSettled().finally(() => {
+                this.polling = null;
+            });
+        }
+
+        return record;
+    }
+
+    fail(entry) {
+        const now = Date.now();
+        const record = {
+            ...entry,
+            status: 'failed',
+            acceptedAt: null,
+            settledAt: now
+        };
+        this.records.push(record);
+        return record;
+    }
+
+    skip(entry) {
+        const record = {
+            ...entry,
+            status: 'skipped',
+            acceptedAt: null,
+            settledAt: Date.now()
+        };
+        this.records.push(record);
+        return record;
+    }
+
+    pending() {
+        return this.records.filter(record => record.status === 'accepted');
+    }
+
+    async pollUntilSettled() {
+        while (this.pending().length > 0 && !this.stopped) {
+            await delay(this.pollInterval);
+            if (this.stopped) break;
+            await this.poll();
+        }
+    }
+
+    stop() {
+        this.stopped = true;
+    }
+
+    async poll() {
+        let staged = null;
+
+        try {
+            const stagingResult = await this.octra.makeApiCall('GET', '/staging');
+            if (stagingResult.status === 200 && stagingResult.data) {
+                staged = stagingResult.data.staged_transactions || [];
+            }
+        } catch (error) {
+            logger.warning(`Error checking staging pool: ${error.message}`);
+        }
+
+        for (const record of this.pending()) {
+            const now = Date.now();
+
+            if (now - record.acceptedAt > this.timeout) {
+                record.status = 'unknown';
+                record.settledAt = now;
+                this.onSettle(record);
+                logger.warning(`${record.wallet} | TX ${record.hash.slice(0, 16)}... still unconfirmed after ${Math.floor(this.timeout / 1000)}s`);
+                continue;
+            }
+
+            try {
+                const result = await this.octra.makeApiCall('GET', `/tx/${record.hash}`);
+                const txStatus = result.data && result.data.status;
+
+                if (result.status === 200 && result.data && !['pending', 'staged'].includes(txStatus)) {
+                    record.status = 'confirmed';
+                    record.settledAt = now;
+                    record.epoch = result.data.epoch;
+                    this.onSettle(record);
+                    logger.success(`${record.wallet} | TX ${record.hash.slice(0, 16)}... confirmed${record.epoch !== undefined ? ` in epoch ${record.epoch}` : ''}`);
+                    continue;
+                }
+
+                const inStaging = staged && staged.some(tx => tx.hash === record.hash ||
+                    (tx.from === record.from && parseInt(tx.nonce) === record.nonce));
+
+                if (staged && !inStaging && result.status === 404) {
+                    record.missedPolls++;
+                    if (record.missedPolls >= this.dropAfter) {
+                        record.status = 'dropped';
+                        record.settledAt = now;
+                        this.onSettle(record);
+                        logger.error(`${record.wallet} | TX ${record.hash.slice(0, 16)}... ${record.uncertain ? 'never reached the node' : 'dropped from staging without confirmation'}`);
+                    }
+                } else {
+                    record.missedPolls = 0;
+                }
+            } catch (error) {
+                logger.warning(`${record.wallet} | Error checking TX ${record.hash.slice(0, 16)}...: ${error.message}`);
+            }
+        }
+    }
+
+    async waitAll() {
+        if (this.polling) {
+            await this.polling;
+        }
+        return this.summarize();
+    }
+
+    summarize() {
+        const timings = (records, from, to) => {
+            const durations = records.map(record => record[to] - record[from]).filter(ms => ms >= 0);
+            return {
+                count: records.length,
+                avgMs: durations.length > 0 ? Math.round(durations.reduce((a, b) => a + b, 0) / durations.length) : 0,
+                maxMs: durations.length > 0 ? Math.max(...durations) : 0
+            };
+        };
+
+        const accepted = this.records.filter(record => record.acceptedAt !== null && !record.uncertain);
+        const confirmed = this.records.filter(record => record.status === 'confirmed');
+        const failed = this.records.filter(record => ['failed', 'dropped'].includes(record.status));
+        const unknown = this.records.filter(record => ['unknown', 'accepted'].includes(record.status));
+
+        return {
+            accepted: timings(accepted, 'submittedAt', 'acceptedAt'),
+            confirmed: timings(confirmed, 'acceptedAt', 'settledAt'),
+            failed: timings(failed, 'submittedAt', 'settledAt'),
+            unknown: timings(unknown, 'acceptedAt', 'settledAt'),
+            skipped: { count: this.records.filter(record => record.status === 'skipped').length },
+            feesPaid: confirmed.reduce((sum, record) => sum + (record.fee || 0n), 0n),
+            // Amounts and fees of transactions that may or may not be on chain yet.
+            possiblySpent: unknown.reduce((sum, record) => sum + record.amount + (record.fee || 0n), 0n),
+            transactions: this.records.map(record => ({
+                wallet: record.wallet,
+                from: record.from,
+                to: record.to,
+                amount: record.amount,
+                nonce: record.nonce,
+                fee: record.fee !== undefined ? record.fee : null,
+                hash: record.hash || null,
+                status: record.status,
+                epoch: record.epoch,
+                error: record.error
+            }))
+        };
+    }
+}
+
+module.exports = {
+    ConfirmationTracker
+};
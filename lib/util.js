@@ -0,0 +1,5 @@
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+module.exports = {
+    delay
+};
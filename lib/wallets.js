@@ -0,0 +1,298 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const readline = require('readline');
+const nacl = require('tweetnacl');
+const util = require('tweetnacl-util');
+
+const { colors, logger } = require('./logger');
+const { ADDRESS_REGEX, addressFromKey } = require('./signer');
+
+// Numbers n of every PREFIXn variable that is set, in numeric order. Gaps are fine.
+function envIndexes(prefix) {
+    return Object.keys(process.env)
+        .filter(key => key.startsWith(prefix) && /^[1-9]\d*$/.test(key.slice(prefix.length)))
+        .map(key => parseInt(key.slice(prefix.length)))
+        .sort((a, b) => a - b);
+}
+
+function loadWalletsFromEnv() {
+    const wallets = [];
+    
+    for (const i of envIndexes('OCTRA_PRIVATE_KEY_')) {
+        const privateKey = process.env[`OCTRA_PRIVATE_KEY_${i}`];
+        const address = process.env[`OCTRA_ADDRESS_${i}`];
+        
+        if (!privateKey || !address) continue;
+        
+        if (!ADDRESS_REGEX.test(address)) {
+            logger.warning(`Invalid address format for Wallet${i}: ${address}`);
+            continue;
+        }
+
+        let derivedAddress;
+        try {
+            derivedAddress = addressFromKey(privateKey);
+        } catch (error) {
+            logger.warning(`Invalid private key for Wallet${i}: ${error.message}`);
+            continue;
+        }
+
+        if (derivedAddress !== address) {
+            logger.warning(`Wallet${i} key does not match OCTRA_ADDRESS_${i}: key belongs to ${derivedAddress}, skipping`);
+            continue;
+        }
+        
+        wallets.push({
+            name: `Wallet${i}`,
+            privateKey: privateKey,
+            address: address,
+            source: 'env'
+        });
+    }
+    
+    return wallets;
+}
+
+const KEYSTORE_CHECK = 'pempek-lahat-keystore';
+
+class Keystore {
+    constructor(filePath = process.env.OCTRA_KEYSTORE || 'keystore.json') {
+        this.filePath = filePath;
+        this.data = null;
+        this.key = null;
+    }
+
+    exists() {
+        return fs.existsSync(this.filePath);
+    }
+
+    load() {
+        let data;
+        try {
+            data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        } catch (error) {
+            throw new Error(`Cannot read keystore ${this.filePath}: ${error.message}`);
+        }
+
+        if (data.version !== 1 || !data.kdf || !Array.isArray(data.wallets)) {
+            throw new Error(`Unsupported keystore format in ${this.filePath}`);
+        }
+
+        this.data = data;
+        return this;
+    }
+
+    static deriveKey(passphrase, kdf) {
+        const key = crypto.scryptSync(passphrase, Buffer.from(kdf.salt, 'base64'), nacl.secretbox.keyLength, {
+            N: kdf.N,
+            r: kdf.r,
+            p: kdf.p,
+            maxmem: 256 * kdf.N * kdf.r
+        });
+        return new Uint8Array(key);
+    }
+
+    static newKdf() {
+        return {
+            name: 'scrypt',
+            salt: util.encodeBase64(nacl.randomBytes(16)),
+            N: 32768,
+            r: 8,
+            p: 1
+        };
+    }
+
+    seal(plaintext) {
+        const nonce = nacl.randomBytes(nacl.secretbox.nonceLength);
+        const box = nacl.secretbox(util.decodeUTF8(plaintext), nonce, this.key);
+        return { nonce: util.encodeBase64(nonce), ciphertext: util.encodeBase64(box) };
+    }
+
+    open(sealed) {
+        const plaintext = nacl.secretbox.open(util.decodeBase64(sealed.ciphertext), util.decodeBase64(sealed.nonce), this.key);
+        return plaintext ? util.encodeUTF8(plaintext) : null;
+    }
+
+    create(passphrase) {
+        if (this.exists()) {
+            throw new Error(`Keystore already exists: ${this.filePath}`);
+        }
+        this.data = { version: 1, kdf: Keystore.newKdf(), check: null, wallets: [] };
+        this.key = Keystore.deriveKey(passphrase, this.data.kdf);
+        this.data.check = this.seal(KEYSTORE_CHECK);
+        return this;
+    }
+
+    unlock(passphrase) {
+        if (!this.data) this.load();
+
+        this.key = Keystore.deriveKey(passphrase, this.data.kdf);
+        if (this.open(this.data.check) !== KEYSTORE_CHECK) {
+            this.key = null;
+            throw new Error('Wrong keystore passphrase');
+        }
+        return this;
+    }
+
+    requireUnlocked() {
+        if (!this.key) {
+            throw new Error('Keystore is locked');
+        }
+    }
+
+    list() {
+        if (!this.data) this.load();
+        return this.data.wallets.map(entry => ({ name: entry.name, address: entry.address }));
+    }
+
+    wallets() {
+        this.requireUnlocked();
+
+        return this.data.wallets.map(entry => {
+            const privateKey = this.open(entry);
+            if (privateKey === null) {
+                throw new Error(`Keystore entry ${entry.name} is corrupted`);
+            }
+            return { name: entry.name, address: entry.address, privateKey, source: 'keystore' };
+        });
+    }
+
+    add(wallet) {
+        this.requireUnlocked();
+
+        if (!ADDRESS_REGEX.test(wallet.address)) {
+            throw new Error(`Invalid address format for ${wallet.name}: ${wallet.address}`);
+        }
+        const derivedAddress = addressFromKey(wallet.privateKey);
+        if (derivedAddress !== wallet.address) {
+            throw new Error(`Private key for ${wallet.name} belongs to ${derivedAddress}, not ${wallet.address}`);
+        }
+
+        if (this.data.wallets.some(entry => entry.name === wallet.name || entry.address === wallet.address)) {
+            throw new Error(`Keystore already has a wallet named ${wallet.name} or with address ${wallet.address}`);
+        }
+
+        this.data.wallets.push({ name: wallet.name, address: wallet.address, ...this.seal(wallet.privateKey) });
+        return this;
+    }
+
+    changePassphrase(newPassphrase) {
+        const wallets = this.wallets();
+
+        this.data.kdf = Keystore.newKdf();
+        this.key = Keystore.deriveKey(newPassphrase, this.data.kdf);
+        this.data.check = this.seal(KEYSTORE_CHECK);
+        this.data.wallets = wallets.map(wallet => ({ name: wallet.name, address: wallet.address, ...this.seal(wallet.privateKey) }));
+        return this;
+    }
+
+    save() {
+        const tmpPath = `${this.filePath}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify(this.data, null, 2), { mode: 0o600 });
+        fs.renameSync(tmpPath, this.filePath);
+        return this;
+    }
+}
+
+function promptHidden(query) {
+    return new Promise((resolve, reject) => {
+        if (!process.stdin.isTTY) {
+            reject(new Error('No terminal to prompt for a passphrase, set OCTRA_KEYSTORE_PASSPHRASE'));
+            return;
+        }
+
+        const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+        rl.stdoutMuted = false;
+        rl._writeToOutput = (text) => {
+            if (!rl.stdoutMuted || text.includes('\n')) {
+                rl.output.write(rl.stdoutMuted ? '\n' : text);
+            }
+        };
+
+        rl.question(query, answer => {
+            rl.close();
+            resolve(answer);
+        });
+        rl.stdoutMuted = true;
+    });
+}
+
+async function readPassphrase(query, envName = 'OCTRA_KEYSTORE_PASSPHRASE', confirm = false) {
+    if (process.env[envName]) {
+        return process.env[envName];
+    }
+
+    const passphrase = await promptHidden(`${colors.brightYellow}${query}${colors.reset}`);
+    if (!passphrase) {
+        throw new Error('Passphrase must not be empty');
+    }
+
+    if (confirm) {
+        const again = await promptHidden(`${colors.brightYellow}Repeat passphrase: ${colors.reset}`);
+        if (again !== passphrase) {
+            throw new Error('Passphrases do not match');
+        }
+    }
+
+    return passphrase;
+}
+
+const unlockedKeystores = new Map();
+
+// The keystore wins when it exists, then wallets from the config file, then
+// OCTRA_PRIVATE_KEY_n/OCTRA_ADDRESS_n.
+function listWallets(keystorePath, configWallets = []) {
+    const keystore = new Keystore(keystorePath);
+    if (keystore.exists()) {
+        return keystore.list();
+    }
+    return configWallets.length > 0 ? configWallets : loadWalletsFromEnv();
+}
+
+async function loadWallets(keystorePath, configWallets = []) {
+    const keystore = new Keystore(keystorePath);
+
+    if (!keystore.exists()) {
+        return configWallets.length > 0 ? configWallets : loadWalletsFromEnv();
+    }
+
+    if (!unlockedKeystores.has(keystore.filePath)) {
+        keystore.load();
+        keystore.unlock(await readPassphrase(`Keystore passphrase (${keystore.filePath}): `));
+        unlockedKeystores.set(keystore.filePath, keystore.wallets());
+
+        if (process.env.OCTRA_PRIVATE_KEY_1) {
+            logger.warning('Using keystore, plaintext OCTRA_PRIVATE_KEY_n variables are ignored and can be removed');
+        }
+        logger.success(`Unlocked ${unlockedKeystores.get(keystore.filePath).length} wallet(s) from ${keystore.filePath}`);
+    }
+
+    return unlockedKeystores.get(keystore.filePath);
+}
+
+function loadRecipientsFromEnv() {
+    const recipients = [];
+    
+    for (const i of envIndexes('RECIPIENT_')) {
+        const recipient = process.env[`RECIPIENT_${i}`];
+        if (recipient) {
+            if (ADDRESS_REGEX.test(recipient)) {
+                recipients.push(recipient);
+            } else {
+                logger.warning(`Invalid recipient address format: ${recipient}`);
+            }
+        }
+    }
+    
+    return recipients;
+}
+
+module.exports = {
+    loadWalletsFromEnv,
+    Keystore,
+    readPassphrase,
+    unlockedKeystores,
+    listWallets,
+    loadWallets,
+    loadRecipientsFromEnv
+};
@@ -0,0 +1,268 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+
+const { OctraAutoTX } = require('..');
+const { MockOctraNode } = require('./mock-node');
+const { randomAddress, makeWallet } = require('./helpers');
+
+const SCRIPT = path.join(__dirname, '..', 'pempek.js');
+
+function runCli(args, env) {
+    return new Promise(resolve => {
+        execFile(process.execPath, [SCRIPT, ...args], { env: { PATH: process.env.PATH, ...env }, timeout: 30000 }, (error, stdout, stderr) => {
+            resolve({ code: error ? error.code : 0, stdout, stderr });
+        });
+    });
+}
+
+describe('CLI', () => {
+    let node;
+    let env;
+    let journalDir;
+    const wallet = makeWallet('Wallet1');
+    const recipient = randomAddress();
+
+    before(async () => {
+        node = new MockOctraNode({ epochInterval: 50 });
+        await node.start();
+        node.fund(wallet.address, 1);
+        journalDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pempek-cli-'));
+        env = {
+            OCTRA_RPC_URL: node.url,
+            OCTRA_PRIVATE_KEY_1: wallet.privateKey,
+            OCTRA_ADDRESS_1: wallet.address,
+            RECIPIENT_1: recipient,
+            JOURNAL_DIR: journalDir
+        };
+    });
+
+    after(async () => {
+        await node.stop();
+        fs.rmSync(journalDir, { recursive: true, force: true });
+    });
+
+    test('prints usage and exits 1 on unknown commands', async () => {
+        const result = await runCli(['bogus'], env);
+
+        assert.strictEqual(result.code, 1);
+        assert.match(result.stdout, /Unknown command: bogus/);
+        assert.match(result.stdout, /Usage:/);
+    });
+
+    test('rejects invalid flags with exit code 1', async () => {
+        const result = await runCli(['run', '--fixed', '--amount', 'abc', '--json'], env);
+
+        assert.strictEqual(result.code, 1);
+        assert.match(JSON.parse(result.stdout).error, /--amount must be a positive number/);
+    });
+
+    test('generates wallets as .env lines', async () => {
+        const result = await runCli(['wallet', 'new', '--count', '2'], {});
+        const lines = result.stdout.trim().split('\n');
+
+        assert.strictEqual(result.code, 0);
+        assert.strictEqual(lines.length, 4);
+        assert.match(lines[0], /^OCTRA_PRIVATE_KEY_1=[A-Za-z0-9+/]{43}=$/);
+        assert.match(lines[3], /^OCTRA_ADDRESS_2=oct[1-9A-HJ-NP-Za-km-z]{44}$/);
+    });
+
+    test('prints balances as JSON', async () => {
+        const result = await runCli(['balance', '--json'], env);
+
+        assert.strictEqual(result.code, 0);
+        assert.deepStrictEqual(JSON.parse(result.stdout), {
+            command: 'balance',
+            balances: [{ address: wallet.address, balance: '1.000000' }]
+        });
+    });
+
+    test('takes the RPC endpoint, wallets and groups from a config profile', async () => {
+        const config = path.join(journalDir, 'octra.config.yaml');
+        fs.writeFileSync(config, [
+            'rpc: http://127.0.0.1:1',
+            'wallets:',
+            `  - name: Main`,
+            `    address: ${wallet.address}`,
+            '    privateKeyEnv: MAIN_KEY',
+            'groups:',
+            '  all: [Main]',
+            'profiles:',
+            '  local:',
+            `    rpc: ${node.url}`
+        ].join('\n'));
+
+        const result = await runCli(['balance', '--config', config, '--profile', 'local', '-w', 'all', '--json'], { MAIN_KEY: wallet.privateKey });
+        assert.strictEqual(result.code, 0);
+        assert.deepStrictEqual(JSON.parse(result.stdout).balances.map(b => b.address), [wallet.address]);
+
+        const invalid = await runCli(['balance', '--config', config, '--profile', 'local'], {});
+        assert.strictEqual(invalid.code, 1);
+        assert.match(invalid.stderr + invalid.stdout, /wallets: Main: environment variable MAIN_KEY is not set/);
+    });
+
+    test('prints wallet info as JSON', async () => {
+        const result = await runCli(['info', '--json'], env);
+        const info = JSON.parse(result.stdout);
+
+        assert.strictEqual(result.code, 0);
+        assert.strictEqual(info.wallets[0].name, 'Wallet1');
+        assert.strictEqual(info.wallets[0].nonce, 0);
+    });
+
+    test('exits 2 when part of a run fails', async () => {
+        node.injectFault('/send-tx', 'error');
+        const result = await runCli(['run', '--fixed', '--amount', '0.1', '--count', '3', '--pipeline', '3', '--json'], env);
+        const summary = JSON.parse(result.stdout);
+
+        assert.strictEqual(result.code, 2);
+        assert.strictEqual(summary.command, 'run');
+        assert.strictEqual(summary.confirmed.count, 2);
+        assert.strictEqual(summary.failed.count, 1);
+        assert.strictEqual(summary.transactions.length, 3);
+        assert.match(summary.transactions.find(tx => tx.status === 'failed').error, /internal server error/);
+    });
+
+    test('reports the latest run and reconciles it with the node', async () => {
+        const out = path.join(journalDir, 'reports');
+        const result = await runCli(['report', '--reconcile', '--out', out, '--json'], env);
+        const report = JSON.parse(result.stdout);
+
+        assert.strictEqual(result.code, 0);
+        assert.deepStrictEqual([report.totals.confirmed, report.totals.failed], [2, 1]);
+        assert.strictEqual(report.reconciliation[0].matched, 2);
+        assert.strictEqual(report.files.length, 5);
+        assert.match(fs.readFileSync(path.join(out, `${report.runId}-failures.csv`), 'utf8'), /internal server error/);
+
+        const history = await runCli(['history', '--json'], env);
+        assert.strictEqual(history.code, 0);
+        assert.strictEqual(JSON.parse(history.stdout).addresses[0].matched, 2);
+    });
+
+    test('builds, signs, verifies and broadcasts through files', async () => {
+        const unsigned = path.join(journalDir, 'unsigned.json');
+        const signed = path.join(journalDir, 'signed.json');
+
+        const built = await runCli(['build', '--from', wallet.address, '--to', recipient, '--amount', '0.01', '--count', '2', '--out', unsigned], { OCTRA_RPC_URL: node.url });
+        assert.strictEqual(built.code, 0);
+        assert.ok(!fs.readFileSync(unsigned, 'utf8').includes('signature'));
+
+        const offline = await runCli(['sign', unsigned, '--out', signed], { ...env, OCTRA_RPC_URL: 'http://127.0.0.1:1' });
+        assert.strictEqual(offline.code, 0);
+
+        const verified = await runCli(['verify', signed, '--json'], {});
+        assert.deepStrictEqual(JSON.parse(verified.stdout).results.map(r => r.valid), [true, true]);
+
+        const file = JSON.parse(fs.readFileSync(signed, 'utf8'));
+        file.transactions[1].amount = '20000';
+        fs.writeFileSync(path.join(journalDir, 'tampered.json'), JSON.stringify(file));
+        const tampered = await runCli(['verify', path.join(journalDir, 'tampered.json')], {});
+        assert.strictEqual(tampered.code, 2);
+        assert.match(tampered.stdout, /TX 2 .* Signature does not match the transaction/);
+
+        const broadcast = await runCli(['broadcast', signed, '--json'], { OCTRA_RPC_URL: node.url });
+        assert.strictEqual(broadcast.code, 0);
+        assert.strictEqual(JSON.parse(broadcast.stdout).confirmed.count, 2);
+    });
+
+    test('fails the run up front when the balance cannot cover it', async () => {
+        const result = await runCli(['run', '--fixed', '--amount', '5', '--count', '1', '--json'], env);
+        const summary = JSON.parse(result.stdout);
+
+        assert.strictEqual(result.code, 2);
+        assert.strictEqual(summary.failed.count, 1);
+        assert.match(summary.transactions[0].error, /amounts \+ fees/);
+    });
+
+    test('encrypts part of the balance and shows it', async () => {
+        const encrypted = await runCli(['private', 'encrypt', '--amount', '0.05', '--json'], env);
+        assert.strictEqual(encrypted.code, 0);
+        assert.strictEqual(JSON.parse(encrypted.stdout).results[0].success, true);
+
+        const result = await runCli(['private', 'balance', '--json'], env);
+        assert.strictEqual(result.code, 0);
+        assert.deepStrictEqual(JSON.parse(result.stdout).balances.map(b => [b.encrypted, b.pending]), [['0.050000', 0]]);
+
+        const unknown = await runCli(['private', 'bogus'], env);
+        assert.strictEqual(unknown.code, 1);
+        assert.match(unknown.stdout, /private needs one of: balance, encrypt, decrypt, pending, claim/);
+    });
+
+    test('sends the --memo given, or none when it is empty', async () => {
+        const octra = new OctraAutoTX({ rpcUrl: node.url });
+        const messages = [];
+        for (const memo of ['Invoice 7', '']) {
+            const result = await runCli(['send', '--to', recipient, '--amount', '0.01', '--memo', memo, '--json'], env);
+            assert.strictEqual(result.code, 0);
+            messages.push((await octra.getTransaction(JSON.parse(result.stdout).transactions[0].hash)).message);
+        }
+        assert.deepStrictEqual(messages, ['Invoice 7', null]);
+
+        const both = await runCli(['send', '--to', recipient, '--amount', '0.01', '--memo', 'x', '--private'], env);
+        assert.strictEqual(both.code, 1);
+        assert.match(both.stdout, /--memo cannot be used with --private/);
+    });
+});
+
+describe('CLI keystore', () => {
+    let node;
+    let dir;
+    const wallet = makeWallet('Wallet1');
+    const recipient = randomAddress();
+
+    before(async () => {
+        node = new MockOctraNode({ epochInterval: 50 });
+        await node.start();
+        node.fund(wallet.address, 1);
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pempek-cli-keystore-'));
+    });
+
+    after(async () => {
+        await node.stop();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('imports env wallets and runs from the keystore alone', async () => {
+        const keystore = path.join(dir, 'keystore.json');
+        const base = { OCTRA_RPC_URL: node.url, OCTRA_KEYSTORE: keystore, OCTRA_KEYSTORE_PASSPHRASE: 'secret', JOURNAL_DIR: dir };
+
+        const imported = await runCli(['keystore', 'import'], {
+            ...base,
+            OCTRA_PRIVATE_KEY_1: wallet.privateKey,
+            OCTRA_ADDRESS_1: wallet.address
+        });
+        assert.strictEqual(imported.code, 0);
+        assert.ok(!fs.readFileSync(keystore, 'utf8').includes(wallet.privateKey));
+
+        const listed = await runCli(['keystore', 'list', '--json'], { OCTRA_KEYSTORE: keystore });
+        assert.deepStrictEqual(JSON.parse(listed.stdout).wallets, [{ name: 'Wallet1', address: wallet.address }]);
+
+        const sent = await runCli(['send', '--to', recipient, '--amount', '0.1'], base);
+        assert.strictEqual(sent.code, 0);
+        assert.ok(!sent.stdout.includes(wallet.privateKey));
+
+        const locked = await runCli(['send', '--to', recipient, '--amount', '0.1'], { ...base, OCTRA_KEYSTORE_PASSPHRASE: 'nope' });
+        assert.strictEqual(locked.code, 1);
+        assert.match(locked.stdout, /Wrong keystore passphrase/);
+    });
+
+    test('exports keys and changes the passphrase', async () => {
+        const keystore = path.join(dir, 'export.json');
+        const base = { OCTRA_KEYSTORE: keystore, OCTRA_KEYSTORE_PASSPHRASE: 'first' };
+
+        await runCli(['keystore', 'import', '--address', wallet.address, '--name', 'Main'], {
+            ...base,
+            OCTRA_IMPORT_PRIVATE_KEY: wallet.privateKey
+        });
+
+        const changed = await runCli(['keystore', 'passwd'], { ...base, OCTRA_KEYSTORE_NEW_PASSPHRASE: 'second' });
+        assert.strictEqual(changed.code, 0);
+
+        const exported = await runCli(['keystore', 'export'], { ...base, OCTRA_KEYSTORE_PASSPHRASE: 'second' });
+        assert.strictEqual(exported.code, 0);
+        assert.ok(exported.stdout.includes(`OCTRA_PRIVATE_KEY_1=${wallet.privateKey}\n`));
+    });
+});
@@ -0,0 +1,149 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { loadConfig, configRunOptions } = require('..');
+const { selectWallets } = require('../lib/config');
+const { randomAddress, makeWallet } = require('./helpers');
+
+describe('loadConfig', () => {
+    let dir;
+    const wallets = [makeWallet('Hot1'), makeWallet('Hot2'), makeWallet('Cold')];
+    const recipients = Array.from({ length: 25 }, () => randomAddress());
+    const write = (name, text) => {
+        const filePath = path.join(dir, name);
+        fs.writeFileSync(filePath, text);
+        return filePath;
+    };
+
+    const keyEnv = (wallet) => `CONFIG_TEST_KEY_${wallet.name.toUpperCase()}`;
+
+    before(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pempek-config-'));
+        wallets.forEach(w => { process.env[keyEnv(w)] = w.privateKey; });
+    });
+
+    after(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+        wallets.forEach(w => delete process.env[keyEnv(w)]);
+    });
+
+    test('resolves a profile on top of the shared settings', () => {
+        const file = write('octra.config.yaml', [
+            'defaultProfile: testnet',
+            'amount: 0.5',
+            'txDelay: 2',
+            'wallets:',
+            ...wallets.flatMap(w => [`  - name: ${w.name}`, `    address: ${w.address}`, `    privateKeyEnv: ${keyEnv(w)}`]),
+            'groups:',
+            '  hot: [Hot1, Hot2]',
+            'recipients:',
+            ...recipients.map(r => `  - ${r}`),
+            'profiles:',
+            '  testnet:',
+            '    rpc: https://octra.network',
+            '  local:',
+            '    rpc: [http://127.0.0.1:8080/, http://127.0.0.1:8081]',
+            '    amount: 0.01',
+            '    explorer: http://127.0.0.1:3000'
+        ].join('\n'));
+
+        const testnet = loadConfig({ file });
+        assert.strictEqual(testnet.profile, 'testnet');
+        assert.strictEqual(testnet.amount, 500_000n);
+        assert.strictEqual(testnet.recipients.length, 25);
+        assert.deepStrictEqual(testnet.wallets.map(w => [w.name, w.source]), [['Hot1', 'config'], ['Hot2', 'config'], ['Cold', 'config']]);
+        assert.deepStrictEqual(selectWallets(testnet.wallets, 'hot,Cold', testnet.groups).map(w => w.name), ['Hot1', 'Hot2', 'Cold']);
+
+        const local = configRunOptions(loadConfig({ file, profile: 'local' }));
+        assert.strictEqual(local.rpcUrl, 'http://127.0.0.1:8080,http://127.0.0.1:8081');
+        assert.strictEqual(local.explorerUrl, 'http://127.0.0.1:3000');
+        assert.strictEqual(local.txDelay, 2000);
+        assert.strictEqual(loadConfig({ file, profile: 'local' }).amount, 10_000n);
+
+        assert.throws(() => loadConfig({ file, profile: 'mainnet' }), /Unknown profile mainnet, available: testnet, local/);
+    });
+
+    test('reads the whole of YAML: flow mappings, anchors, block scalars and quoted keys', () => {
+        const file = write('full.yml', [
+            'rpc: &node "http://127.0.0.1:8080" # shared',
+            'fees: { strategy: fixed, ou: 2 }',
+            'explorer: >-',
+            '  http://127.0.0.1:3000',
+            'groups:',
+            '  "hot: main": ["Hot #1", Hot2]',
+            'profiles:',
+            '  local: { rpc: *node, amount: "0.25" }'
+        ].join('\n'));
+
+        const config = loadConfig({ file, profile: 'local' });
+        assert.deepStrictEqual(config.rpc, ['http://127.0.0.1:8080']);
+        assert.deepStrictEqual(config.fees, { strategy: 'fixed', ou: 2 });
+        assert.strictEqual(config.explorer, 'http://127.0.0.1:3000');
+        assert.deepStrictEqual(config.groups, { 'hot: main': ['Hot #1', 'Hot2'] });
+        assert.strictEqual(config.amount, 250_000n);
+
+        assert.throws(() => loadConfig({ file: write('dup.yml', 'amount: 1\namount: 2') }), /Invalid YAML in .*dup\.yml: Map keys must be unique at line 2/);
+        assert.throws(() => loadConfig({ file: write('broken.json', '{ "amount": ') }), /Invalid JSON in .*broken\.json/);
+    });
+
+    test('reports every schema error with its path', () => {
+        const file = write('bad.json', JSON.stringify({
+            amount: 'lots',
+            budget: 'yolo',
+            fees: { strategy: 'auction' },
+            recipients: [randomAddress(), 'nope'],
+            wallets: [{ name: 'W', address: wallets[0].address, privateKeyEnv: keyEnv(wallets[1]) }],
+            profiles: { local: { rpc: 'ftp://x', concurrency: 0, delay: 3 } }
+        }));
+
+        assert.throws(() => loadConfig({ file }), (error) => {
+            assert.match(error.message, /bad\.json has 8 error\(s\)/);
+            assert.match(error.message, /\namount: Invalid OCT amount: lots/);
+            assert.match(error.message, /\nbudget: must be one of fail, shrink, skip/);
+            assert.match(error.message, /\nfees: Unknown fee strategy: auction/);
+            assert.match(error.message, /\nrecipients: entry 2 is not a valid oct address/);
+            assert.match(error.message, /\nwallets: W: key belongs to /);
+            assert.match(error.message, /\nprofiles\.local\.rpc: must be an http\(s\) URL/);
+            assert.match(error.message, /\nprofiles\.local\.concurrency: must be a positive integer/);
+            assert.match(error.message, /\nprofiles\.local\.delay: unknown setting/);
+            return true;
+        });
+    });
+
+    test('refuses private keys written into the config file', () => {
+        const file = write('plain.json', JSON.stringify({
+            wallets: [{ name: 'Hot1', address: wallets[0].address, privateKey: wallets[0].privateKey }]
+        }));
+
+        assert.throws(() => loadConfig({ file }), /wallets: Hot1: plaintext privateKey is not allowed in a config file, move the key out/);
+    });
+
+    test('reads wallet keys only for the selected profile', () => {
+        const profiles = {
+            testnet: { wallets: [{ name: 'W', address: wallets[0].address, privateKeyEnv: 'CONFIG_TEST_UNSET_KEY' }] },
+            local: { wallets: [{ name: 'Hot2', address: wallets[1].address, privateKeyEnv: keyEnv(wallets[1]) }] }
+        };
+        const file = write('keys.json', JSON.stringify({ profiles }));
+
+        assert.deepStrictEqual(loadConfig({ file, profile: 'local' }).wallets.map(w => [w.name, w.privateKey]), [['Hot2', wallets[1].privateKey]]);
+        assert.throws(() => loadConfig({ file, profile: 'testnet' }), /profiles\.testnet\.wallets: W: environment variable CONFIG_TEST_UNSET_KEY is not set/);
+
+        const broken = write('keys-broken.json', JSON.stringify({ profiles: { ...profiles, broken: { wallets: [{ name: 'X', address: 'nope', privateKeyEnv: 'CONFIG_TEST_UNSET_KEY' }] } } }));
+        assert.throws(() => loadConfig({ file: broken, profile: 'local' }), /has 1 error\(s\):\nprofiles\.broken\.wallets: X: invalid address/);
+    });
+
+    test('leaves everything unset without a config file', () => {
+        const cwd = process.cwd();
+        process.chdir(fs.mkdtempSync(path.join(dir, 'empty-')));
+        try {
+            const config = loadConfig();
+            assert.deepStrictEqual([config.file, config.wallets, config.recipients], [null, [], []]);
+            assert.throws(() => loadConfig({ file: 'missing.json' }), /Config file not found: missing\.json/);
+        } finally {
+            process.chdir(cwd);
+        }
+    });
+});
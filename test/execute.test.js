@@ -0,0 +1,497 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { executeTransactions, resumeTransactions, buildTransactionPlan, RunEngine, TxJournal, OctraAutoTX, logger } = require('..');
+const { MockOctraNode } = require('./mock-node');
+const { randomAddress, makeWallet } = require('./helpers');
+
+describe('executeTransactions', () => {
+    let node;
+    let journalDir;
+    const recipients = [randomAddress(), randomAddress()];
+
+    before(async () => {
+        node = new MockOctraNode({ epochInterval: 50 });
+        await node.start();
+        journalDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pempek-journal-'));
+    });
+
+    after(async () => {
+        await node.stop();
+        fs.rmSync(journalDir, { recursive: true, force: true });
+    });
+
+    test('sends and confirms every planned transaction', async () => {
+        const wallet = makeWallet('Wallet1');
+        node.fund(wallet.address, 10);
+
+        const summary = await executeTransactions([wallet], recipients, '0.1', 5, false, 0.01, 0.1, {
+            rpcUrl: node.url,
+            pipelineDepth: 3,
+            confirmInterval: 20,
+            journalDir
+        });
+
+        assert.strictEqual(summary.accepted.count, 5);
+        assert.strictEqual(summary.confirmed.count, 5);
+        assert.strictEqual(summary.failed.count, 0);
+        assert.strictEqual(summary.unknown.count, 0);
+        assert.strictEqual(node.account(wallet.address).nonce, 5);
+        assert.strictEqual(node.account(wallet.address).balance, 10_000_000 - 5 * (100_000 + 1000));
+    });
+
+    test('counts rejected sends as failed', async () => {
+        const wallet = makeWallet('Wallet2');
+        node.fund(wallet.address, 10);
+        node.injectFault('/send-tx', 'error');
+
+        const summary = await executeTransactions([wallet], recipients, '0.1', 2, false, 0.01, 0.1, {
+            rpcUrl: node.url,
+            pipelineDepth: 2,
+            confirmInterval: 20,
+            journalDir
+        });
+
+        assert.strictEqual(summary.confirmed.count, 1);
+        assert.strictEqual(summary.failed.count, 1);
+    });
+
+    test('watches a broadcast that got no answer instead of failing or re-sending it', async () => {
+        const wallet = makeWallet('Lost1');
+        node.fund(wallet.address, 10);
+        node.injectFault('/send-tx', 'timeout');
+
+        const sendsBefore = node.countRequests('POST', '/send-tx');
+        const summary = await executeTransactions([wallet], recipients, '0.1', 2, false, 0.01, 0.1, {
+            rpcUrl: node.url,
+            timeout: 300,
+            pipelineDepth: 2,
+            confirmInterval: 20,
+            journalDir
+        });
+        const events = fs.readFileSync(summary.journal, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+        const lost = events.find(event => event.event === 'unknown');
+
+        assert.strictEqual(node.countRequests('POST', '/send-tx') - sendsBefore, 2);
+        assert.strictEqual(summary.accepted.count, 1);
+        assert.strictEqual(summary.confirmed.count, 2);
+        assert.strictEqual(summary.failed.count, 0);
+        assert.strictEqual(summary.possiblySpent, 0n);
+        assert.match(lost.hash, /^[0-9a-f]{64}$/);
+        assert.ok(events.some(event => event.event === 'confirmed' && event.id === lost.id));
+        assert.strictEqual(node.account(wallet.address).balance, 10_000_000 - 2 * 101_000);
+    });
+
+    test('fills the nonce gap a rejected pipelined send leaves below later ones', async () => {
+        const wallet = makeWallet('Gap1');
+        node.fund(wallet.address, 10);
+        node.injectFault('/send-tx', 'error');
+
+        const summary = await executeTransactions([wallet], recipients, '0.1', 3, false, 0.01, 0.1, {
+            rpcUrl: node.url,
+            pipelineDepth: 3,
+            confirmInterval: 20,
+            journalDir
+        });
+
+        assert.strictEqual(summary.confirmed.count, 2);
+        assert.strictEqual(summary.failed.count, 1);
+        assert.deepStrictEqual(node.stagedFor(wallet.address), []);
+        assert.strictEqual(node.account(wallet.address).nonce, 3);
+        assert.strictEqual(node.account(wallet.address).balance, 10_000_000 - 2 * 101_000 - 1000);
+    });
+
+    test('hands a rejected nonce to the next send from the same wallet', async () => {
+        const wallet = makeWallet('Gap2');
+        node.fund(wallet.address, 10);
+        node.injectFault('/send-tx', 'error');
+
+        const summary = await executeTransactions([wallet], recipients, '0.1', 4, false, 0.01, 0.1, {
+            rpcUrl: node.url,
+            pipelineDepth: 3,
+            confirmInterval: 20,
+            journalDir
+        });
+
+        assert.strictEqual(summary.confirmed.count, 3);
+        assert.strictEqual(summary.failed.count, 1);
+        assert.deepStrictEqual(summary.transactions.filter(tx => tx.status === 'confirmed').map(tx => tx.nonce).sort(), [1, 2, 3]);
+        assert.strictEqual(node.account(wallet.address).nonce, 3);
+        assert.strictEqual(node.account(wallet.address).balance, 10_000_000 - 3 * 101_000);
+    });
+
+    test('marks transactions that never confirm as unknown', async () => {
+        const idle = new MockOctraNode();
+        await idle.start();
+        const wallet = makeWallet('Wallet3');
+        idle.fund(wallet.address, 10);
+
+        try {
+            const summary = await executeTransactions([wallet], recipients, '0.1', 1, false, 0.01, 0.1, {
+                rpcUrl: idle.url,
+                confirmInterval: 20,
+                confirmTimeout: 100,
+                journalDir
+            });
+
+            assert.strictEqual(summary.accepted.count, 1);
+            assert.strictEqual(summary.unknown.count, 1);
+        } finally {
+            await idle.stop();
+        }
+    });
+
+    test('fails a wallet plan that the balance cannot cover', async () => {
+        const wallet = makeWallet('Budget1');
+        node.fund(wallet.address, 0.25);
+        const sendsBefore = node.countRequests('POST', '/send-tx');
+
+        const summary = await executeTransactions([wallet], recipients, '0.1', 3, false, 0.01, 0.1, {
+            rpcUrl: node.url,
+            pipelineDepth: 3,
+            journalDir
+        });
+
+        assert.strictEqual(node.countRequests('POST', '/send-tx'), sendsBefore);
+        assert.strictEqual(summary.failed.count, 3);
+        assert.match(summary.transactions[0].error, /needs 0\.303000 OCT \(amounts \+ fees\), has 0\.250000 OCT/);
+    });
+
+    test('shrinks a wallet plan to what the balance covers', async () => {
+        const wallet = makeWallet('Budget2');
+        node.fund(wallet.address, 0.25);
+
+        const summary = await executeTransactions([wallet], recipients, '0.1', 3, false, 0.01, 0.1, {
+            rpcUrl: node.url,
+            pipelineDepth: 3,
+            confirmInterval: 20,
+            budgetPolicy: 'shrink',
+            journalDir
+        });
+
+        assert.strictEqual(summary.confirmed.count, 2);
+        assert.strictEqual(summary.skipped.count, 1);
+        assert.strictEqual(summary.failed.count, 0);
+        assert.strictEqual(node.account(wallet.address).balance, 250_000 - 2 * 101_000);
+    });
+
+    test('skips a wallet that the balance cannot cover', async () => {
+        const poor = makeWallet('Budget3');
+        const rich = makeWallet('Budget4');
+        node.fund(poor.address, 0.1);
+        node.fund(rich.address, 1);
+
+        const summary = await executeTransactions([poor, rich], recipients, '0.1', 1, false, 0.01, 0.1, {
+            rpcUrl: node.url,
+            confirmInterval: 20,
+            budgetPolicy: 'skip',
+            walletDelay: 0,
+            journalDir
+        });
+
+        assert.strictEqual(summary.skipped.count, 1);
+        assert.strictEqual(summary.confirmed.count, 1);
+        assert.deepStrictEqual(summary.transactions.map(tx => [tx.wallet, tx.status]), [['Budget3', 'skipped'], ['Budget4', 'confirmed']]);
+    });
+
+    test('sends each memo in the unsigned message field', async () => {
+        const wallet = makeWallet('Memo1');
+        node.fund(wallet.address, 10);
+
+        const summary = await executeTransactions([wallet], recipients, '0.1', 2, false, 0.01, 0.1, {
+            rpcUrl: node.url,
+            txDelay: 0,
+            confirmInterval: 20,
+            journal: false
+        });
+        const octra = new OctraAutoTX({ rpcUrl: node.url });
+        const messages = [];
+        for (const tx of summary.transactions) {
+            messages.push((await octra.getTransaction(tx.hash)).message);
+        }
+
+        assert.deepStrictEqual(messages, ['Pempek TX 1 from Memo1', 'Pempek TX 2 from Memo1']);
+    });
+
+    test('distributes recipients round-robin or by weight across all wallets', () => {
+        const wallets = [makeWallet('A'), makeWallet('B')];
+        const three = [...recipients, randomAddress()];
+        const tally = (plan) => three.map((_, i) => plan.filter(entry => entry.recipientIndex === i).length);
+
+        const roundRobin = buildTransactionPlan(wallets, three, '0.1', 4, false, 0.01, 0.1, { distribution: 'round-robin' });
+        assert.deepStrictEqual(roundRobin.map(entry => entry.recipientIndex), [0, 1, 2, 0, 1, 2, 0, 1]);
+        assert.deepStrictEqual(roundRobin.map(entry => entry.to), roundRobin.map(entry => three[entry.recipientIndex]));
+
+        const weighted = buildTransactionPlan(wallets, three, '0.1', 6, false, 0.01, 0.1, { distribution: 'weighted', weights: [3, 2, 1] });
+        assert.deepStrictEqual(tally(weighted), [6, 4, 2]);
+        assert.deepStrictEqual(weighted.slice(0, 6).map(entry => entry.recipientIndex), [0, 1, 0, 2, 1, 0]);
+
+        assert.throws(() => buildTransactionPlan(wallets, three, '0.1', 1, false, 0.01, 0.1, { distribution: 'weighted', weights: [1, 1] }), /one weight per recipient, got 2 for 3/);
+        assert.throws(() => buildTransactionPlan(wallets, three, '0.1', 1, false, 0.01, 0.1, { distribution: 'even' }), /Unknown distribution: even/);
+    });
+
+    test('keeps random amounts within range at micro-OCT precision', async () => {
+        const wallet = makeWallet('Random1');
+        node.fund(wallet.address, 10);
+
+        const summary = await executeTransactions([wallet], recipients, null, 5, true, '0.000001', '0.000003', {
+            rpcUrl: node.url,
+            pipelineDepth: 5,
+            confirmInterval: 20,
+            journalDir
+        });
+
+        assert.strictEqual(summary.confirmed.count, 5);
+        for (const tx of summary.transactions) {
+            assert.strictEqual(typeof tx.amount, 'bigint');
+            assert.ok(tx.amount >= 1n && tx.amount <= 3n);
+        }
+    });
+
+    test('runs wallets in parallel with a worker pool', async () => {
+        const group = ['Pool1', 'Pool2', 'Pool3'].map(name => makeWallet(name));
+        group.forEach(wallet => node.fund(wallet.address, 10));
+        const startedAt = Date.now();
+
+        const summary = await executeTransactions(group, recipients, '0.1', 2, false, 0.01, 0.1, {
+            rpcUrl: node.url,
+            concurrency: 3,
+            txDelay: 0,
+            confirmInterval: 20,
+            journalDir
+        });
+
+        assert.strictEqual(summary.confirmed.count, 6);
+        assert.ok(Date.now() - startedAt < 5000, 'wallet delay only applies between wallets of one worker');
+        for (const wallet of group) {
+            assert.strictEqual(node.account(wallet.address).nonce, 2);
+        }
+    });
+
+    test('journals every transaction before and after broadcast', async () => {
+        const wallet = makeWallet('Wallet4');
+        node.fund(wallet.address, 10);
+
+        const summary = await executeTransactions([wallet], recipients, '0.1', 2, false, 0.01, 0.1, {
+            rpcUrl: node.url,
+            pipelineDepth: 2,
+            confirmInterval: 20,
+            journalDir
+        });
+
+        const events = fs.readFileSync(summary.journal, 'utf8').trim().split('\n').map(line => JSON.parse(line).event);
+        const state = TxJournal.read(summary.journal);
+
+        assert.deepStrictEqual(events.filter(e => e === 'planned').length, 2);
+        assert.ok(events.indexOf('sending') < events.indexOf('accepted'));
+        assert.strictEqual(events[events.length - 1], 'done');
+        assert.ok(state.done);
+        assert.deepStrictEqual([...state.transactions.values()].map(tx => tx.status), ['confirmed', 'confirmed']);
+        assert.strictEqual(state.transactions.get(1).from, wallet.address);
+        assert.strictEqual(typeof state.transactions.get(1).nonce, 'number');
+    });
+
+    test('resume skips transactions that already went out', async () => {
+        const wallet = makeWallet('Wallet5');
+        node.fund(wallet.address, 10, 2);
+
+        const journal = TxJournal.create(journalDir, { mode: 'fixed', options: { confirmInterval: 20 } });
+        const base = { wallet: wallet.name, from: wallet.address, recipientIndex: 0, amount: 0.1, count: 3 };
+        journal.append('planned', { ...base, id: 1, to: recipients[0], index: 1, memo: 'a' });
+        journal.append('planned', { ...base, id: 2, to: recipients[0], index: 2, memo: 'b' });
+        journal.append('planned', { ...base, id: 3, to: recipients[0], index: 3, memo: 'c' });
+        journal.append('sending', { id: 1, nonce: 1 });
+        journal.append('accepted', { id: 1, nonce: 1, hash: 'f'.repeat(64) });
+        journal.append('sending', { id: 2, nonce: 2 });
+        journal.close();
+
+        const sendsBefore = node.countRequests('POST', '/send-tx');
+        const summary = await resumeTransactions([wallet], journal.filePath, { rpcUrl: node.url });
+        const state = TxJournal.read(journal.filePath);
+
+        assert.strictEqual(node.countRequests('POST', '/send-tx') - sendsBefore, 1);
+        assert.strictEqual(summary.confirmed.count, 1);
+        assert.strictEqual(state.transactions.get(1).status, 'accepted');
+        assert.strictEqual(state.transactions.get(2).status, 'unknown');
+        assert.strictEqual(state.transactions.get(3).status, 'confirmed');
+        assert.strictEqual(state.transactions.get(3).nonce, 3);
+        assert.ok(state.done);
+        assert.strictEqual(TxJournal.latest(journalDir), null);
+    });
+
+    test('resume settles unknown transactions by hash and never re-sends them', async () => {
+        const wallet = makeWallet('Lost2');
+        node.fund(wallet.address, 10);
+        const landed = await new OctraAutoTX({ rpcUrl: node.url }).sendTransaction(wallet, recipients[0], 0.1);
+        node.mine();
+
+        const journal = TxJournal.create(journalDir, { mode: 'fixed', options: { confirmInterval: 20 } });
+        const base = { wallet: wallet.name, from: wallet.address, to: recipients[0], recipientIndex: 0, amount: 0.1, count: 2 };
+        journal.append('planned', { ...base, id: 1, index: 1 });
+        journal.append('planned', { ...base, id: 2, index: 2 });
+        journal.append('sending', { id: 1, nonce: landed.nonce });
+        journal.append('unknown', { id: 1, nonce: landed.nonce, hash: landed.hash, error: 'timeout of 300ms exceeded' });
+        journal.append('sending', { id: 2, nonce: landed.nonce + 1 });
+        journal.append('unknown', { id: 2, nonce: landed.nonce + 1, hash: 'e'.repeat(64), error: 'timeout of 300ms exceeded' });
+        journal.close();
+
+        const sendsBefore = node.countRequests('POST', '/send-tx');
+        await resumeTransactions([wallet], journal.filePath, { rpcUrl: node.url });
+        const state = TxJournal.read(journal.filePath);
+
+        assert.strictEqual(node.countRequests('POST', '/send-tx') - sendsBefore, 0);
+        assert.strictEqual(state.transactions.get(1).status, 'confirmed');
+        assert.strictEqual(typeof state.transactions.get(1).epoch, 'number');
+        assert.strictEqual(state.transactions.get(2).status, 'unknown');
+        assert.ok(state.done);
+    });
+
+    test('stops after the in-flight transaction on SIGINT and resumes the rest', async () => {
+        const wallet = makeWallet('Wallet6');
+        node.fund(wallet.address, 10);
+
+        const interrupt = setTimeout(() => process.emit('SIGINT'), 300);
+        const summary = await executeTransactions([wallet], recipients, '0.1', 3, false, 0.01, 0.1, {
+            rpcUrl: node.url,
+            confirmInterval: 20,
+            handleSignals: true,
+            budgetPolicy: 'skip',
+            distribution: 'round-robin',
+            explorerUrl: 'http://explorer.test',
+            journalDir
+        });
+        clearTimeout(interrupt);
+
+        assert.strictEqual(summary.interrupted, true);
+        assert.strictEqual(summary.accepted.count, 1);
+        assert.strictEqual(TxJournal.latest(journalDir), summary.journal);
+        assert.strictEqual(process.listenerCount('SIGINT'), 0);
+        const { options } = TxJournal.read(summary.journal).run;
+        assert.deepStrictEqual([options.budgetPolicy, options.distribution, options.explorerUrl], ['skip', 'round-robin', 'http://explorer.test']);
+
+        const lines = [];
+        const saved = { ...logger.config };
+        Object.assign(logger.config, { format: 'json', print: line => lines.push(JSON.parse(line).msg) });
+        let resumed;
+        try {
+            resumed = await resumeTransactions([wallet], summary.journal, { rpcUrl: node.url, pipelineDepth: 2 });
+        } finally {
+            Object.assign(logger.config, saved);
+        }
+
+        assert.ok(lines.some(line => line.startsWith('Wallet6 | Explorer: http://explorer.test/tx/')));
+        assert.strictEqual(resumed.interrupted, false);
+        assert.strictEqual(resumed.accepted.count, 2);
+        assert.strictEqual(node.account(wallet.address).nonce, 3);
+    });
+});
+
+describe('RunEngine', () => {
+    let node;
+    const recipients = [randomAddress()];
+
+    before(async () => {
+        node = new MockOctraNode({ epochInterval: 50 });
+        await node.start();
+    });
+
+    after(async () => {
+        await node.stop();
+    });
+
+    test('emits progress events for every transaction and wallet', async () => {
+        const rich = makeWallet('Events1');
+        const poor = makeWallet('Events2');
+        node.fund(rich.address, 10);
+        node.fund(poor.address, 0.05);
+        node.injectFault('/send-tx', 'error');
+
+        const engine = new RunEngine();
+        const events = [];
+        for (const name of ['txPlanned', 'txSent', 'txFailed', 'txConfirmed', 'walletDone', 'runDone']) {
+            engine.on(name, (payload) => events.push([name, payload]));
+        }
+
+        const plan = buildTransactionPlan([rich, poor], recipients, '0.1', 2);
+        const summary = await engine.run([rich, poor], plan, {
+            rpcUrl: node.url,
+            pipelineDepth: 2,
+            confirmInterval: 20,
+            walletDelay: 0
+        });
+        const named = (name) => events.filter(([event]) => event === name).map(([, payload]) => payload);
+
+        assert.strictEqual(named('txPlanned').length, 4);
+        assert.strictEqual(named('txSent').length, 1);
+        assert.match(named('txSent')[0].hash, /^[0-9a-f]{64}$/);
+        assert.strictEqual(named('txConfirmed').length, 1);
+        assert.deepStrictEqual(named('txFailed').map(tx => tx.wallet), ['Events1', 'Events2', 'Events2']);
+        assert.deepStrictEqual(named('walletDone'), [
+            { wallet: 'Events1', address: rich.address, planned: 2, sent: 1, failed: 1, unknown: 0, skipped: 0 },
+            { wallet: 'Events2', address: poor.address, planned: 2, sent: 0, failed: 2, unknown: 0, skipped: 0 }
+        ]);
+        assert.deepStrictEqual(events[events.length - 1], ['runDone', summary]);
+        assert.strictEqual(process.listenerCount('SIGINT'), 0);
+    });
+
+    test('reports an empty plan as nothing to send instead of a NaN rate', async () => {
+        const lines = [];
+        const saved = { ...logger.config };
+        Object.assign(logger.config, { format: 'json', print: line => lines.push(JSON.parse(line).msg) });
+
+        let summary;
+        try {
+            summary = await new RunEngine().run([], [], { rpcUrl: node.url, confirmInterval: 20 });
+        } finally {
+            Object.assign(logger.config, saved);
+        }
+
+        assert.strictEqual(summary.confirmed.count, 0);
+        assert.ok(lines.includes('Nothing to send, the plan is empty'));
+        assert.ok(lines.every(line => !line.includes('NaN')));
+    });
+
+    test('stop() ends the run without touching process signals', async () => {
+        const wallet = makeWallet('Events3');
+        node.fund(wallet.address, 10);
+
+        const engine = new RunEngine();
+        engine.once('txSent', () => engine.stop());
+
+        const summary = await engine.run([wallet], buildTransactionPlan([wallet], recipients, '0.1', 3), {
+            rpcUrl: node.url,
+            confirmInterval: 20,
+            txDelay: 1000
+        });
+
+        assert.strictEqual(summary.interrupted, true);
+        assert.strictEqual(summary.accepted.count, 1);
+    });
+});
+
+describe('library entry point', () => {
+    test('loads without side effects', () => {
+        const { execFileSync } = require('child_process');
+        const script = `
+            const listeners = () => ['SIGINT', 'SIGTERM', 'uncaughtException'].map(event => process.listenerCount(event));
+            const before = listeners();
+            require(${JSON.stringify(path.join(__dirname, '..'))});
+            console.log(JSON.stringify({
+                listeners: listeners().map((count, i) => count - before[i]),
+                dotenv: process.env.OCTRA_ADDRESS_1 !== undefined
+            }));
+        `;
+        const cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'pempek-load-'));
+        fs.writeFileSync(path.join(cwd, '.env'), 'OCTRA_ADDRESS_1=from-dotenv\n');
+
+        try {
+            const result = JSON.parse(execFileSync(process.execPath, ['-e', script], { cwd, env: { PATH: process.env.PATH } }).toString());
+            assert.deepStrictEqual(result, { listeners: [0, 0, 0], dotenv: false });
+        } finally {
+            fs.rmSync(cwd, { recursive: true, force: true });
+        }
+    });
+});
@@ -0,0 +1,104 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { FeePolicy, executeTransactions, buildRunReport, TxJournal } = require('..');
+const { MockOctraNode } = require('./mock-node');
+const { randomAddress, makeWallet } = require('./helpers');
+
+describe('FeePolicy', () => {
+    test('tiered by default, like the node client', () => {
+        const policy = new FeePolicy();
+
+        assert.strictEqual(policy.ouFor(100_000n), '1');
+        assert.strictEqual(policy.ouFor('999.999999'), '1');
+        assert.strictEqual(policy.ouFor('1000'), '3');
+        assert.strictEqual(policy.estimate('1000'), 3000n);
+    });
+
+    test('fixed and custom tiers', () => {
+        assert.strictEqual(new FeePolicy({ strategy: 'fixed', ou: 4 }).ouFor('5000'), '4');
+
+        const tiers = new FeePolicy({ tiers: [{ below: '1', ou: 1 }, { below: '10', ou: 2 }, { ou: 5 }] });
+        assert.deepStrictEqual(['0.5', '1', '50'].map(amount => tiers.ouFor(amount)), ['1', '2', '5']);
+        assert.throws(() => new FeePolicy({ tiers: [{ ou: 1 }, { below: '1', ou: 2 }] }), /Only the last fee tier/);
+        assert.throws(() => new FeePolicy({ strategy: 'auction' }), /Unknown fee strategy: auction/);
+    });
+
+    test('scales with the staging pool up to maxOu and the max-fee cap', () => {
+        const policy = new FeePolicy({ strategy: 'congestion', perOu: 10, maxOu: 6 });
+        assert.strictEqual(policy.needsSample(), true);
+
+        policy.observeStaging(25);
+        assert.strictEqual(policy.needsSample(), false);
+        assert.strictEqual(policy.ouFor('1'), '3');
+        assert.strictEqual(policy.ouFor('2000'), '5');
+
+        policy.observeStaging(500);
+        assert.strictEqual(policy.ouFor('1'), '6');
+
+        policy.maxFee = 4000n;
+        assert.strictEqual(policy.ouFor('1'), '4');
+        assert.strictEqual(policy.estimate('1'), 4000n);
+
+        policy.maxFee = 2000n;
+        assert.throws(() => policy.ouFor('2000'), /Fee of 0\.003000 OCT for 2000\.000000 OCT is over the 0\.002000 OCT max-fee cap/);
+    });
+});
+
+describe('fees in runs', () => {
+    let node;
+    let journalDir;
+    const recipients = [randomAddress()];
+
+    before(async () => {
+        node = new MockOctraNode({ epochInterval: 50 });
+        await node.start();
+        journalDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pempek-fees-'));
+    });
+
+    after(async () => {
+        await node.stop();
+        fs.rmSync(journalDir, { recursive: true, force: true });
+    });
+
+    test('records the fee paid per transaction in the summary, journal and report', async () => {
+        const wallet = makeWallet('Fees1');
+        node.fund(wallet.address, 10);
+
+        const summary = await executeTransactions([wallet], recipients, '0.1', 2, false, 0.01, 0.1, {
+            rpcUrl: node.url,
+            confirmInterval: 20,
+            txDelay: 0,
+            journalDir,
+            fees: { strategy: 'fixed', ou: 2 }
+        });
+
+        assert.strictEqual(summary.confirmed.count, 2);
+        assert.strictEqual(summary.feesPaid, 4000n);
+        assert.deepStrictEqual(summary.transactions.map(tx => tx.fee), [2000n, 2000n]);
+        assert.strictEqual(node.account(wallet.address).balance, 10_000_000 - 2 * (100_000 + 2000));
+
+        assert.deepStrictEqual([...TxJournal.read(summary.journal).transactions.values()].map(tx => tx.fee), [2000n, 2000n]);
+        assert.strictEqual(buildRunReport(summary.journal).totals.fees, 4000n);
+    });
+
+    test('fails transactions whose fee would exceed the cap without sending them', async () => {
+        const wallet = makeWallet('Fees2');
+        node.fund(wallet.address, 5000);
+        const sendsBefore = node.countRequests('POST', '/send-tx');
+
+        const summary = await executeTransactions([wallet], recipients, '1000', 1, false, 0.01, 0.1, {
+            rpcUrl: node.url,
+            confirmInterval: 20,
+            journal: false,
+            fees: { maxFee: '0.002' }
+        });
+
+        assert.strictEqual(summary.failed.count, 1);
+        assert.match(summary.transactions[0].error, /over the 0\.002000 OCT max-fee cap/);
+        assert.strictEqual(node.countRequests('POST', '/send-tx'), sendsBefore);
+    });
+});
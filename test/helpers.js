@@ -0,0 +1,18 @@
+const { generateWallet } = require('..');
+
+const BASE58 = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+function randomAddress() {
+    let address = 'oct';
+    for (let i = 0; i < 44; i++) {
+        address += BASE58[Math.floor(Math.random() * BASE58.length)];
+    }
+    return address;
+}
+
+function makeWallet(name = 'Wallet1') {
+    const { publicKey, ...wallet } = generateWallet(name);
+    return wallet;
+}
+
+module.exports = { randomAddress, makeWallet };
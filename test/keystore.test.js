@@ -0,0 +1,68 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { Keystore } = require('..');
+const { makeWallet } = require('./helpers');
+
+describe('Keystore', () => {
+    let dir;
+    const alice = makeWallet('Wallet1');
+    const bob = makeWallet('Wallet2');
+
+    before(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pempek-keystore-'));
+    });
+
+    after(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('encrypts keys at rest and decrypts them with the passphrase', () => {
+        const filePath = path.join(dir, 'roundtrip.json');
+        new Keystore(filePath).create('correct horse').add(alice).add(bob).save();
+
+        const raw = fs.readFileSync(filePath, 'utf8');
+        assert.ok(!raw.includes(alice.privateKey));
+        assert.ok(!raw.includes(bob.privateKey));
+        assert.strictEqual(fs.statSync(filePath).mode & 0o777, 0o600);
+
+        const wallets = new Keystore(filePath).load().unlock('correct horse').wallets();
+        assert.deepStrictEqual(wallets, [{ ...alice, source: 'keystore' }, { ...bob, source: 'keystore' }]);
+    });
+
+    test('lists addresses without the passphrase', () => {
+        const filePath = path.join(dir, 'list.json');
+        new Keystore(filePath).create('pw').add(alice).save();
+
+        assert.deepStrictEqual(new Keystore(filePath).list(), [{ name: alice.name, address: alice.address }]);
+    });
+
+    test('rejects a wrong passphrase', () => {
+        const filePath = path.join(dir, 'wrong.json');
+        new Keystore(filePath).create('right').add(alice).save();
+
+        assert.throws(() => new Keystore(filePath).load().unlock('wrong'), /Wrong keystore passphrase/);
+    });
+
+    test('rejects invalid keys and duplicate wallets', () => {
+        const keystore = new Keystore(path.join(dir, 'invalid.json')).create('pw').add(alice);
+
+        assert.throws(() => keystore.add({ ...bob, privateKey: 'AAAA' }), /Invalid private key format/);
+        assert.throws(() => keystore.add({ ...bob, address: 'nope' }), /Invalid address format/);
+        assert.throws(() => keystore.add({ ...bob, name: alice.name }), /already has a wallet/);
+        assert.throws(() => keystore.add({ ...bob, address: alice.address, name: 'Other' }), /belongs to/);
+    });
+
+    test('changes the passphrase', () => {
+        const filePath = path.join(dir, 'passwd.json');
+        new Keystore(filePath).create('old').add(alice).save();
+
+        new Keystore(filePath).load().unlock('old').changePassphrase('new').save();
+
+        assert.throws(() => new Keystore(filePath).load().unlock('old'), /Wrong keystore passphrase/);
+        assert.strictEqual(new Keystore(filePath).load().unlock('new').wallets()[0].privateKey, alice.privateKey);
+    });
+});
@@ -0,0 +1,115 @@
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { Logger, OctraAutoTX, redact, configureLogging, logger } = require('..');
+const { randomAddress, makeWallet } = require('./helpers');
+
+describe('Logger', () => {
+    let lines;
+    const create = (fields = {}) => new Logger({ level: 'info', format: 'json', file: null, print: line => lines.push(line), ...fields });
+
+    beforeEach(() => {
+        lines = [];
+    });
+
+    test('writes JSON lines with level, time and context fields', () => {
+        create().child({ wallet: 'Wallet1' }).success('TX accepted', { nonce: 4, amount: 1_500_000n });
+        const entry = JSON.parse(lines[0]);
+
+        assert.strictEqual(entry.level, 'info');
+        assert.strictEqual(entry.msg, 'TX accepted');
+        assert.strictEqual(entry.wallet, 'Wallet1');
+        assert.strictEqual(entry.nonce, 4);
+        assert.strictEqual(entry.amount, '1.500000');
+        assert.ok(!Number.isNaN(Date.parse(entry.time)));
+    });
+
+    test('drops messages below the configured level', () => {
+        const log = create({ level: 'warn' });
+        log.info('hidden');
+        log.debug('hidden');
+        log.warning('shown');
+        log.error('shown');
+
+        assert.deepStrictEqual(lines.map(line => JSON.parse(line).level), ['warn', 'error']);
+    });
+
+    test('redacts keys and signatures in messages and fields', () => {
+        const wallet = makeWallet();
+        const tx = new OctraAutoTX({ rpcUrl: 'http://127.0.0.1:1' }).createTransaction(wallet.address, wallet.privateKey, randomAddress(), 1, 1);
+
+        create().error(`Bad key ${wallet.privateKey} for ${wallet.address}`, { tx, passphrase: 'hunter2' });
+        const entry = JSON.parse(lines[0]);
+
+        assert.strictEqual(entry.msg, `Bad key [REDACTED] for ${wallet.address}`);
+        assert.strictEqual(entry.tx.signature, '[REDACTED]');
+        assert.strictEqual(entry.tx.from, tx.from);
+        assert.strictEqual(entry.passphrase, '[REDACTED]');
+        assert.ok(!lines[0].includes(tx.signature));
+        assert.strictEqual(redact('f'.repeat(64)), 'f'.repeat(64));
+    });
+
+    test('prints plain text without colors when not on a terminal', () => {
+        create({ format: 'text' }).warning('careful');
+
+        assert.match(lines[0], /^\d{2}:\d{2}:\d{2} \[⚠\] careful$/);
+    });
+
+    test('does not log signatures when signing transactions', () => {
+        const wallet = makeWallet();
+        const saved = { ...logger.config };
+        Object.assign(logger.config, { level: 'debug', format: 'json', print: line => lines.push(line) });
+
+        try {
+            const tx = new OctraAutoTX({ rpcUrl: 'http://127.0.0.1:1' }).createTransaction(wallet.address, wallet.privateKey, randomAddress(), 1, 1);
+            assert.ok(lines.length > 0);
+            assert.ok(lines.every(line => !line.includes(tx.signature) && !line.includes(wallet.privateKey)));
+        } finally {
+            Object.assign(logger.config, saved);
+        }
+    });
+});
+
+describe('log file sink', () => {
+    let dir;
+    const saved = { ...logger.config };
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pempek-log-'));
+        process.env.LOG_FILE_MAX_BYTES = '400';
+        process.env.LOG_FILE_KEEP = '2';
+    });
+
+    afterEach(() => {
+        Object.assign(logger.config, saved);
+        delete process.env.LOG_FILE_MAX_BYTES;
+        delete process.env.LOG_FILE_KEEP;
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('appends JSON lines and rotates by size', () => {
+        const file = path.join(dir, 'pempek.log');
+        configureLogging({ level: 'info', file });
+        logger.config.print = () => {};
+
+        for (let i = 0; i < 20; i++) {
+            logger.child({ wallet: 'Wallet1' }).info(`line ${i}`);
+        }
+
+        const current = fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+        assert.ok(fs.statSync(file).size <= 400);
+        assert.strictEqual(current[current.length - 1].msg, 'line 19');
+        assert.strictEqual(current[0].wallet, 'Wallet1');
+        assert.ok(fs.existsSync(`${file}.1`));
+        assert.ok(fs.existsSync(`${file}.2`));
+        assert.ok(!fs.existsSync(`${file}.3`));
+    });
+
+    test('rejects unknown levels and formats', () => {
+        assert.throws(() => configureLogging({ level: 'loud' }), /Unknown log level/);
+        assert.throws(() => configureLogging({ format: 'xml' }), /Unknown log format/);
+    });
+});
@@ -0,0 +1,446 @@
+const http = require('http');
+const crypto = require('crypto');
+const nacl = require('tweetnacl');
+const util = require('tweetnacl-util');
+
+const MICRO_OCT = 1_000_000;
+const SIGNED_FIELDS = ['from', 'to_', 'amount', 'nonce', 'ou', 'timestamp'];
+const BASE58 = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+function addressFromPublicKey(publicKey) {
+    const digest = crypto.createHash('sha256').update(publicKey).digest();
+    let value = BigInt(`0x${digest.toString('hex')}`);
+    let encoded = '';
+    while (value > 0n) {
+        encoded = BASE58[Number(value % 58n)] + encoded;
+        value /= 58n;
+    }
+    for (let i = 0; i < digest.length && digest[i] === 0; i++) {
+        encoded = '1' + encoded;
+    }
+    return `oct${encoded}`;
+}
+
+function keyPairOf(privateKey) {
+    try {
+        const bytes = util.decodeBase64(String(privateKey || ''));
+        return bytes.length === 64 ? nacl.sign.keyPair.fromSecretKey(bytes) : nacl.sign.keyPair.fromSeed(bytes);
+    } catch (error) {
+        return null;
+    }
+}
+
+function ownsAddress(privateKey, address) {
+    const keyPair = keyPairOf(privateKey);
+    return keyPair !== null && addressFromPublicKey(keyPair.publicKey) === address;
+}
+
+class MockOctraNode {
+    constructor(options = {}) {
+        this.accounts = new Map();
+        this.staged = [];
+        this.privateStaged = [];
+        this.pendingTransfers = [];
+        this.transferIds = 0;
+        this.confirmed = new Map();
+        this.faults = [];
+        this.requests = [];
+        this.epoch = 0;
+        this.epochInterval = options.epochInterval || 0;
+        this.minOu = options.minOu || 0;
+        this.server = http.createServer((req, res) => this.handle(req, res));
+        this.sockets = new Set();
+        this.held = new Set();
+        this.epochTimer = null;
+        this.url = null;
+
+        this.server.on('connection', socket => {
+            this.sockets.add(socket);
+            socket.on('close', () => this.sockets.delete(socket));
+        });
+    }
+
+    start(port = 0) {
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(port, '127.0.0.1', () => {
+                this.url = `http://127.0.0.1:${this.server.address().port}`;
+                if (this.epochInterval > 0) {
+                    this.epochTimer = setInterval(() => this.mine(), this.epochInterval);
+                }
+                resolve(this.url);
+            });
+        });
+    }
+
+    stop() {
+        clearInterval(this.epochTimer);
+        for (const res of this.held) {
+            res.destroy();
+        }
+        for (const socket of this.sockets) {
+            socket.destroy();
+        }
+        return new Promise(resolve => this.server.close(() => resolve()));
+    }
+
+    fund(address, balance, nonce = 0) {
+        this.accounts.set(address, {
+            balance: Math.round(balance * MICRO_OCT),
+            nonce: nonce,
+            encrypted: 0,
+            encryptedData: '0',
+            publicKey: null
+        });
+    }
+
+    account(address) {
+        return this.accounts.get(address);
+    }
+
+    injectFault(endpoint, type, times = 1) {
+        this.faults.push({ endpoint, type, times });
+    }
+
+    takeFault(endpoint) {
+        const fault = this.faults.find(f => endpoint.startsWith(f.endpoint) && f.times > 0);
+        if (!fault) return null;
+        fault.times--;
+        return fault.type;
+    }
+
+    countRequests(method, endpoint) {
+        return this.requests.filter(r => r.method === method && r.url.startsWith(endpoint)).length;
+    }
+
+    stagedFor(address) {
+        return this.staged.filter(tx => tx.from === address);
+    }
+
+    mine() {
+        // Private transfers land in the recipient's pending list, to be claimed.
+        if (this.privateStaged.length > 0) {
+            this.epoch++;
+            for (const transfer of this.privateStaged.splice(0)) {
+                this.pendingTransfers.push({ ...transfer, epoch_id: this.epoch });
+                this.confirmed.set(transfer.hash, { hash: transfer.hash, from: transfer.sender, private: true, status: 'confirmed', epoch: this.epoch });
+            }
+        }
+
+        if (this.staged.length === 0) return [];
+
+        // Each sender's nonces execute in order with no gaps. A transaction after a
+        // missing nonce, or under minOu, stays staged, and so does everything queued behind it.
+        const blocked = new Set();
+        const expected = new Map();
+        const batch = [];
+        const held = [];
+        for (const tx of this.staged.sort((a, b) => a.nonce - b.nonce)) {
+            const next = expected.has(tx.from) ? expected.get(tx.from) : this.accounts.get(tx.from).nonce + 1;
+            if (blocked.has(tx.from) || tx.nonce !== next || parseInt(tx.ou || '1') < this.minOu) {
+                blocked.add(tx.from);
+                held.push(tx);
+            } else {
+                batch.push(tx);
+                expected.set(tx.from, next + 1);
+            }
+        }
+        this.staged = held;
+        if (batch.length === 0) return [];
+
+        this.epoch++;
+        for (const tx of batch) {
+            const sender = this.accounts.get(tx.from);
+            const amount = parseInt(tx.amount);
+            sender.balance -= amount + this.fee(tx);
+            sender.nonce = Math.max(sender.nonce, tx.nonce);
+
+            const recipient = this.accounts.get(tx.to_) || { balance: 0, nonce: 0, encrypted: 0, encryptedData: '0', publicKey: null };
+            recipient.balance += amount;
+            this.accounts.set(tx.to_, recipient);
+
+            this.confirmed.set(tx.hash, { ...tx, status: 'confirmed', epoch: this.epoch });
+        }
+
+        return batch;
+    }
+
+    fee(tx) {
+        return parseInt(tx.ou || '1') * 1000;
+    }
+
+    send(res, status, body) {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(body));
+    }
+
+    handle(req, res) {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            this.requests.push({ method: req.method, url: req.url, body: body });
+
+            const fault = this.takeFault(req.url);
+            // A lost answer: the node does the work, the response never comes.
+            if (fault === 'timeout') {
+                this.held.add(res);
+                res = { writeHead() {}, end() {} };
+            }
+            if (fault === 'error') {
+                return this.send(res, 500, { error: 'internal server error' });
+            }
+
+            try {
+                this.route(req, res, body, fault);
+            } catch (error) {
+                this.send(res, 500, { error: error.message });
+            }
+        });
+    }
+
+    route(req, res, body, fault) {
+        const [path] = req.url.split('?');
+
+        if (req.method === 'GET' && path.startsWith('/balance/')) {
+            const address = decodeURIComponent(path.slice('/balance/'.length));
+            const account = this.accounts.get(address);
+            if (!account) {
+                return this.send(res, 404, { error: 'Sender not found' });
+            }
+            return this.send(res, 200, {
+                address: address,
+                balance: (account.balance / MICRO_OCT).toFixed(6),
+                balance_raw: String(account.balance),
+                nonce: account.nonce
+            });
+        }
+
+        if (req.method === 'GET' && path === '/staging') {
+            return this.send(res, 200, {
+                staged_transactions: this.staged,
+                count: this.staged.length
+            });
+        }
+
+        if (req.method === 'GET' && path.startsWith('/address/')) {
+            const address = decodeURIComponent(path.slice('/address/'.length));
+            const account = this.accounts.get(address);
+            if (!account) {
+                return this.send(res, 404, { error: 'Address not found' });
+            }
+            const limit = parseInt(new URLSearchParams(req.url.split('?')[1] || '').get('limit')) || 20;
+            const history = [...this.confirmed.values()]
+                .filter(tx => !tx.private && (tx.from === address || tx.to_ === address))
+                .sort((a, b) => b.epoch - a.epoch || b.nonce - a.nonce);
+            return this.send(res, 200, {
+                address: address,
+                balance: (account.balance / MICRO_OCT).toFixed(6),
+                nonce: account.nonce,
+                transaction_count: history.length,
+                recent_transactions: history.slice(0, limit).map(tx => ({ hash: tx.hash, epoch: tx.epoch, url: `/tx/${tx.hash}` }))
+            });
+        }
+
+        if (req.method === 'GET' && path.startsWith('/tx/')) {
+            const hash = path.slice('/tx/'.length);
+            if (this.confirmed.has(hash)) {
+                return this.send(res, 200, this.confirmed.get(hash));
+            }
+            const staged = this.staged.find(tx => tx.hash === hash) || this.privateStaged.find(tx => tx.hash === hash);
+            if (staged) {
+                return this.send(res, 200, { ...staged, status: 'pending' });
+            }
+            return this.send(res, 404, { error: 'Transaction not found' });
+        }
+
+        if (req.method === 'POST' && path === '/send-tx') {
+            return this.sendTx(res, body, fault);
+        }
+
+        if (req.method === 'GET' && path.startsWith('/public_key/')) {
+            const account = this.accounts.get(decodeURIComponent(path.slice('/public_key/'.length)));
+            if (!account || !account.publicKey) {
+                return this.send(res, 404, { error: 'No public key for this address' });
+            }
+            return this.send(res, 200, { public_key: account.publicKey });
+        }
+
+        if (req.method === 'GET' && path.startsWith('/view_encrypted_balance/')) {
+            const address = decodeURIComponent(path.slice('/view_encrypted_balance/'.length));
+            const account = this.accounts.get(address);
+            if (!ownsAddress(req.headers['x-private-key'], address)) {
+                return this.send(res, 403, { error: 'Private key does not match address' });
+            }
+            if (!account) {
+                return this.send(res, 404, { error: 'Address not found' });
+            }
+            return this.send(res, 200, {
+                public_balance: `${(account.balance / MICRO_OCT).toFixed(6)} oct`,
+                public_balance_raw: String(account.balance),
+                encrypted_balance: `${(account.encrypted / MICRO_OCT).toFixed(6)} oct`,
+                encrypted_balance_raw: String(account.encrypted),
+                total_balance: `${((account.balance + account.encrypted) / MICRO_OCT).toFixed(6)} oct`
+            });
+        }
+
+        if (req.method === 'GET' && path === '/pending_private_transfers') {
+            const address = new URLSearchParams(req.url.split('?')[1] || '').get('address');
+            if (!ownsAddress(req.headers['x-private-key'], address)) {
+                return this.send(res, 403, { error: 'Private key does not match address' });
+            }
+            const pending = this.pendingTransfers.filter(transfer => transfer.recipient === address);
+            return this.send(res, 200, {
+                pending_transfers: pending.map(({ id, sender, epoch_id, encrypted_data }) => ({ id, sender, epoch_id, encrypted_data })),
+                count: pending.length
+            });
+        }
+
+        if (req.method === 'POST' && ['/encrypt_balance', '/decrypt_balance', '/private_transfer', '/claim_private_transfer'].includes(path)) {
+            return this.privateOp(res, path, body);
+        }
+
+        return this.send(res, 404, { error: 'Not found' });
+    }
+
+    // Encrypted balances move at once; private transfers wait for the next epoch.
+    privateOp(res, path, body) {
+        let op;
+        try {
+            op = JSON.parse(body);
+        } catch (error) {
+            return this.send(res, 400, { error: 'Invalid JSON' });
+        }
+
+        const address = path === '/claim_private_transfer' ? op.recipient_address : path === '/private_transfer' ? op.from : op.address;
+        const account = this.accounts.get(address);
+        if (!ownsAddress(path === '/private_transfer' ? op.from_private_key : op.private_key, address)) {
+            return this.send(res, 403, { error: 'Private key does not match address' });
+        }
+        if (!account) {
+            return this.send(res, 400, { error: 'Sender not found' });
+        }
+        account.publicKey = util.encodeBase64(keyPairOf(path === '/private_transfer' ? op.from_private_key : op.private_key).publicKey);
+
+        const hash = crypto.createHash('sha256').update(`${path}${body}${Date.now()}`).digest('hex');
+        const amount = parseInt(op.amount);
+
+        if (path === '/claim_private_transfer') {
+            const transfer = this.pendingTransfers.find(t => t.id === String(op.transfer_id) && t.recipient === address);
+            if (!transfer) {
+                return this.send(res, 404, { error: `No pending transfer ${op.transfer_id}` });
+            }
+            this.pendingTransfers = this.pendingTransfers.filter(t => t !== transfer);
+            account.encrypted += transfer.amount;
+            return this.send(res, 200, { status: 'claimed', transfer_id: transfer.id, amount: (transfer.amount / MICRO_OCT).toFixed(6), amount_raw: String(transfer.amount) });
+        }
+
+        if (!(amount > 0)) {
+            return this.send(res, 400, { error: 'Amount must be positive' });
+        }
+
+        if (path === '/encrypt_balance') {
+            if (account.balance < amount) {
+                return this.send(res, 400, { error: 'Insufficient public balance' });
+            }
+            account.balance -= amount;
+            account.encrypted += amount;
+            account.encryptedData = op.encrypted_data;
+        } else if (path === '/decrypt_balance') {
+            if (account.encrypted < amount) {
+                return this.send(res, 400, { error: 'Insufficient encrypted balance' });
+            }
+            account.encrypted -= amount;
+            account.balance += amount;
+            account.encryptedData = op.encrypted_data;
+        } else {
+            const recipient = this.accounts.get(op.to);
+            if (!recipient || recipient.publicKey !== op.to_public_key) {
+                return this.send(res, 400, { error: 'Recipient public key mismatch' });
+            }
+            if (account.encrypted < amount) {
+                return this.send(res, 400, { error: 'Insufficient encrypted balance' });
+            }
+            account.encrypted -= amount;
+            this.privateStaged.push({ id: String(++this.transferIds), hash, sender: op.from, recipient: op.to, amount, encrypted_data: `mock|${hash.slice(0, 16)}` });
+            return this.send(res, 200, { status: 'accepted', tx_hash: hash });
+        }
+
+        this.confirmed.set(hash, { hash, from: address, private: true, status: 'confirmed', epoch: this.epoch });
+        return this.send(res, 200, { status: 'accepted', tx_hash: hash });
+    }
+
+    sendTx(res, body, fault) {
+        let tx;
+        try {
+            tx = JSON.parse(body);
+        } catch (error) {
+            return this.send(res, 400, { error: 'Invalid JSON' });
+        }
+
+        const unsigned = {};
+        for (const field of SIGNED_FIELDS) {
+            unsigned[field] = tx[field];
+        }
+        const message = JSON.stringify(unsigned);
+
+        let valid = false;
+        try {
+            valid = nacl.sign.detached.verify(
+                new TextEncoder().encode(message),
+                util.decodeBase64(tx.signature),
+                util.decodeBase64(tx.public_key)
+            );
+        } catch (error) {
+            valid = false;
+        }
+        if (!valid) {
+            return this.send(res, 400, { error: 'Invalid signature' });
+        }
+
+        if (addressFromPublicKey(util.decodeBase64(tx.public_key)) !== tx.from) {
+            return this.send(res, 400, { error: 'Public key does not match sender address' });
+        }
+
+        const sender = this.accounts.get(tx.from);
+        if (!sender) {
+            return this.send(res, 400, { error: 'Sender not found' });
+        }
+        sender.publicKey = tx.public_key;
+
+        const hash = crypto.createHash('sha256').update(message).digest('hex');
+        let staged = this.stagedFor(tx.from);
+        const sameNonce = staged.find(s => s.nonce === tx.nonce);
+
+        // Resubmitting a staged transaction is a no-op; a higher ou at its nonce replaces it.
+        if (sameNonce && sameNonce.hash === hash && fault !== 'nonce') {
+            return this.send(res, 200, { status: 'accepted', tx_hash: hash });
+        }
+        if (sameNonce && fault !== 'nonce' && parseInt(tx.ou || '1') > parseInt(sameNonce.ou || '1')) {
+            staged = staged.filter(s => s !== sameNonce);
+        } else if (fault === 'nonce' || tx.nonce <= sender.nonce || sameNonce) {
+            return this.send(res, 400, { error: `Duplicate nonce ${tx.nonce}` });
+        }
+
+        const committed = staged.reduce((sum, s) => sum + parseInt(s.amount) + this.fee(s), 0);
+        if (sender.balance - committed < parseInt(tx.amount) + this.fee(tx)) {
+            return this.send(res, 400, { error: 'Insufficient balance' });
+        }
+
+        this.staged = this.staged.filter(s => s !== sameNonce);
+        this.staged.push({ ...unsigned, ...(tx.message !== undefined && { message: tx.message }), hash: hash });
+
+        return this.send(res, 200, { status: 'accepted', tx_hash: hash });
+    }
+}
+
+module.exports = { MockOctraNode, MICRO_OCT };
+
+if (require.main === module) {
+    const node = new MockOctraNode({ epochInterval: parseInt(process.env.MOCK_EPOCH_MS) || 10000 });
+    for (const address of (process.env.MOCK_FUND || '').split(',').filter(Boolean)) {
+        node.fund(address, 1000);
+    }
+    node.start(parseInt(process.env.MOCK_PORT) || 8545).then(url => {
+        console.log(`Mock Octra node listening on ${url}`);
+    });
+}
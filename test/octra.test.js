@@ -0,0 +1,261 @@
+const { test, describe, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const nacl = require('tweetnacl');
+const util = require('tweetnacl-util');
+
+const { OctraAutoTX, deriveAddress, generateWallet, loadWalletsFromEnv, parseOCT, formatOCT, verifyTransaction, transactionHash } = require('..');
+const { MockOctraNode } = require('./mock-node');
+const { randomAddress, makeWallet } = require('./helpers');
+
+describe('micro-OCT amounts', () => {
+    test('parses OCT strings exactly', () => {
+        assert.strictEqual(parseOCT('0.1'), 100_000n);
+        assert.strictEqual(parseOCT('1.000001'), 1_000_001n);
+        assert.strictEqual(parseOCT('0.29'), 290_000n);
+        assert.strictEqual(parseOCT(4.35), 4_350_000n);
+        assert.strictEqual(parseOCT('123456789012.5'), 123_456_789_012_500_000n);
+    });
+
+    test('rejects more than 6 decimals and non-numbers', () => {
+        assert.throws(() => parseOCT('0.0000001'), /at most 6 decimals/);
+        assert.throws(() => parseOCT('-1'), /Invalid OCT amount/);
+        assert.throws(() => parseOCT('1e-3'), /Invalid OCT amount/);
+        assert.throws(() => parseOCT(''), /Invalid OCT amount/);
+    });
+
+    test('formats micro-OCT with 6 decimals', () => {
+        assert.strictEqual(formatOCT(1_500_000n), '1.500000');
+        assert.strictEqual(formatOCT(1n), '0.000001');
+        assert.strictEqual(formatOCT(-2_000n), '-0.002000');
+    });
+});
+
+describe('createTransaction', () => {
+    const octra = new OctraAutoTX({ rpcUrl: 'http://127.0.0.1:1' });
+    const wallet = makeWallet();
+    const recipient = randomAddress();
+
+    test('serializes fields in canonical order with micro-OCT amount', () => {
+        const tx = octra.createTransaction(wallet.address, wallet.privateKey, recipient, 1.5, 7);
+
+        assert.deepStrictEqual(Object.keys(tx), ['from', 'to_', 'amount', 'nonce', 'ou', 'timestamp', 'signature', 'public_key']);
+        assert.strictEqual(tx.from, wallet.address);
+        assert.strictEqual(tx.to_, recipient);
+        assert.strictEqual(tx.amount, '1500000');
+        assert.strictEqual(octra.createTransaction(wallet.address, wallet.privateKey, recipient, '0.29', 7).amount, '290000');
+        assert.strictEqual(octra.createTransaction(wallet.address, wallet.privateKey, recipient, 4_350_000n, 7).amount, '4350000');
+        assert.strictEqual(tx.nonce, 7);
+        assert.strictEqual(typeof tx.timestamp, 'number');
+    });
+
+    test('uses the higher ou tier for large amounts', () => {
+        assert.strictEqual(octra.createTransaction(wallet.address, wallet.privateKey, recipient, 999, 1).ou, '1');
+        assert.strictEqual(octra.createTransaction(wallet.address, wallet.privateKey, recipient, 1000, 1).ou, '3');
+    });
+
+    test('signs the compact JSON of the unsigned fields', () => {
+        const tx = octra.createTransaction(wallet.address, wallet.privateKey, recipient, 0.25, 1);
+        const { signature, public_key, ...unsigned } = tx;
+        const message = new TextEncoder().encode(JSON.stringify(unsigned));
+
+        assert.ok(nacl.sign.detached.verify(message, util.decodeBase64(signature), util.decodeBase64(public_key)));
+    });
+
+    test('sends a memo in the message field, outside the signed body', () => {
+        const tx = octra.createTransaction(wallet.address, wallet.privateKey, recipient, 0.25, 1, 'Invoice #42');
+        const { signature, public_key, message, ...unsigned } = tx;
+
+        assert.strictEqual(message, 'Invoice #42');
+        assert.ok(nacl.sign.detached.verify(new TextEncoder().encode(JSON.stringify(unsigned)), util.decodeBase64(signature), util.decodeBase64(public_key)));
+        assert.strictEqual(transactionHash(tx), transactionHash(unsigned));
+        assert.deepStrictEqual(verifyTransaction({ ...tx, message: undefined }), { valid: true });
+    });
+
+    test('accepts 32-byte seeds and 64-byte secret keys', () => {
+        const keyPair = nacl.sign.keyPair();
+        const fromSeed = octra.getKeyPair(util.encodeBase64(keyPair.secretKey.slice(0, 32)));
+        const fromSecret = octra.getKeyPair(util.encodeBase64(keyPair.secretKey));
+
+        assert.deepStrictEqual(fromSeed.publicKey, keyPair.publicKey);
+        assert.deepStrictEqual(fromSecret.publicKey, keyPair.publicKey);
+        assert.throws(() => octra.getKeyPair(util.encodeBase64(new Uint8Array(16))), /Invalid private key format/);
+    });
+});
+
+describe('addresses', () => {
+    const seed = 'BwcHBwcHBwcHBwcHBwcHBwcHBwcHBwcHBwcHBwcHBwc=';
+
+    test('derives the oct address from the ed25519 public key', () => {
+        const octra = new OctraAutoTX();
+
+        assert.strictEqual(octra.addressFromKey(seed), 'octJ8Uo9u28953Fpeeg7ki5H3cYhQ9V2w9Zotxr1nhFE2FJ');
+        assert.strictEqual(deriveAddress(octra.getKeyPair(seed).publicKey), 'octJ8Uo9u28953Fpeeg7ki5H3cYhQ9V2w9Zotxr1nhFE2FJ');
+    });
+
+    test('generates wallets whose address matches their key', () => {
+        const wallet = generateWallet('Fresh');
+
+        assert.strictEqual(wallet.name, 'Fresh');
+        assert.match(wallet.address, /^oct[1-9A-HJ-NP-Za-km-z]{44}$/);
+        assert.strictEqual(new OctraAutoTX().addressFromKey(wallet.privateKey), wallet.address);
+    });
+
+    test('skips env wallets whose key does not match the address', () => {
+        const good = makeWallet();
+        const other = makeWallet();
+        const saved = { ...process.env };
+
+        Object.assign(process.env, {
+            OCTRA_PRIVATE_KEY_1: good.privateKey,
+            OCTRA_ADDRESS_1: good.address,
+            OCTRA_PRIVATE_KEY_2: good.privateKey,
+            OCTRA_ADDRESS_2: other.address
+        });
+
+        try {
+            assert.deepStrictEqual(loadWalletsFromEnv().map(w => w.address), [good.address]);
+        } finally {
+            for (const key of ['OCTRA_PRIVATE_KEY_1', 'OCTRA_ADDRESS_1', 'OCTRA_PRIVATE_KEY_2', 'OCTRA_ADDRESS_2']) {
+                if (saved[key] === undefined) delete process.env[key];
+                else process.env[key] = saved[key];
+            }
+        }
+    });
+
+    test('reads env wallets past index 10, in numeric order and across gaps', () => {
+        const wallets = Array.from({ length: 12 }, (_, i) => makeWallet(`Wallet${i + 1}`));
+        const indexes = [...wallets.keys()].map(i => (i < 11 ? i + 1 : 15));
+        const keys = indexes.flatMap(n => [`OCTRA_PRIVATE_KEY_${n}`, `OCTRA_ADDRESS_${n}`]);
+        const saved = { ...process.env };
+
+        wallets.forEach((wallet, i) => {
+            process.env[`OCTRA_PRIVATE_KEY_${indexes[i]}`] = wallet.privateKey;
+            process.env[`OCTRA_ADDRESS_${indexes[i]}`] = wallet.address;
+        });
+
+        try {
+            const loaded = loadWalletsFromEnv();
+            assert.strictEqual(loaded.length, 12);
+            assert.deepStrictEqual(loaded.slice(9).map(w => [w.name, w.address]), [['Wallet10', wallets[9].address], ['Wallet11', wallets[10].address], ['Wallet15', wallets[11].address]]);
+        } finally {
+            for (const key of keys) {
+                if (saved[key] === undefined) delete process.env[key];
+                else process.env[key] = saved[key];
+            }
+        }
+    });
+});
+
+describe('OctraAutoTX against mock node', () => {
+    let node;
+    let octra;
+    let wallet;
+    const recipient = randomAddress();
+
+    before(async () => {
+        node = new MockOctraNode();
+        await node.start();
+    });
+
+    after(async () => {
+        await node.stop();
+    });
+
+    beforeEach(() => {
+        wallet = makeWallet();
+        node.fund(wallet.address, 100, 3);
+        octra = new OctraAutoTX({ rpcUrl: node.url, timeout: 500 });
+    });
+
+    test('reads balance and nonce', async () => {
+        assert.strictEqual(await octra.getBalance(wallet.address), 100_000_000n);
+        assert.strictEqual(await octra.getCurrentNonce(wallet.address), 3);
+        assert.strictEqual(await octra.getBalance(randomAddress()), 0n);
+    });
+
+    test('sends a transaction the node accepts', async () => {
+        const result = await octra.sendTransaction(wallet, recipient, 1);
+
+        assert.strictEqual(result.success, true);
+        assert.strictEqual(result.nonce, 4);
+        assert.match(result.hash, /^[0-9a-f]{64}$/);
+        assert.strictEqual(node.stagedFor(wallet.address).length, 1);
+    });
+
+    test('seeds the nonce once and hands out sequential nonces', async () => {
+        const before = node.countRequests('GET', '/balance/');
+        const results = await Promise.all([1, 2, 3, 4].map(() => octra.sendTransaction(wallet, recipient, 0.5)));
+
+        assert.ok(results.every(r => r.success));
+        assert.deepStrictEqual(results.map(r => r.nonce).sort(), [4, 5, 6, 7]);
+        assert.strictEqual(node.countRequests('GET', '/balance/') - before, 1);
+    });
+
+    test('resyncs and retries when the node rejects a nonce', async () => {
+        await octra.sendTransaction(wallet, recipient, 0.5);
+        node.staged.push({ from: wallet.address, to_: recipient, amount: '1', nonce: 5, ou: '1', hash: 'external' });
+
+        const result = await octra.sendTransaction(wallet, recipient, 0.5);
+
+        assert.strictEqual(result.success, true);
+        assert.strictEqual(result.nonce, 6);
+    });
+
+    test('reuses the nonce of a send that failed', async () => {
+        node.injectFault('/send-tx', 'error');
+        const failed = await octra.sendTransaction(wallet, recipient, 0.5);
+        const retried = await octra.sendTransaction(wallet, recipient, 0.5);
+
+        assert.strictEqual(failed.success, false);
+        assert.match(failed.error, /internal server error/);
+        assert.strictEqual(retried.success, true);
+        assert.strictEqual(retried.nonce, failed.nonce);
+    });
+
+    test('reports timed out broadcasts as unknown and keeps their nonce', async () => {
+        node.injectFault('/send-tx', 'timeout');
+        const timedOut = await octra.sendTransaction(wallet, recipient, 0.5);
+        const next = await octra.sendTransaction(wallet, recipient, 0.5);
+
+        assert.strictEqual(timedOut.success, false);
+        assert.strictEqual(timedOut.unknown, true);
+        assert.match(timedOut.error, /timeout/);
+        assert.strictEqual(next.nonce, timedOut.nonce + 1);
+        assert.deepStrictEqual(node.stagedFor(wallet.address).map(tx => tx.hash), [timedOut.hash, next.hash]);
+    });
+
+    test('releases the nonce when the node cannot be reached', async () => {
+        const offline = new OctraAutoTX({ rpcUrl: 'http://127.0.0.1:1', timeout: 500 });
+        offline.nonces.getAccount(wallet.address).next = 4;
+        const result = await offline.sendTransaction(wallet, recipient, 0.5);
+
+        assert.strictEqual(result.success, false);
+        assert.strictEqual(result.unknown, undefined);
+        assert.strictEqual(offline.nonces.getAccount(wallet.address).next, 4);
+    });
+
+    test('rejects tampered transactions', async () => {
+        const tx = octra.createTransaction(wallet.address, wallet.privateKey, recipient, 1, 4);
+        tx.amount = '2000000';
+        const result = await octra.makeApiCall('POST', '/send-tx', tx);
+
+        assert.strictEqual(result.status, 400);
+        assert.deepStrictEqual(result.data, { error: 'Invalid signature' });
+    });
+
+    test('rejects transactions from a key that does not own the address', async () => {
+        const impostor = makeWallet();
+        node.fund(impostor.address, 100);
+        const result = await octra.sendTransaction({ ...impostor, address: wallet.address }, recipient, 1);
+
+        assert.strictEqual(result.success, false);
+        assert.match(result.error, /does not match sender address/);
+    });
+
+    test('rejects transactions above the balance', async () => {
+        const result = await octra.sendTransaction(wallet, recipient, 200);
+
+        assert.strictEqual(result.success, false);
+        assert.match(result.error, /Insufficient balance/);
+    });
+});
@@ -0,0 +1,120 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+    canonicalMessage,
+    signTransaction,
+    verifyTransaction,
+    buildUnsignedTransactions,
+    signTransactions,
+    broadcastTransactions,
+    readTransactionFile,
+    writeTransactionFile
+} = require('..');
+const { MockOctraNode } = require('./mock-node');
+const { randomAddress, makeWallet } = require('./helpers');
+
+describe('canonical serialization', () => {
+    const tx = { from: 'octA', to_: 'octB', amount: '1500000', nonce: 7, ou: '1', timestamp: 1700000000.5 };
+
+    test('orders the signed fields and leaves everything else out', () => {
+        const shuffled = { public_key: 'pk', timestamp: tx.timestamp, ou: '1', nonce: 7, amount: '1500000', to_: 'octB', signature: 'sig', from: 'octA' };
+
+        assert.strictEqual(canonicalMessage(shuffled), '{"from":"octA","to_":"octB","amount":"1500000","nonce":7,"ou":"1","timestamp":1700000000.5}');
+        assert.strictEqual(canonicalMessage(shuffled), canonicalMessage(tx));
+    });
+
+    test('rejects missing or mistyped fields', () => {
+        assert.throws(() => canonicalMessage({ ...tx, amount: 1500000 }), /amount must be a string/);
+        assert.throws(() => canonicalMessage({ ...tx, nonce: '7' }), /nonce must be an integer/);
+        assert.throws(() => canonicalMessage({ ...tx, timestamp: undefined }), /timestamp must be a number/);
+    });
+});
+
+describe('verifyTransaction', () => {
+    const wallet = makeWallet();
+    const signed = signTransaction({ from: wallet.address, to_: randomAddress(), amount: '100000', nonce: 1, ou: '1', timestamp: 1700000000 }, wallet.privateKey);
+
+    test('accepts a transaction signed by the sender', () => {
+        assert.deepStrictEqual(verifyTransaction(signed), { valid: true });
+    });
+
+    test('rejects tampered fields, foreign keys and malformed signatures', () => {
+        const other = makeWallet();
+
+        assert.match(verifyTransaction({ ...signed, amount: '200000' }).error, /Signature does not match/);
+        assert.match(verifyTransaction(signTransaction({ ...signed, from: other.address }, wallet.privateKey)).error, /public_key belongs to/);
+        assert.match(verifyTransaction({ ...signed, signature: 'short' }).error, /malformed signature/);
+        assert.strictEqual(verifyTransaction({ ...signed, nonce: -1 }).valid, false);
+    });
+});
+
+describe('offline signing', () => {
+    let node;
+    let dir;
+    const wallet = makeWallet('Offline1');
+    const recipients = [randomAddress(), randomAddress()];
+
+    before(async () => {
+        node = new MockOctraNode({ epochInterval: 50 });
+        await node.start();
+        node.fund(wallet.address, 10, 4);
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pempek-offline-'));
+    });
+
+    after(async () => {
+        await node.stop();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('builds, signs from a file and broadcasts in nonce order', async () => {
+        const plan = [
+            { from: wallet.address, to: recipients[0], amount: 1_000_000n },
+            { from: wallet.address, to: recipients[1], amount: 250_000n }
+        ];
+        const unsigned = await buildUnsignedTransactions(plan, { rpcUrl: node.url });
+
+        assert.deepStrictEqual(unsigned.map(tx => [tx.nonce, tx.amount, tx.signature]), [[5, '1000000', undefined], [6, '250000', undefined]]);
+
+        const unsignedPath = writeTransactionFile(path.join(dir, 'unsigned.json'), 'unsigned', unsigned);
+        const signed = signTransactions(readTransactionFile(unsignedPath), [wallet]);
+        const summary = await broadcastTransactions(signed.reverse(), { rpcUrl: node.url, confirmInterval: 20 });
+
+        assert.strictEqual(summary.confirmed.count, 2);
+        assert.deepStrictEqual(summary.transactions.map(tx => tx.nonce), [5, 6]);
+        assert.strictEqual(node.account(recipients[1]).balance, 250_000);
+    });
+
+    test('refuses to sign for a sender whose key is not loaded', () => {
+        const stranger = randomAddress();
+
+        assert.throws(() => signTransactions([{ from: stranger, to_: recipients[0], amount: '1', nonce: 1, ou: '1', timestamp: 1 }], [wallet]),
+            new RegExp(`No private key loaded for ${stranger}, nothing was signed`));
+    });
+
+    test('broadcasts nothing when one signature is invalid', async () => {
+        const unsigned = await buildUnsignedTransactions([{ from: wallet.address, to: recipients[0], amount: 1n }], { rpcUrl: node.url });
+        const [signed] = signTransactions(unsigned, [wallet]);
+        const sendsBefore = node.countRequests('POST', '/send-tx');
+
+        await assert.rejects(broadcastTransactions([{ ...signed, amount: '2' }], { rpcUrl: node.url }), /1 transaction\(s\) failed verification, nothing was broadcast/);
+        assert.strictEqual(node.countRequests('POST', '/send-tx'), sendsBefore);
+    });
+
+    test('stops a sender after its first rejected nonce', async () => {
+        const sender = makeWallet('Offline2');
+        node.fund(sender.address, 10);
+        const unsigned = await buildUnsignedTransactions([1n, 2n, 3n].map(amount => ({ from: sender.address, to: recipients[0], amount })), { rpcUrl: node.url });
+        node.injectFault('/send-tx', 'error');
+        const sendsBefore = node.countRequests('POST', '/send-tx');
+
+        const summary = await broadcastTransactions(signTransactions(unsigned, [sender]), { rpcUrl: node.url, confirmInterval: 20 });
+
+        assert.strictEqual(summary.failed.count, 3);
+        assert.match(summary.transactions[2].error, /earlier nonce from this sender failed/);
+        assert.strictEqual(node.countRequests('POST', '/send-tx') - sendsBefore, 1);
+    });
+});
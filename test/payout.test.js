@@ -0,0 +1,122 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { loadPayoutFile, validatePayoutPlan, executePayoutFile } = require('..');
+const { MockOctraNode } = require('./mock-node');
+const { randomAddress, makeWallet } = require('./helpers');
+
+describe('payout plans', () => {
+    let node;
+    let dir;
+    const alice = makeWallet('Wallet1');
+    const bob = makeWallet('Wallet2');
+    const recipients = [randomAddress(), randomAddress()];
+
+    const writePlan = (name, content) => {
+        const filePath = path.join(dir, name);
+        fs.writeFileSync(filePath, content);
+        return filePath;
+    };
+
+    before(async () => {
+        node = new MockOctraNode({ epochInterval: 50 });
+        await node.start();
+        node.fund(alice.address, 5);
+        node.fund(bob.address, 0.5);
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pempek-payout-'));
+    });
+
+    after(async () => {
+        await node.stop();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('parses CSV with quoted memos and header aliases', () => {
+        const filePath = writePlan('plan.csv', [
+            'wallet,recipient,amount,memo',
+            `Wallet1,${recipients[0]},1.25,"March, week 1"`,
+            '# comment lines are skipped',
+            '',
+            `Wallet2,${recipients[1]},0.1,`
+        ].join('\n'));
+
+        assert.deepStrictEqual(loadPayoutFile(filePath), [
+            { line: 2, from: 'Wallet1', to: recipients[0], amount: '1.25', memo: 'March, week 1' },
+            { line: 5, from: 'Wallet2', to: recipients[1], amount: '0.1', memo: '' }
+        ]);
+    });
+
+    test('parses JSON arrays and payouts objects', () => {
+        const entries = [{ from: alice.address, to: recipients[0], amount: 2, memo: 'bonus' }];
+
+        assert.deepStrictEqual(loadPayoutFile(writePlan('a.json', JSON.stringify(entries))), [
+            { line: 1, from: alice.address, to: recipients[0], amount: '2', memo: 'bonus' }
+        ]);
+        assert.strictEqual(loadPayoutFile(writePlan('b.json', JSON.stringify({ payouts: entries }))).length, 1);
+    });
+
+    test('reports every invalid row and insufficient balances', async () => {
+        const rows = [
+            { line: 2, from: 'Wallet9', to: recipients[0], amount: '1', memo: '' },
+            { line: 3, from: 'Wallet1', to: 'oct0bad', amount: '1', memo: '' },
+            { line: 4, from: 'Wallet1', to: recipients[0], amount: '0.1234567', memo: '' },
+            { line: 5, from: 'Wallet1', to: recipients[0], amount: '0', memo: '' },
+            { line: 6, from: 'Wallet2', to: recipients[0], amount: '0.3', memo: '' },
+            { line: 7, from: 'Wallet2', to: recipients[1], amount: '0.2', memo: '' }
+        ];
+
+        const result = await validatePayoutPlan(rows, [alice, bob], { rpcUrl: node.url });
+
+        assert.deepStrictEqual(result.errors, [
+            'Row 2: unknown wallet Wallet9',
+            'Row 3: invalid recipient address format: oct0bad',
+            'Row 4: amount must be a number with at most 6 decimals, got: 0.1234567',
+            'Row 5: amount must be greater than zero',
+            'Wallet2: needs 0.502000 OCT (amounts + fees) but balance is 0.500000 OCT'
+        ]);
+        assert.strictEqual(result.plan.length, 2);
+    });
+
+    test('dry run resolves the plan without sending', async () => {
+        const filePath = writePlan('dry.csv', `from,to,amount,memo\nWallet1,${recipients[0]},1,a\nWallet1,${recipients[1]},0.5,b\n`);
+        const sendsBefore = node.countRequests('POST', '/send-tx');
+
+        const result = await executePayoutFile([alice, bob], filePath, { rpcUrl: node.url, dryRun: true });
+
+        assert.strictEqual(result.dryRun, true);
+        assert.deepStrictEqual(result.transactions.map(tx => [tx.to, tx.amount, tx.memo]), [
+            [recipients[0], 1_000_000n, 'a'],
+            [recipients[1], 500_000n, 'b']
+        ]);
+        assert.deepStrictEqual(result.wallets[0], {
+            wallet: 'Wallet1', address: alice.address, count: 2, amount: 1_500_000n, fees: 2_000n, balance: 5_000_000n
+        });
+        assert.strictEqual(node.countRequests('POST', '/send-tx'), sendsBefore);
+    });
+
+    test('refuses to send anything when a row is invalid', async () => {
+        const filePath = writePlan('bad.csv', `from,to,amount\nWallet1,${recipients[0]},1\nWallet1,nope,1\n`);
+        const sendsBefore = node.countRequests('POST', '/send-tx');
+
+        await assert.rejects(executePayoutFile([alice, bob], filePath, { rpcUrl: node.url, journal: false }), /1 error\(s\), nothing was sent/);
+        assert.strictEqual(node.countRequests('POST', '/send-tx'), sendsBefore);
+    });
+
+    test('sends the exact amount to each recipient', async () => {
+        const filePath = writePlan('pay.csv', `from,to,amount\nWallet1,${recipients[0]},1.5\nWallet1,${recipients[1]},0.25\n`);
+
+        const summary = await executePayoutFile([alice, bob], filePath, {
+            rpcUrl: node.url,
+            pipelineDepth: 2,
+            confirmInterval: 20,
+            journal: false
+        });
+
+        assert.strictEqual(summary.confirmed.count, 2);
+        assert.strictEqual(node.account(recipients[0]).balance, 1_500_000);
+        assert.strictEqual(node.account(recipients[1]).balance, 250_000);
+    });
+});
@@ -0,0 +1,110 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+
+const {
+    OctraAutoTX,
+    encryptClientBalance,
+    decryptClientBalance,
+    executeTransactions,
+    buildTransactionPlan,
+    shiftBalances,
+    pendingTransfers,
+    claimPendingTransfers
+} = require('..');
+const { MockOctraNode } = require('./mock-node');
+const { randomAddress, makeWallet } = require('./helpers');
+
+describe('private balances', () => {
+    let node;
+    let octra;
+
+    before(async () => {
+        node = new MockOctraNode({ epochInterval: 50 });
+        await node.start();
+        octra = new OctraAutoTX({ rpcUrl: node.url });
+    });
+
+    after(async () => {
+        await node.stop();
+    });
+
+    test('encrypts balances so that only the same key decrypts them', () => {
+        const wallet = makeWallet();
+        const data = encryptClientBalance(1234567n, wallet.privateKey);
+
+        assert.match(data, /^v2\|/);
+        assert.notStrictEqual(encryptClientBalance(1234567n, wallet.privateKey), data);
+        assert.strictEqual(decryptClientBalance(data, wallet.privateKey), 1234567n);
+        assert.strictEqual(decryptClientBalance('0', wallet.privateKey), 0n);
+        assert.throws(() => decryptClientBalance(data, makeWallet().privateKey), /does not decrypt with this key/);
+    });
+
+    test('moves funds between the public and encrypted balance', async () => {
+        const wallet = makeWallet('Shield');
+        node.fund(wallet.address, 5);
+
+        const [encrypted] = await shiftBalances([wallet], 'encrypt', 2000000n, { octra });
+        assert.ok(encrypted.success, encrypted.error);
+        assert.deepStrictEqual(await octra.getEncryptedBalance(wallet), { public: 3000000n, encrypted: 2000000n, total: 5000000n });
+        assert.strictEqual(decryptClientBalance(node.account(wallet.address).encryptedData, wallet.privateKey), 2000000n);
+
+        const [tooMuch] = await shiftBalances([wallet], 'decrypt', 3000000n, { octra });
+        assert.match(tooMuch.error, /Only 2\.000000 OCT is encrypted/);
+
+        const [decrypted] = await shiftBalances([wallet], 'decrypt', 500000n, { octra });
+        assert.ok(decrypted.success, decrypted.error);
+        assert.strictEqual(node.account(wallet.address).balance, 3500000);
+        assert.strictEqual(decryptClientBalance(node.account(wallet.address).encryptedData, wallet.privateKey), 1500000n);
+
+        await assert.rejects(octra.getEncryptedBalance({ ...wallet, privateKey: makeWallet().privateKey }), /HTTP 403/);
+    });
+
+    test('runs a batch of private transfers that the recipient claims', async () => {
+        const sender = makeWallet('Sender');
+        const recipient = makeWallet('Recipient');
+        node.fund(sender.address, 5);
+        node.fund(recipient.address, 1);
+        await octra.encryptBalance(sender, 1000000n);
+        await octra.encryptBalance(recipient, 100000n);
+
+        const summary = await executeTransactions([sender], [recipient.address], '0.2', 2, false, 0.01, 0.1, {
+            rpcUrl: node.url,
+            private: true,
+            txDelay: 0,
+            confirmInterval: 20,
+            journal: false
+        });
+        assert.strictEqual(summary.confirmed.count, 2);
+        assert.strictEqual(summary.feesPaid, 0n);
+        assert.deepStrictEqual(buildTransactionPlan([sender], [recipient.address], '0.2', 2, false, 0.01, 0.1, { private: true }).map(entry => entry.memo), [null, null]);
+        assert.strictEqual((await octra.getEncryptedBalance(sender)).encrypted, 600000n);
+
+        const [pending] = await pendingTransfers([recipient], { octra });
+        assert.deepStrictEqual(pending.transfers.map(transfer => [transfer.sender, transfer.amount]), [[sender.address, null], [sender.address, null]]);
+
+        await assert.rejects(claimPendingTransfers([recipient], { octra, ids: [pending.transfers[0].id, '999'] }), /No pending transfer with id 999 for Recipient/);
+        assert.strictEqual((await pendingTransfers([recipient], { octra }))[0].transfers.length, 2);
+
+        const claims = await claimPendingTransfers([recipient], { octra });
+        assert.deepStrictEqual(claims.map(claim => [claim.success, claim.amount]), [[true, 200000n], [true, 200000n]]);
+        assert.strictEqual((await octra.getEncryptedBalance(recipient)).encrypted, 500000n);
+        assert.deepStrictEqual((await pendingTransfers([recipient], { octra }))[0].transfers, []);
+    });
+
+    test('fails private transfers the encrypted balance or recipient cannot take', async () => {
+        const sender = makeWallet('Sender');
+        node.fund(sender.address, 5);
+        await octra.encryptBalance(sender, 100000n);
+
+        const overBudget = await executeTransactions([sender], [randomAddress()], '0.2', 1, false, 0.01, 0.1, {
+            rpcUrl: node.url,
+            private: true,
+            confirmInterval: 20,
+            journal: false
+        });
+        assert.match(overBudget.transactions[0].error, /Insufficient encrypted balance for plan: needs 0\.200000 OCT, has 0\.100000 OCT/);
+
+        const noKey = await octra.sendPrivateTransfer(sender, randomAddress(), 50000n);
+        assert.match(noKey.error, /has no public key on chain yet/);
+    });
+});
@@ -0,0 +1,87 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { planRebalance, executeRebalance } = require('..');
+const { MockOctraNode } = require('./mock-node');
+const { randomAddress, makeWallet } = require('./helpers');
+
+describe('rebalance', () => {
+    let node;
+    let journalDir;
+
+    before(async () => {
+        node = new MockOctraNode({ epochInterval: 50 });
+        await node.start();
+        journalDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pempek-rebalance-'));
+    });
+
+    after(async () => {
+        await node.stop();
+        fs.rmSync(journalDir, { recursive: true, force: true });
+    });
+
+    const options = (extra) => ({ rpcUrl: node.url, confirmInterval: 20, txDelay: 0, walletDelay: 0, journalDir, ...extra });
+
+    test('tops up only the wallets below the target from the treasury', async () => {
+        const treasury = makeWallet('Treasury');
+        const low = makeWallet('Low');
+        const full = makeWallet('Full');
+        node.fund(treasury.address, 100);
+        node.fund(low.address, 2.5);
+        node.fund(full.address, 7);
+
+        const summary = await executeRebalance('fund', [treasury, low, full], options({ treasury: 'Treasury', target: '5' }));
+
+        assert.strictEqual(summary.confirmed.count, 1);
+        assert.strictEqual(node.account(low.address).balance, 5_000_000);
+        assert.strictEqual(node.account(full.address).balance, 7_000_000);
+        assert.strictEqual(node.account(treasury.address).balance, 100_000_000 - 2_500_000 - 1000);
+    });
+
+    test('sweeps everything above the floor, leaving room for the fee', async () => {
+        const treasury = randomAddress();
+        const wallets = [makeWallet('Sweep1'), makeWallet('Sweep2')];
+        node.fund(wallets[0].address, 3);
+        node.fund(wallets[1].address, 1001.0005);
+
+        const summary = await executeRebalance('sweep', wallets, options({ treasury, floor: '1' }));
+
+        assert.strictEqual(summary.confirmed.count, 2);
+        assert.strictEqual(node.account(wallets[0].address).balance, 1_000_000);
+        // 1000.0005 OCT above the floor: sending 999.9995 keeps to the cheaper fee tier and lands exactly on the floor.
+        assert.strictEqual(node.account(wallets[1].address).balance, 1_000_000);
+        assert.strictEqual(node.account(treasury).balance, 1_999_000 + 999_999_500);
+    });
+
+    test('leaves a wallet alone when its excess over the floor does not cover the fee', async () => {
+        const wallet = makeWallet('Dust');
+        node.fund(wallet.address, 1.0005);
+
+        const result = await planRebalance('sweep', [wallet], options({ treasury: randomAddress(), floor: '1' }));
+
+        assert.deepStrictEqual(result.plan, []);
+        assert.deepStrictEqual([result.wallets[0].amount, result.wallets[0].fee], [0n, 0n]);
+    });
+
+    test('dry run plans without sending and refuses a treasury that cannot cover it', async () => {
+        const treasury = makeWallet('Poor');
+        const wallet = makeWallet('Empty');
+        node.fund(treasury.address, 1);
+        const sendsBefore = node.countRequests('POST', '/send-tx');
+
+        const plan = await planRebalance('fund', [treasury, wallet], options({ treasury: treasury.address, target: '2' }));
+        assert.deepStrictEqual(plan.plan.map(entry => [entry.from, entry.to, entry.amount]), [[treasury.address, wallet.address, 2_000_000n]]);
+        assert.match(plan.errors[0], /Treasury Poor: needs 2\.001000 OCT/);
+
+        node.fund(treasury.address, 10);
+        const dryRun = await executeRebalance('fund', [treasury, wallet], options({ treasury: 'Poor', target: '2', dryRun: true }));
+        assert.strictEqual(dryRun.dryRun, true);
+        assert.strictEqual(dryRun.transactions.length, 1);
+        assert.strictEqual(node.countRequests('POST', '/send-tx'), sendsBefore);
+
+        await assert.rejects(planRebalance('fund', [wallet], options({ treasury: randomAddress(), target: '2' })), /is not a loaded wallet/);
+    });
+});
@@ -0,0 +1,110 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { OctraAutoTX, executeTransactions, buildRunReport, reconcileHistory, reconcileReport, toCsv, writeRunReport } = require('..');
+const { MockOctraNode } = require('./mock-node');
+const { randomAddress, makeWallet } = require('./helpers');
+
+describe('run reports', () => {
+    let node;
+    let dir;
+    const wallet = makeWallet('Report1');
+    const recipients = [randomAddress(), randomAddress()];
+    let journal;
+
+    before(async () => {
+        node = new MockOctraNode({ epochInterval: 50 });
+        await node.start();
+        node.fund(wallet.address, 10);
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pempek-report-'));
+
+        node.injectFault('/send-tx', 'error');
+        const summary = await executeTransactions([wallet], recipients, '0.1', 3, false, 0.01, 0.1, {
+            rpcUrl: node.url,
+            confirmInterval: 20,
+            txDelay: 0,
+            journalDir: dir
+        });
+        journal = summary.journal;
+    });
+
+    after(async () => {
+        await node.stop();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('totals amounts, fees and failures per wallet and recipient', () => {
+        const report = buildRunReport(journal);
+
+        assert.strictEqual(report.finished, true);
+        assert.deepStrictEqual([report.totals.planned, report.totals.confirmed, report.totals.failed], [3, 2, 1]);
+        assert.strictEqual(report.totals.amount, 200_000n);
+        assert.strictEqual(report.totals.fees, 2000n);
+        assert.strictEqual(report.wallets[0].address, wallet.address);
+        assert.strictEqual(report.recipients.reduce((sum, r) => sum + r.amount, 0n), 200_000n);
+        assert.strictEqual(report.failures.length, 1);
+        assert.deepStrictEqual([report.failures[0].count, report.failures[0].wallets], [1, ['Report1']]);
+    });
+
+    test('reconciles against the node and flags sends made outside the tool', async () => {
+        const octra = new OctraAutoTX({ rpcUrl: node.url });
+        const outside = await octra.sendTransaction(wallet, recipients[0], 50_000n);
+        await new Promise(resolve => setTimeout(resolve, 150));
+
+        const report = await reconcileReport(buildRunReport(journal), { octra });
+        const confirmed = report.transactions.filter(tx => tx.outcome === 'confirmed');
+
+        assert.deepStrictEqual(confirmed.map(tx => tx.onChain), ['matched', 'matched']);
+        assert.deepStrictEqual([report.reconciliation[0].matched, report.reconciliation[0].missing], [2, 0]);
+
+        const history = await octra.getAddressHistory(wallet.address);
+        const result = reconcileHistory(wallet.address, report.transactions, history);
+        assert.deepStrictEqual(result.external.map(tx => tx.hash), [outside.hash]);
+    });
+
+    test('writes a JSON report and one CSV per table', () => {
+        const report = buildRunReport(journal);
+        const files = writeRunReport(report, path.join(dir, 'reports'));
+
+        assert.deepStrictEqual(files.map(file => path.basename(file)), ['json', 'wallets.csv', 'recipients.csv', 'failures.csv', 'transactions.csv'].map(suffix => `${report.runId}${suffix === 'json' ? '.' : '-'}${suffix}`));
+        assert.strictEqual(JSON.parse(fs.readFileSync(files[0], 'utf8')).totals.amount, '0.200000');
+        assert.match(fs.readFileSync(files[1], 'utf8'), new RegExp(`^wallet,address,.*\\nReport1,${wallet.address},3,2,`));
+    });
+});
+
+describe('reconcileHistory', () => {
+    const address = randomAddress();
+    const to = randomAddress();
+    const chainTx = (nonce, amount = 100n) => ({ hash: `h${nonce}`, epoch: nonce, from: address, to, amount, nonce });
+
+    test('resolves a send without a hash by its nonce and reports what is missing', () => {
+        const sent = [
+            { id: 'a', from: address, to, amount: 100n, nonce: 4, hash: null, status: 'sending' },
+            { id: 'b', from: address, to, amount: 100n, nonce: 5, hash: 'gone', status: 'accepted' },
+            { id: 'c', from: address, to, amount: 100n, nonce: 6, hash: 'h6', status: 'confirmed' },
+            { id: 'd', from: address, to, amount: 100n, nonce: 7, hash: null, status: 'failed' }
+        ];
+        const result = reconcileHistory(address, sent, [chainTx(6, 90n), chainTx(4)]);
+
+        assert.deepStrictEqual(result.results.map(r => [r.id, r.verdict]), [['a', 'matched'], ['b', 'missing'], ['c', 'mismatched']]);
+        assert.strictEqual(result.results[0].hash, 'h4');
+        assert.deepStrictEqual(result.external, []);
+    });
+
+    test('leaves sends older than a truncated history unchecked', () => {
+        const sent = [{ id: 'old', from: address, to, amount: 100n, nonce: 1, hash: 'h1', status: 'confirmed' }];
+        const result = reconcileHistory(address, sent, [chainTx(9), chainTx(8)], { limit: 2 });
+
+        assert.strictEqual(result.results[0].verdict, 'unchecked');
+        assert.strictEqual(result.external.length, 2);
+    });
+});
+
+test('toCsv quotes separators and neutralizes formulas', () => {
+    const csv = toCsv([{ memo: 'a, "b"', amount: 1_500_000n, note: '=SUM(A1)', count: 2 }], ['memo', 'amount', 'note', 'count']);
+
+    assert.strictEqual(csv, 'memo,amount,note,count\n"a, ""b""",1.500000,\'=SUM(A1),2\n');
+});
@@ -0,0 +1,138 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+
+const { OctraAutoTX, RpcClient, RpcError, RateLimiter, logger } = require('..');
+const { MockOctraNode } = require('./mock-node');
+const { randomAddress, makeWallet } = require('./helpers');
+
+// Nothing listens on port 1, so requests to it are refused immediately.
+const DEAD_URL = 'http://127.0.0.1:1';
+
+describe('RpcClient', () => {
+    let primary;
+    let backup;
+    const wallet = makeWallet();
+
+    before(async () => {
+        primary = new MockOctraNode();
+        backup = new MockOctraNode();
+        await primary.start();
+        await backup.start();
+        primary.fund(wallet.address, 5, 2);
+        backup.fund(wallet.address, 5, 2);
+    });
+
+    after(async () => {
+        await primary.stop();
+        await backup.stop();
+    });
+
+    const client = (endpoints, options = {}) => new OctraAutoTX({
+        rpc: new RpcClient({ endpoints, timeout: 500, retryDelay: 5, ...options })
+    });
+
+    test('accepts a comma-separated endpoint list', () => {
+        const rpc = new RpcClient({ rpcUrl: `${primary.url}/, ${backup.url}` });
+
+        assert.deepStrictEqual(rpc.endpoints.map(e => e.url), [primary.url, backup.url]);
+        assert.strictEqual(new OctraAutoTX({ rpc }).rpcUrl, primary.url);
+    });
+
+    test('retries GETs after server errors', async () => {
+        primary.injectFault('/balance/', 'error', 2);
+        const before = primary.countRequests('GET', '/balance/');
+
+        assert.strictEqual(await client([primary.url], { cooldown: 0 }).getBalance(wallet.address), 5_000_000n);
+        assert.strictEqual(primary.countRequests('GET', '/balance/') - before, 3);
+    });
+
+    test('fails over to the next endpoint when one is down', async () => {
+        const octra = client([DEAD_URL, backup.url]);
+
+        assert.strictEqual(await octra.getCurrentNonce(wallet.address), 2);
+        assert.strictEqual(octra.rpcUrl, backup.url);
+        assert.strictEqual(octra.rpc.endpoints[0].healthy, false);
+    });
+
+    test('throws typed errors instead of returning zero', async () => {
+        primary.injectFault('/balance/', 'error', 10);
+        const octra = client([primary.url], { retries: 1 });
+
+        await assert.rejects(octra.getBalance(wallet.address), error => {
+            assert.ok(error instanceof RpcError);
+            assert.strictEqual(error.code, 'HTTP_ERROR');
+            assert.strictEqual(error.status, 500);
+            return true;
+        });
+        await assert.rejects(client([DEAD_URL], { retries: 1 }).getCurrentNonce(wallet.address), { name: 'RpcError', code: 'UNREACHABLE' });
+        primary.faults = [];
+    });
+
+    test('still reads unknown accounts as zero', async () => {
+        const octra = client([primary.url]);
+
+        assert.strictEqual(await octra.getBalance(randomAddress()), 0n);
+        assert.strictEqual(await octra.getCurrentNonce(randomAddress()), 0);
+    });
+
+    test('does not re-send a transaction after a server error', async () => {
+        primary.injectFault('/send-tx', 'error');
+        const before = primary.countRequests('POST', '/send-tx') + backup.countRequests('POST', '/send-tx');
+
+        const result = await client([primary.url, backup.url]).sendTransaction(wallet, randomAddress(), 0.1);
+
+        assert.strictEqual(result.success, false);
+        assert.strictEqual(primary.countRequests('POST', '/send-tx') + backup.countRequests('POST', '/send-tx') - before, 1);
+    });
+
+    test('fails a broadcast over when the endpoint refuses the connection', async () => {
+        const result = await client([DEAD_URL, backup.url]).sendTransaction(wallet, randomAddress(), 0.1);
+
+        assert.strictEqual(result.success, true);
+        assert.strictEqual(backup.stagedFor(wallet.address).length, 1);
+    });
+
+    test('spaces requests by the shared rate limit', async () => {
+        const limiter = new RateLimiter(20, 1);
+        const a = client([primary.url], { limiter });
+        const b = client([primary.url], { limiter });
+        const startedAt = Date.now();
+
+        await Promise.all([1, 2, 3].map(() => a.getBalance(wallet.address)).concat([1, 2, 3].map(() => b.getBalance(wallet.address))));
+
+        assert.ok(Date.now() - startedAt >= 5 * 50 - 10);
+    });
+
+    test('shares one limiter per endpoint across clients, and the lowest rate wins', async () => {
+        const lines = [];
+        const saved = { ...logger.config };
+        Object.assign(logger.config, { format: 'json', print: line => lines.push(JSON.parse(line).msg) });
+
+        try {
+            const a = client([primary.url], { rateLimit: 50 });
+            const b = client([primary.url], { rateLimit: 10 });
+            const other = client([backup.url], { rateLimit: 50 });
+            assert.strictEqual(a.rpc.limiter, b.rpc.limiter);
+            assert.strictEqual(a.rpc.limiter.rate, 10);
+            assert.notStrictEqual(other.rpc.limiter, a.rpc.limiter);
+            assert.deepStrictEqual(lines, []);
+
+            const looser = client([primary.url], { rateLimit: 100 });
+            client([primary.url]);
+            assert.strictEqual(looser.rpc.limiter.rate, 10);
+            assert.deepStrictEqual(lines, [`RPC rate limit for ${primary.url} stays at 10 request(s)/s, the lowest asked for in this process, not 100`]);
+        } finally {
+            Object.assign(logger.config, saved);
+        }
+    });
+
+    test('reports endpoint health', async () => {
+        const octra = client([primary.url, DEAD_URL]);
+        const health = await octra.rpc.checkHealth();
+
+        assert.strictEqual(health[0].healthy, true);
+        assert.strictEqual(typeof health[0].latencyMs, 'number');
+        assert.strictEqual(health[1].healthy, false);
+        assert.match(health[1].error, /ECONNREFUSED/);
+    });
+});
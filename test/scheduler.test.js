@@ -0,0 +1,171 @@
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { parseCron, nextCronTime, loadJobsFile, Scheduler } = require('..');
+const { randomAddress } = require('./helpers');
+
+const at = (iso) => Date.parse(iso);
+const summary = (fields = {}) => ({
+    accepted: { count: 1 }, confirmed: { count: 1 }, failed: { count: 0 }, unknown: { count: 0 },
+    skipped: { count: 0 }, journal: null, interrupted: false, ...fields
+});
+
+describe('cron schedules', () => {
+    test('finds the next slot in the schedule timezone', () => {
+        const cron = parseCron('0 9 * * *');
+
+        assert.strictEqual(nextCronTime(cron, at('2026-01-01T00:00:00Z'), 'Asia/Jakarta'), at('2026-01-01T02:00:00Z'));
+        assert.strictEqual(nextCronTime(cron, at('2026-01-01T02:00:00Z'), 'Asia/Jakarta'), at('2026-01-02T02:00:00Z'));
+        assert.strictEqual(nextCronTime(cron, at('2026-01-01T00:00:00Z'), 'UTC'), at('2026-01-01T09:00:00Z'));
+    });
+
+    test('supports steps, ranges and lists', () => {
+        const cron = parseCron('*/15 8-9 * * 1,3');
+
+        // 2026-01-01 is a Thursday, so the next match is Monday 2026-01-05 08:00.
+        assert.strictEqual(nextCronTime(cron, at('2026-01-01T00:00:00Z'), 'UTC'), at('2026-01-05T08:00:00Z'));
+        assert.strictEqual(nextCronTime(cron, at('2026-01-05T09:45:00Z'), 'UTC'), at('2026-01-07T08:00:00Z'));
+        assert.deepStrictEqual([...parseCron('0 0 * * 7').dow], [0]);
+    });
+
+    test('matches either day field when both are restricted', () => {
+        const cron = parseCron('0 0 13 * 5');
+
+        // Friday 2026-01-02 comes before the 13th.
+        assert.strictEqual(nextCronTime(cron, at('2026-01-01T00:00:00Z'), 'UTC'), at('2026-01-02T00:00:00Z'));
+    });
+
+    test('rejects malformed expressions', () => {
+        assert.throws(() => parseCron('* * * *'), /5 fields/);
+        assert.throws(() => parseCron('60 * * * *'), /Invalid minute field/);
+        assert.throws(() => parseCron('* * * * mon'), /Invalid day of week field/);
+    });
+});
+
+describe('Scheduler', () => {
+    let dir;
+    let now;
+
+    const job = (fields = {}) => ({ name: 'hourly', schedule: '0 * * * *', timezone: 'UTC', catchUp: 'skip', ...fields });
+    const history = (name = 'hourly') => Scheduler.readHistory(path.join(dir, `${name}.jsonl`));
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pempek-history-'));
+        now = at('2026-01-01T10:30:00Z');
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('runs a job when its slot comes up and records the run', async () => {
+        const runs = [];
+        const scheduler = new Scheduler([job()], {
+            historyDir: dir,
+            now: () => now,
+            runJob: async (j, slot) => { runs.push(slot); return summary(); }
+        });
+
+        scheduler.init();
+        scheduler.tick();
+        assert.deepStrictEqual(runs, []);
+
+        now = at('2026-01-01T11:00:05Z');
+        scheduler.tick();
+        await scheduler.stop();
+
+        assert.deepStrictEqual(runs, [at('2026-01-01T11:00:00Z')]);
+        assert.deepStrictEqual(history().map(e => [e.slot, e.status, e.confirmed]), [['2026-01-01T11:00:00Z', 'ok', 1]]);
+    });
+
+    test('skips slots while the previous run is still going', async () => {
+        let finish;
+        const scheduler = new Scheduler([job()], {
+            historyDir: dir,
+            now: () => now,
+            runJob: () => new Promise(resolve => { finish = () => resolve(summary()); })
+        });
+
+        scheduler.init();
+        now = at('2026-01-01T11:00:00Z');
+        scheduler.tick();
+        now = at('2026-01-01T12:00:00Z');
+        scheduler.tick();
+        finish();
+        await scheduler.stop();
+
+        assert.deepStrictEqual(history().map(e => [e.slot, e.status]), [
+            ['2026-01-01T12:00:00Z', 'skipped'],
+            ['2026-01-01T11:00:00Z', 'ok']
+        ]);
+        assert.strictEqual(history()[0].reason, 'previous run still in progress');
+    });
+
+    for (const [policy, expected] of [['skip', []], ['once', ['2026-01-01T10:00:00Z']], ['all', ['2026-01-01T09:00:00Z', '2026-01-01T10:00:00Z']]]) {
+        test(`applies the ${policy} catch-up policy to slots missed while down`, async () => {
+            fs.writeFileSync(path.join(dir, 'hourly.jsonl'), `${JSON.stringify({ job: 'hourly', slot: '2026-01-01T08:00:00Z', status: 'ok' })}\n`);
+            const runs = [];
+            const scheduler = new Scheduler([job({ catchUp: policy })], {
+                historyDir: dir,
+                now: () => now,
+                runJob: async (j, slot) => { runs.push(new Date(slot).toISOString().replace('.000', '')); return summary(); }
+            });
+
+            scheduler.init();
+            scheduler.tick();
+            await scheduler.jobs[0].running;
+            await scheduler.stop();
+
+            assert.deepStrictEqual(runs, expected);
+            assert.strictEqual(history().length, 3);
+        });
+    }
+
+    test('records failed runs with their error', async () => {
+        const scheduler = new Scheduler([job()], {
+            historyDir: dir,
+            now: () => now,
+            runJob: async () => { throw new Error('node unreachable'); }
+        });
+
+        scheduler.init();
+        now = at('2026-01-01T11:00:00Z');
+        scheduler.tick();
+        await scheduler.stop();
+
+        assert.strictEqual(history()[0].status, 'failed');
+        assert.strictEqual(history()[0].error, 'node unreachable');
+    });
+
+    test('validates the jobs file', () => {
+        const filePath = path.join(dir, 'jobs.json');
+        fs.writeFileSync(filePath, JSON.stringify({
+            timezone: 'Europe/Berlin',
+            jobs: [
+                { name: 'daily', schedule: '30 8 * * 1-5', mode: 'random', min: '0.01', max: '0.1', count: 3, recipients: [randomAddress()] },
+                { name: 'bad', schedule: '* * *', amount: '1' },
+                { name: 'tz', schedule: '0 * * * *', timezone: 'Mars/Base', amount: '1' },
+                { name: 'one', schedule: '0 * * * *', amount: '1', wallets: 'Wallet1' },
+                { name: 'none', schedule: '0 * * * *', amount: '1', wallets: [] }
+            ]
+        }));
+
+        assert.throws(() => loadJobsFile(filePath), error => {
+            assert.match(error.message, /4 error\(s\)/);
+            assert.match(error.message, /Job bad: Schedule must have 5 fields/);
+            assert.match(error.message, /Job tz: unknown timezone Mars\/Base/);
+            assert.match(error.message, /Job one: wallets must be a non-empty list of wallet names or addresses/);
+            assert.match(error.message, /Job none: wallets must be a non-empty list/);
+            return true;
+        });
+
+        fs.writeFileSync(filePath, JSON.stringify({ timezone: 'Europe/Berlin', jobs: [{ name: 'daily', schedule: '30 8 * * 1-5', amount: '0.5' }] }));
+        const [daily] = loadJobsFile(filePath);
+        assert.strictEqual(daily.timezone, 'Europe/Berlin');
+        assert.strictEqual(daily.amount, 500_000n);
+        assert.strictEqual(daily.catchUp, 'skip');
+    });
+});
@@ -0,0 +1,115 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+
+const { Metrics, metrics, statusBoard, startStatusServer, executeTransactions } = require('..');
+const { MockOctraNode } = require('./mock-node');
+const { randomAddress, makeWallet } = require('./helpers');
+
+describe('Metrics', () => {
+    test('renders counters and histograms in Prometheus text format', () => {
+        const registry = new Metrics();
+        registry.define('demo_total', 'counter', 'Demo counter');
+        registry.define('demo_seconds', 'histogram', 'Demo latency', [0.1, 1]);
+
+        registry.inc('demo_total', { wallet: 'Wallet "1"' });
+        registry.inc('demo_total', { wallet: 'Wallet "1"' }, 2);
+        registry.observe('demo_seconds', { route: '/tx' }, 0.5);
+
+        const text = registry.render();
+        assert.match(text, /# TYPE demo_total counter/);
+        assert.match(text, /demo_total\{wallet="Wallet \\"1\\""\} 3/);
+        assert.match(text, /demo_seconds_bucket\{route="\/tx",le="0.1"\} 0/);
+        assert.match(text, /demo_seconds_bucket\{route="\/tx",le="1"\} 1/);
+        assert.match(text, /demo_seconds_bucket\{route="\/tx",le="\+Inf"\} 1/);
+        assert.match(text, /demo_seconds_count\{route="\/tx"\} 1/);
+    });
+});
+
+describe('status server', () => {
+    let node;
+    let server;
+    let base;
+    let journalDir;
+    const recipients = [randomAddress()];
+
+    before(async () => {
+        node = new MockOctraNode({ epochInterval: 50 });
+        await node.start();
+        server = await startStatusServer(0);
+        base = `http://127.0.0.1:${server.address().port}`;
+        journalDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pempek-status-'));
+    });
+
+    after(async () => {
+        server.close();
+        server.closeAllConnections();
+        await node.stop();
+        fs.rmSync(journalDir, { recursive: true, force: true });
+    });
+
+    test('reports health', async () => {
+        const response = await axios.get(`${base}/health`);
+
+        assert.strictEqual(response.status, 200);
+        assert.strictEqual(response.data.status, 'ok');
+    });
+
+    test('exposes run progress, errors, balances and metrics', async () => {
+        const wallet = makeWallet('Status1');
+        node.fund(wallet.address, 10);
+        node.injectFault('/send-tx', 'error');
+
+        const summary = await executeTransactions([wallet], recipients, '0.1', 3, false, 0.01, 0.1, {
+            rpcUrl: node.url,
+            pipelineDepth: 3,
+            confirmInterval: 20,
+            journalDir
+        });
+        const status = (await axios.get(`${base}/status`)).data;
+        const run = status.runs.find(r => r.id === path.basename(summary.journal, '.jsonl'));
+
+        assert.strictEqual(status.state, 'idle');
+        assert.deepStrictEqual([run.state, run.completed, run.total, run.confirmed, run.failed], ['finished', 3, 3, 2, 1]);
+        assert.strictEqual(status.lastErrors[0].wallet, 'Status1');
+        assert.match(status.lastErrors[0].error, /internal server error/);
+        assert.deepStrictEqual(status.balances.find(b => b.address === wallet.address).balance, '10.000000');
+
+        const text = (await axios.get(`${base}/metrics`)).data;
+        assert.match(text, /pempek_tx_sent_total\{wallet="Status1"\} 3/);
+        assert.match(text, /pempek_tx_accepted_total\{wallet="Status1"\} 2/);
+        assert.match(text, /pempek_tx_failed_total\{wallet="Status1"\} 1/);
+        assert.match(text, /pempek_rpc_request_duration_seconds_bucket\{method="POST",route="\/send-tx",endpoint="[^"]+",le="\+Inf"\} 4/);
+    });
+
+    test('counts nonce resyncs by wallet', async () => {
+        const wallet = makeWallet('Status2');
+        node.fund(wallet.address, 10);
+        node.injectFault('/send-tx', 'nonce');
+
+        await executeTransactions([wallet], recipients, '0.1', 1, false, 0.01, 0.1, { rpcUrl: node.url, confirmInterval: 20, journalDir });
+
+        assert.strictEqual(metrics.get('pempek_nonce_resyncs_total', { wallet: 'Status2' }), 1);
+    });
+
+    test('shows the wallets being processed while a run is going', async () => {
+        const wallet = makeWallet('Status3');
+        node.fund(wallet.address, 10);
+
+        const running = executeTransactions([wallet], recipients, '0.1', 2, false, 0.01, 0.1, {
+            rpcUrl: node.url,
+            txDelay: 300,
+            confirmInterval: 20,
+            journalDir
+        });
+        await new Promise(resolve => setTimeout(resolve, 150));
+        const snapshot = statusBoard.snapshot();
+        await running;
+
+        assert.strictEqual(snapshot.state, 'running');
+        assert.deepStrictEqual(snapshot.currentWallets, ['Status3']);
+    });
+});
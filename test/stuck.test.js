@@ -0,0 +1,92 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+
+const { OctraAutoTX, findStuckTransactions, handleStuckTransactions } = require('..');
+const { MockOctraNode } = require('./mock-node');
+const { randomAddress, makeWallet } = require('./helpers');
+
+describe('stuck transactions', () => {
+    let node;
+
+    // The node only mines ou 2 and up, so the default ou 1 sends sit in /staging.
+    before(async () => {
+        node = new MockOctraNode({ minOu: 2 });
+        await node.start();
+    });
+
+    after(async () => {
+        await node.stop();
+    });
+
+    async function stage(wallet, recipient, count) {
+        const octra = new OctraAutoTX({ rpcUrl: node.url });
+        const hashes = [];
+        for (let i = 0; i < count; i++) {
+            const result = await octra.sendTransaction(wallet, recipient, 100000n);
+            assert.ok(result.success, result.error);
+            hashes.push(result.hash);
+        }
+        node.mine();
+        return hashes;
+    }
+
+    test('lists only our transactions staged past the threshold', async () => {
+        const wallet = makeWallet('Ours');
+        const other = makeWallet('Other');
+        node.fund(wallet.address, 1);
+        node.fund(other.address, 1);
+        const hashes = await stage(wallet, randomAddress(), 2);
+        await stage(other, randomAddress(), 1);
+
+        const stuck = await findStuckTransactions([wallet], { rpcUrl: node.url, olderThan: 0 });
+        assert.deepStrictEqual(stuck.map(tx => [tx.nonce, tx.hash, tx.ou]), [[1, hashes[0], '1'], [2, hashes[1], '1']]);
+        assert.deepStrictEqual(await findStuckTransactions([wallet], { rpcUrl: node.url, olderThan: 60000 }), []);
+
+        const listed = await handleStuckTransactions([wallet], null, { rpcUrl: node.url, olderThan: 0 });
+        assert.deepStrictEqual(listed.stuck.map(tx => tx.status), ['stuck', 'stuck']);
+        assert.strictEqual(node.stagedFor(wallet.address).length, 2);
+    });
+
+    test('replaces stuck transactions with a higher ou at the same nonce', async () => {
+        const wallet = makeWallet('Replace');
+        const recipient = randomAddress();
+        node.fund(wallet.address, 1);
+        const hashes = await stage(wallet, recipient, 2);
+
+        const dryRun = await handleStuckTransactions([wallet], 'replace', { rpcUrl: node.url, olderThan: 0, dryRun: true });
+        assert.deepStrictEqual(dryRun.stuck.map(tx => [tx.status, tx.newOu]), [['planned', '2'], ['planned', '2']]);
+        assert.deepStrictEqual(node.stagedFor(wallet.address).map(tx => tx.hash), hashes);
+
+        const result = await handleStuckTransactions([wallet], 'replace', { rpcUrl: node.url, olderThan: 0 });
+        assert.deepStrictEqual(result.stuck.map(tx => tx.status), ['sent', 'sent']);
+        assert.deepStrictEqual(node.stagedFor(wallet.address).map(tx => tx.hash).sort(), result.stuck.map(tx => tx.newHash).sort());
+
+        node.mine();
+        assert.strictEqual(node.account(recipient).balance, 200000);
+        assert.strictEqual(node.account(wallet.address).balance, 1_000_000 - 200000 - 2 * 2000);
+        assert.strictEqual(node.account(wallet.address).nonce, 2);
+    });
+
+    test('cancels with a zero-value self-transfer and rebroadcasts as is', async () => {
+        const wallet = makeWallet('Cancel');
+        const recipient = randomAddress();
+        node.fund(wallet.address, 1);
+        const [hash] = await stage(wallet, recipient, 1);
+
+        const rebroadcast = await handleStuckTransactions([wallet], 'rebroadcast', { rpcUrl: node.url, olderThan: 0 });
+        assert.deepStrictEqual([rebroadcast.stuck[0].status, rebroadcast.stuck[0].newHash], ['sent', hash]);
+
+        const capped = await handleStuckTransactions([wallet], 'cancel', { rpcUrl: node.url, olderThan: 0, fees: { maxFee: '0.001' } });
+        assert.match(capped.stuck[0].error, /over the 0\.001000 OCT max-fee cap/);
+        const pinned = await handleStuckTransactions([wallet], 'cancel', { rpcUrl: node.url, olderThan: 0, ou: 1 });
+        assert.match(pinned.stuck[0].error, /must be above the stuck transaction's ou 1/);
+
+        const cancelled = await handleStuckTransactions([wallet], 'cancel', { rpcUrl: node.url, olderThan: 0 });
+        assert.deepStrictEqual([cancelled.stuck[0].to, cancelled.stuck[0].amount], [wallet.address, 0n]);
+
+        node.mine();
+        assert.strictEqual(node.account(recipient), undefined);
+        assert.strictEqual(node.account(wallet.address).balance, 1_000_000 - 2000);
+        assert.strictEqual(node.account(wallet.address).nonce, 1);
+    });
+});